@@ -0,0 +1,195 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+// Model comparisons (arena mode) and the votes cast on them
+// Every comparison - the prompt, each model's answer with its latency and token stats, and the
+// vote once there is one - is kept in <dataDir>/arena.json. The leaderboard is worked out from the
+// stored votes on request, so it never drifts from them.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const ARENA_FILE = path.join(DATA_DIR, 'arena.json');
+const log = createLogger('arena');
+
+export const MIN_ARENA_MODELS = 2;
+export const MAX_ARENA_MODELS = 4;
+// Besides the name of the better model, a vote can call it even or say no answer was good
+export const VOTE_OUTCOMES = ['tie', 'both_bad'];
+
+// Elo ratings: every model starts at BASE_RATING; a vote is scored as a game between each pair
+// of models in the comparison (the winner beats every other model, tie and both_bad are draws)
+const BASE_RATING = 1000;
+const K_FACTOR = 32;
+
+// Timing of one model's answer in a comparison. Call start() when the answer gets its backend
+// slot: compared models often share a backend, and the time one waits for another to finish is
+// not its own latency. Feed every pipeline event to event() for the time to the first token.
+export function createAnswerTimer() {
+  let started = Date.now();
+  let firstTokenAt = null;
+  return {
+    start() {
+      started = Date.now();
+      firstTokenAt = null;
+    },
+    event(event) {
+      if (event.content && firstTokenAt === null) firstTokenAt = Date.now();
+      // A revised draft no longer counts as the first answer text
+      if (event.type === 'revise') firstTokenAt = null;
+    },
+    elapsedMs() {
+      return Date.now() - started;
+    },
+    // { latencyMs, firstTokenMs, tokensPerSecond } once the answer is complete
+    stats(completionTokens) {
+      const now = Date.now();
+      // Generation speed as the user saw it: answer tokens over the time since the first one arrived
+      const generationSeconds = firstTokenAt === null ? 0 : (now - firstTokenAt) / 1000;
+      return {
+        latencyMs: now - started,
+        firstTokenMs: firstTokenAt === null ? null : firstTokenAt - started,
+        tokensPerSecond: generationSeconds > 0 && completionTokens > 0 ? Number((completionTokens / generationSeconds).toFixed(1)) : null
+      };
+    }
+  };
+}
+
+let state = null; // { comparisons: [...] }, loaded on first use
+let writeQueue = Promise.resolve();
+
+async function load() {
+  if (!state) {
+    try {
+      const file = JSON.parse(await fs.readFile(ARENA_FILE, 'utf8'));
+      state = state || { comparisons: file.comparisons || [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      state = state || { comparisons: [] };
+    }
+  }
+  return state;
+}
+
+// Write to a temp file first and rename, so a crash never leaves a half-written file;
+// writes are applied one after another
+function persist() {
+  writeQueue = writeQueue.catch(() => {}).then(async () => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const tmp = `${ARENA_FILE}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ comparisons: state.comparisons }, null, 2), 'utf8');
+    await fs.rename(tmp, ARENA_FILE);
+  });
+  return writeQueue;
+}
+
+// Models that answered without an error; only they can be voted for
+function answeredModels(comparison) {
+  return comparison.answers.filter(answer => !answer.error).map(answer => answer.model);
+}
+
+export async function getComparison(id) {
+  const { comparisons } = await load();
+  return comparisons.find(comparison => comparison.id === id) || null;
+}
+
+// `answers` are [{ model, backend, content, sources, latencyMs, firstTokenMs, promptTokens,
+// completionTokens, tokensPerSecond }], or [{ model, error, latencyMs }] for a model that failed
+export async function createComparison({ ownerId = null, prompt, searchMode = 'auto', answers }) {
+  await load();
+  const comparison = {
+    id: crypto.randomUUID(),
+    ownerId,
+    prompt,
+    searchMode,
+    createdAt: new Date().toISOString(),
+    answers,
+    vote: null
+  };
+  state.comparisons.push(comparison);
+  await persist();
+  log.info('Stored comparison', { comparisonId: comparison.id, models: answers.map(answer => answer.model) });
+  return comparison;
+}
+
+// Record (or replace) the vote on a comparison. `winner` is one of the models that answered, or
+// one of VOTE_OUTCOMES. Returns { comparison } or { error } for an invalid vote.
+export async function recordVote(id, winner) {
+  const comparison = await getComparison(id);
+  if (!comparison) return { error: 'Comparison not found' };
+  const candidates = answeredModels(comparison);
+  if (candidates.length < MIN_ARENA_MODELS) {
+    return { error: 'Fewer than two models answered, so there is nothing to vote on' };
+  }
+  if (!candidates.includes(winner) && !VOTE_OUTCOMES.includes(winner)) {
+    return { error: `winner must be one of ${[...candidates, ...VOTE_OUTCOMES].join(', ')}` };
+  }
+  comparison.vote = { winner, votedAt: new Date().toISOString() };
+  await persist();
+  log.info('Recorded vote', { comparisonId: id, winner });
+  return { comparison };
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Per-model standings from every vote, best rating first, and the number of votes cast. Latency
+// and speed are averaged over all of a model's successful answers, voted on or not.
+export async function getLeaderboard() {
+  const { comparisons } = await load();
+  const models = new Map();
+  const entry = (model) => {
+    if (!models.has(model)) {
+      models.set(model, { model, rating: BASE_RATING, votes: 0, wins: 0, losses: 0, ties: 0, bothBad: 0, answers: [], errors: 0 });
+    }
+    return models.get(model);
+  };
+
+  for (const comparison of comparisons) {
+    for (const answer of comparison.answers) {
+      if (answer.error) entry(answer.model).errors++;
+      else entry(answer.model).answers.push(answer);
+    }
+  }
+
+  // Votes are replayed oldest first, as Elo ratings depend on the order of the games
+  const voted = comparisons.filter(comparison => comparison.vote).sort((a, b) => a.vote.votedAt.localeCompare(b.vote.votedAt));
+  for (const comparison of voted) {
+    const { winner } = comparison.vote;
+    const players = answeredModels(comparison).map(entry);
+    const changes = new Map(players.map(player => [player, 0]));
+    for (let i = 0; i < players.length; i++) {
+      for (let j = i + 1; j < players.length; j++) {
+        const [a, b] = [players[i], players[j]];
+        const expected = 1 / (1 + 10 ** ((b.rating - a.rating) / 400));
+        const score = a.model === winner ? 1 : b.model === winner ? 0 : 0.5;
+        changes.set(a, changes.get(a) + K_FACTOR * (score - expected));
+        changes.set(b, changes.get(b) - K_FACTOR * (score - expected));
+      }
+    }
+    for (const [player, change] of changes) {
+      player.rating += change;
+      player.votes++;
+      if (winner === 'tie') player.ties++;
+      else if (winner === 'both_bad') player.bothBad++;
+      else if (player.model === winner) player.wins++;
+      else player.losses++;
+    }
+  }
+
+  const standings = Array.from(models.values())
+    .map(({ answers, ...standing }) => {
+      const latency = average(answers.map(answer => answer.latencyMs));
+      const speed = average(answers.map(answer => answer.tokensPerSecond).filter(value => value > 0));
+      return {
+        ...standing,
+        rating: Math.round(standing.rating),
+        winRate: standing.votes > 0 ? Number((standing.wins / standing.votes).toFixed(3)) : null,
+        comparisons: answers.length + standing.errors,
+        avgLatencyMs: latency === null ? null : Math.round(latency),
+        avgTokensPerSecond: speed === null ? null : Number(speed.toFixed(1))
+      };
+    })
+    .sort((a, b) => b.rating - a.rating || b.votes - a.votes);
+  return { models: standings, votes: voted.length };
+}
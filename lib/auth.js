@@ -0,0 +1,82 @@
+import { isAuthEnabled, getSessionTtlMs, getSessionUser, getTokenUser } from './userStore.js';
+
+// HTTP side of user accounts: session cookies, API token authentication and access checks.
+// Browsers log in and get an HttpOnly session cookie; scripts send a personal API token as
+// `Authorization: Bearer olc_...`. With AUTH=off every request runs as LOCAL_USER.
+
+export const SESSION_COOKIE = 'ollama_chat_session';
+
+// Stands in for a signed-in user when accounts are turned off; its records have no owner
+export const LOCAL_USER = Object.freeze({ id: null, username: 'local', role: 'admin' });
+
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.substring(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.substring(index + 1).trim());
+    } catch {
+      // Ignore malformed cookie values
+    }
+  }
+  return cookies;
+}
+
+// Secure cookies need HTTPS; behind a TLS-terminating proxy set COOKIE_SECURE=on
+function cookieAttributes(req) {
+  const secure = (process.env.COOKIE_SECURE || '').trim().toLowerCase() === 'on' || req.secure;
+  return `Path=/; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+}
+
+export function setSessionCookie(req, res, token) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(token)}; Max-Age=${Math.floor(getSessionTtlMs() / 1000)}; ${cookieAttributes(req)}`);
+}
+
+export function clearSessionCookie(req, res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Max-Age=0; ${cookieAttributes(req)}`);
+}
+
+export function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// The user behind a request (API token first, then the session cookie), or null
+export async function authenticate(req) {
+  if (!isAuthEnabled()) return LOCAL_USER;
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')?.[1];
+  if (bearer) return getTokenUser(bearer);
+  return getSessionUser(getSessionToken(req));
+}
+
+// Middleware: reject requests without a valid session or API token; sets req.user.
+// `onUnauthorized(res)` lets the OpenAI-compatible routes answer in their own error format.
+export function requireUser(onUnauthorized = res => res.status(401).json({ error: 'Sign in required' })) {
+  return async (req, res, next) => {
+    try {
+      const user = await authenticate(req);
+      if (!user) return onUnauthorized(res);
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Middleware for admin-only routes; must run after requireUser
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin role required' });
+  }
+  next();
+}
+
+// Whether a user may see a stored record (conversation or collection).
+// Records from before accounts were turned on have no owner; only admins can reach those.
+export function canAccess(user, record) {
+  if (!isAuthEnabled()) return true;
+  if (!record.ownerId) return user.role === 'admin';
+  return record.ownerId === user.id;
+}
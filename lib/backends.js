@@ -0,0 +1,304 @@
+import { Ollama } from 'ollama';
+import { createLogger } from './logger.js';
+import { createRequestQueue } from './requestQueue.js';
+import { countError } from './metrics.js';
+
+// Ollama backends: named hosts (local machines and/or Ollama Cloud) used side by side, set with
+// OLLAMA_BACKENDS=name=url,name=url or, for a single host, OLLAMA_HOST. Each backend has its own
+// client and request queue. The models on every backend are listed regularly (that listing is also
+// the health check); a request goes to a healthy backend that has its model, taking turns when
+// several do, and a backend that stops answering is left out until a later check finds it back.
+const log = createLogger('backends');
+
+const DEFAULT_HOST = 'http://127.0.0.1:11434';
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+// Errors that mean the backend itself is down or overloaded, rather than a problem with the request
+const UNREACHABLE_PATTERN = /fetch failed|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EHOSTUNREACH|ENOTFOUND|socket hang up/i;
+// A request for a model no backend lists checks the backends again, at most this often
+const RECHECK_INTERVAL_MS = 10 * 1000;
+
+let config = null;
+let backends = [];
+const rotation = new Map(); // model -> requests routed so far, for round-robin
+let healthTimer = null;
+let lastCheck = null; // { startedAt, done } of the latest check of every backend
+
+export function isCloudHost(host) {
+  return /(^|\.)ollama\.com$/i.test(new URL(host).hostname);
+}
+
+// "gpu1=http://10.0.0.5:11434,cloud=https://ollama.com"; a bare URL is named after its position
+function parseBackendList(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+    const separator = entry.indexOf('=');
+    const name = separator > 0 ? entry.slice(0, separator).trim() : `ollama-${index + 1}`;
+    const host = (separator > 0 ? entry.slice(separator + 1) : entry).trim();
+    return { name, host };
+  });
+}
+
+// `<setting>_<NAME>` (name upper-cased, '-' as '_') for one backend, otherwise `<setting>`
+function readBackendSetting(setting, name) {
+  return process.env[`${setting}_${name.toUpperCase().replace(/-/g, '_')}`] || process.env[setting];
+}
+
+// OLLAMA_API_KEY_<NAME> for one backend, otherwise OLLAMA_API_KEY
+function readApiKey(name) {
+  const key = (readBackendSetting('OLLAMA_API_KEY', name) || '').trim();
+  // Placeholder values from .env.example would only produce confusing 401s
+  if (key && (key === 'OLLAMA_API_KEY' || key === 'your_api_key_here' || key.length < 10)) {
+    log.error('API key looks like a placeholder value - replace it with your key from https://ollama.com/settings/keys', { backend: name });
+    return null;
+  }
+  return key || null;
+}
+
+function createBackend({ name, host }) {
+  const cloud = isCloudHost(host);
+  const apiKey = cloud ? readApiKey(name) : null;
+  if (cloud && !apiKey) {
+    log.error('Backend points to Ollama Cloud but has no API key - set OLLAMA_API_KEY in .env (get a key from https://ollama.com/settings/keys)', { backend: name });
+  }
+  const clientConfig = apiKey ? { host, headers: { Authorization: `Bearer ${apiKey}` } } : { host };
+  // OLLAMA_CONCURRENCY_<NAME>, e.g. more parallel requests for a GPU box or the cloud than for a small host
+  const concurrency = parseInt(readBackendSetting('OLLAMA_CONCURRENCY', name), 10);
+  return {
+    name,
+    host,
+    cloud,
+    apiKey,
+    clientConfig,
+    client: new Ollama(clientConfig),
+    queue: createRequestQueue(cloud ? `Ollama Cloud (${name})` : `Ollama (${name})`, concurrency > 0 ? { concurrency } : {}),
+    healthy: true, // assumed until a check or a request says otherwise
+    checkedAt: null,
+    error: null,
+    listError: null, // the error of a backend that answered but would not list its models (e.g. 401)
+    models: [] // from the last successful listing
+  };
+}
+
+// Read the backend list from the environment; call once at startup, after .env is loaded.
+// Throws on a malformed list, so a typo stops the server instead of silently dropping a host.
+export function loadBackends() {
+  config = {
+    healthIntervalMs: (parseInt(process.env.BACKEND_HEALTH_INTERVAL_SECONDS, 10) || 30) * 1000
+  };
+  const definitions = process.env.OLLAMA_BACKENDS?.trim()
+    ? parseBackendList(process.env.OLLAMA_BACKENDS)
+    : [{ name: null, host: process.env.OLLAMA_HOST?.trim() || DEFAULT_HOST }];
+
+  const names = new Set();
+  backends = definitions.map(({ name, host }) => {
+    try {
+      new URL(host);
+    } catch {
+      throw new Error(`OLLAMA_BACKENDS: "${host}" is not a valid URL`);
+    }
+    // A single OLLAMA_HOST is simply "local" or "cloud"
+    const resolvedName = name ?? (isCloudHost(host) ? 'cloud' : 'local');
+    if (!NAME_PATTERN.test(resolvedName)) {
+      throw new Error(`OLLAMA_BACKENDS: invalid backend name "${resolvedName}" (letters, digits, - and _ only)`);
+    }
+    if (names.has(resolvedName)) {
+      throw new Error(`OLLAMA_BACKENDS: backend "${resolvedName}" is listed twice`);
+    }
+    names.add(resolvedName);
+    return createBackend({ name: resolvedName, host });
+  });
+  rotation.clear();
+  lastCheck = null;
+  return backends;
+}
+
+export function getBackends() {
+  return backends;
+}
+
+export function getBackend(name) {
+  return backends.find(backend => backend.name === name) || null;
+}
+
+// 'local', 'cloud', or 'mixed' when both kinds are configured
+export function getBackendMode() {
+  if (backends.every(backend => backend.cloud)) return 'cloud';
+  if (backends.some(backend => backend.cloud)) return 'mixed';
+  return 'local';
+}
+
+// Client for `backend` whose requests (streamed or not) are cancelled when `signal` aborts
+export function createBackendClient(backend, signal) {
+  if (!signal) return backend.client;
+  return new Ollama({
+    ...backend.clientConfig,
+    fetch: (url, init = {}) => fetch(url, {
+      ...init,
+      signal: init.signal ? AbortSignal.any([init.signal, signal]) : signal
+    })
+  });
+}
+
+// Whether `error` means the backend could not be reached or is failing as a whole (502-504)
+export function isBackendUnreachable(error) {
+  if (error?.name === 'AbortError') return false;
+  return UNREACHABLE_PATTERN.test(error?.message || '') || UNREACHABLE_PATTERN.test(error?.cause?.code || '') || [502, 503, 504].includes(error?.status_code);
+}
+
+// Take a backend out of rotation after a failed request; the next health check can bring it back
+export function markUnhealthy(backend, error) {
+  if (backend.healthy) {
+    log.warn('Backend unreachable, leaving it out until it answers again', { backend: backend.name, error });
+    countError('backend');
+  }
+  backend.healthy = false;
+  backend.error = error?.message || String(error);
+}
+
+// List one backend's models; this is also its health check. Also used to pick up a model that was
+// just pulled or deleted.
+export async function checkBackend(backend) {
+  try {
+    const response = await backend.client.list();
+    backend.models = response.models || [];
+    if (!backend.healthy) {
+      log.info('Backend is back', { backend: backend.name, models: backend.models.length });
+    }
+    backend.healthy = true;
+    backend.error = null;
+    backend.listError = null;
+  } catch (error) {
+    // An answer that is not about reachability (e.g. 401) still leaves the backend up for models it has
+    if (isBackendUnreachable(error)) {
+      markUnhealthy(backend, error);
+      backend.listError = null;
+    } else {
+      backend.error = error.message;
+      backend.listError = error;
+      log.warn('Could not list models', { backend: backend.name, error });
+    }
+  } finally {
+    backend.checkedAt = new Date().toISOString();
+  }
+}
+
+export async function checkBackends() {
+  const done = Promise.all(backends.map(checkBackend)).then(() => {});
+  lastCheck = { startedAt: Date.now(), done };
+  return done;
+}
+
+// Check again unless a check started less than RECHECK_INTERVAL_MS ago (then wait for that one)
+function recheckBackends() {
+  if (lastCheck && Date.now() - lastCheck.startedAt < RECHECK_INTERVAL_MS) return lastCheck.done;
+  return checkBackends();
+}
+
+// Models of every backend as of the last health check, one entry per model name with the backends
+// that have it in `backends`. Only before the first check has finished is one waited for.
+// Rejects only when no backend could be listed at all: with the error a backend answered with when
+// there is one (so a 401 from Ollama Cloud reaches the caller as such), otherwise with 'NO_BACKEND'.
+export async function listModels() {
+  if (!backends.every(backend => backend.checkedAt)) {
+    await (lastCheck?.done ?? checkBackends());
+  }
+  const listed = backends.filter(backend => backend.healthy && !backend.error);
+  if (listed.length === 0) {
+    const answerError = backends.find(backend => backend.listError)?.listError;
+    if (answerError) throw answerError;
+    const error = new Error(`No Ollama backend could be reached (${backends.map(b => `${b.name}: ${b.error}`).join('; ')})`);
+    error.code = 'NO_BACKEND';
+    throw error;
+  }
+  const merged = new Map();
+  for (const backend of listed) {
+    for (const model of backend.models) {
+      const entry = merged.get(model.name);
+      if (entry) {
+        entry.backends.push(backend.name);
+      } else {
+        merged.set(model.name, { ...model, backends: [backend.name] });
+      }
+    }
+  }
+  return Array.from(merged.values());
+}
+
+// Model name as Ollama resolves it: without a tag it means ":latest" ("llama3" is "llama3:latest")
+function withTag(model) {
+  const name = String(model || '').trim();
+  return name.slice(name.lastIndexOf('/') + 1).includes(':') ? name : `${name}:latest`;
+}
+
+function hasModel(backend, model) {
+  const wanted = withTag(model);
+  return backend.models.some(m => withTag(m.name) === wanted || withTag(m.model) === wanted);
+}
+
+// Pick the backend for a request to `model`: healthy backends that have it, in turn. Backends in
+// `exclude` (names) were already tried. When none qualifies the backends are checked again first
+// (at most every RECHECK_INTERVAL_MS); a model no backend lists goes to the first healthy backend,
+// so that Ollama can report it missing (or, in the cloud, serve it anyway). Rejects with code 'NO_BACKEND'.
+export async function selectBackend(model, { exclude = [] } = {}) {
+  const owners = () => backends.filter(backend => backend.healthy && !exclude.includes(backend.name) && hasModel(backend, model));
+  let pool = owners();
+  if (pool.length === 0) {
+    // Listings and health are only as fresh as the last check
+    await recheckBackends();
+    pool = owners();
+  }
+  if (pool.length === 0 && !backends.some(backend => hasModel(backend, model))) {
+    pool = backends.filter(backend => backend.healthy && !exclude.includes(backend.name)).slice(0, 1);
+  }
+  if (pool.length === 0) {
+    const tried = exclude.length > 0 ? ` (tried ${exclude.join(', ')})` : '';
+    const error = new Error(`No Ollama backend is available for ${model}${tried}`);
+    error.code = 'NO_BACKEND';
+    throw error;
+  }
+  const turn = rotation.get(model) || 0;
+  rotation.set(model, turn + 1);
+  return pool[turn % pool.length];
+}
+
+// Backend to ask about `model` (its details, say) without taking a turn in the rotation: the first
+// healthy backend that listed it at the last check, else the first healthy backend. Rejects with code 'NO_BACKEND'.
+export function findBackend(model) {
+  const healthy = backends.filter(backend => backend.healthy);
+  const backend = healthy.find(candidate => hasModel(candidate, model)) || healthy[0];
+  if (!backend) {
+    const error = new Error(`No Ollama backend is available for ${model}`);
+    error.code = 'NO_BACKEND';
+    throw error;
+  }
+  return backend;
+}
+
+export function isNoBackendError(error) {
+  return error?.code === 'NO_BACKEND';
+}
+
+// Check every backend now and then every BACKEND_HEALTH_INTERVAL_SECONDS; returns the interval in seconds
+export function startHealthChecks() {
+  if (healthTimer) clearInterval(healthTimer);
+  checkBackends().catch(error => log.error('Backend check failed', { error }));
+  healthTimer = setInterval(() => {
+    checkBackends().catch(error => log.error('Backend check failed', { error }));
+  }, config.healthIntervalMs);
+  healthTimer.unref?.();
+  return config.healthIntervalMs / 1000;
+}
+
+// Backends for /api/backends and the startup log; API keys are never included
+export function describeBackends() {
+  return backends.map(backend => ({
+    name: backend.name,
+    host: backend.host,
+    cloud: backend.cloud,
+    hasApiKey: backend.cloud ? Boolean(backend.apiKey) : undefined,
+    healthy: backend.healthy,
+    checkedAt: backend.checkedAt,
+    error: backend.error,
+    models: backend.models.length,
+    queue: backend.queue.stats()
+  }));
+}
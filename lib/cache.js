@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+// In-memory LRU caches with a time-to-live, for web search results and search decisions.
+// With CACHE_PERSIST=on each cache is also written to <dataDir>/cache/<name>.json (shortly after
+// it changes) and loaded again at startup.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const log = createLogger('cache');
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+
+const config = {
+  enabled: (process.env.CACHE || 'on').trim().toLowerCase() !== 'off',
+  persist: (process.env.CACHE_PERSIST || 'off').trim().toLowerCase() === 'on',
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+  searchTtlMs: (parseInt(process.env.SEARCH_CACHE_TTL_MINUTES, 10) || 60) * 60 * 1000,
+  decisionTtlMs: (parseInt(process.env.DECISION_CACHE_TTL_MINUTES, 10) || 24 * 60) * 60 * 1000
+};
+
+// Delay before a changed cache is written to disk, so a burst of changes is one write
+const PERSIST_DELAY_MS = 2000;
+
+export function isCacheEnabled() {
+  return config.enabled;
+}
+
+// Lowercase, strip punctuation and collapse whitespace, so "What's the weather in Paris?" and
+// "what's the weather in  paris" share an entry
+export function normalizeQuery(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s'+#.-]/gu, ' ')
+    .replace(/(^|\s)[.'-]+|[.'-]+(?=\s|$)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function createCache(name, { maxEntries, ttlMs }) {
+  const entries = new Map(); // key -> { value, createdAt, expiresAt, hits }; Map order is least recently used first
+  const counters = { hits: 0, misses: 0 };
+  const file = path.join(CACHE_DIR, `${name}.json`);
+  let persistTimer = null;
+
+  function schedulePersist() {
+    if (!config.persist || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      save().catch(error => log.error('Failed to save cache', { cache: name, error }));
+    }, PERSIST_DELAY_MS);
+    persistTimer.unref?.();
+  }
+
+  // Write to a temp file first and rename, so a crash never leaves a half-written file
+  async function save() {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ entries: Array.from(entries) }), 'utf8');
+    await fs.rename(tmp, file);
+  }
+
+  async function load() {
+    if (!config.persist) return;
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of data.entries || []) {
+        if (entry.expiresAt > now) entries.set(key, entry);
+      }
+      trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Ignoring unreadable cache file', { cache: name, error });
+      }
+    }
+  }
+
+  function trim() {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // The cached value, or undefined when missing or expired
+  function get(key) {
+    if (!config.enabled) return undefined;
+    const entry = entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) {
+        entries.delete(key);
+        schedulePersist();
+      }
+      counters.misses++;
+      return undefined;
+    }
+    // Move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    entry.hits++;
+    counters.hits++;
+    return entry.value;
+  }
+
+  function set(key, value) {
+    if (!config.enabled) return;
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, { value, createdAt: now, expiresAt: now + ttlMs, hits: 0 });
+    trim();
+    schedulePersist();
+  }
+
+  // Remove every entry; returns how many there were
+  function clear() {
+    const count = entries.size;
+    entries.clear();
+    counters.hits = 0;
+    counters.misses = 0;
+    schedulePersist();
+    return count;
+  }
+
+  // Summary and entry list (most recently used first) for the cache endpoint
+  function inspect() {
+    const now = Date.now();
+    return {
+      name,
+      size: entries.size,
+      maxEntries,
+      ttlSeconds: Math.round(ttlMs / 1000),
+      hits: counters.hits,
+      misses: counters.misses,
+      entries: Array.from(entries)
+        .filter(([, entry]) => entry.expiresAt > now)
+        .reverse()
+        .map(([key, entry]) => ({
+          key,
+          hits: entry.hits,
+          createdAt: new Date(entry.createdAt).toISOString(),
+          expiresAt: new Date(entry.expiresAt).toISOString()
+        }))
+    };
+  }
+
+  return { name, get, set, clear, inspect, load };
+}
+
+// Web search results, keyed by provider, result count and normalized query
+export const searchCache = createCache('search', { maxEntries: config.maxEntries, ttlMs: config.searchTtlMs });
+// Search decisions (web / documents / none), keyed by model, date, collections and normalized message
+export const decisionCache = createCache('decisions', { maxEntries: config.maxEntries, ttlMs: config.decisionTtlMs });
+
+const caches = { [searchCache.name]: searchCache, [decisionCache.name]: decisionCache };
+
+export function getCache(name) {
+  return caches[name] || null;
+}
+
+export function listCaches() {
+  return Object.values(caches);
+}
+
+// Load persisted entries (CACHE_PERSIST=on); call once at startup
+export async function loadCaches() {
+  await Promise.all(listCaches().map(cache => cache.load()));
+}
+
+export function describeCacheConfig() {
+  if (!config.enabled) return 'off';
+  return `search ${Math.round(config.searchTtlMs / 60000)} min, decisions ${Math.round(config.decisionTtlMs / 60000)} min, up to ${config.maxEntries} entries each${config.persist ? ', saved to disk' : ''}`;
+}
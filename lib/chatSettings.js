@@ -0,0 +1,94 @@
+import { isValidCollectionId } from './documentStore.js';
+
+// Per-conversation generation settings: Ollama model options, a user system prompt and the
+// document collections the answers may draw on.
+// Settings arrive from the browser (or API callers) and are validated here before they
+// are stored with the conversation or passed to ollama.chat.
+
+export const MAX_SYSTEM_PROMPT_LENGTH = 8000;
+const MAX_STOP_SEQUENCES = 8;
+const MAX_STOP_LENGTH = 100;
+const MAX_COLLECTIONS = 10;
+
+// Supported numeric options with their allowed ranges
+const NUMERIC_OPTIONS = {
+  temperature: { min: 0, max: 2 },
+  top_p: { min: 0, max: 1 },
+  top_k: { min: 1, max: 1000, integer: true },
+  num_ctx: { min: 256, max: 1048576, integer: true },
+  seed: { min: -2147483648, max: 2147483647, integer: true },
+  repeat_penalty: { min: 0, max: 5 },
+  num_predict: { min: -2, max: 1048576, integer: true } // -1 = no limit, -2 = fill the context
+};
+
+export const SUPPORTED_OPTIONS = [...Object.keys(NUMERIC_OPTIONS), 'stop'];
+
+export function defaultSettings() {
+  return { options: {}, systemPrompt: '', collections: [] };
+}
+
+// Validate raw options; empty values mean "use the model default" and are dropped.
+// Returns { options } or { error } with a message suitable for a 400 response.
+export function normalizeOptions(raw = {}) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'options must be an object' };
+  }
+
+  const options = {};
+  for (const [name, value] of Object.entries(raw)) {
+    if (value === null || value === undefined || value === '') continue;
+
+    if (name === 'stop') {
+      const list = (Array.isArray(value) ? value : [value]).filter(s => s !== '');
+      if (list.some(s => typeof s !== 'string' || s.length > MAX_STOP_LENGTH) || list.length > MAX_STOP_SEQUENCES) {
+        return { error: `stop must be a list of at most ${MAX_STOP_SEQUENCES} strings of up to ${MAX_STOP_LENGTH} characters` };
+      }
+      if (list.length > 0) options.stop = list;
+      continue;
+    }
+
+    const limits = NUMERIC_OPTIONS[name];
+    if (!limits) {
+      return { error: `Unsupported option "${name}". Supported options: ${SUPPORTED_OPTIONS.join(', ')}` };
+    }
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || (limits.integer && !Number.isInteger(number))) {
+      return { error: `${name} must be ${limits.integer ? 'an integer' : 'a number'}` };
+    }
+    if (number < limits.min || number > limits.max) {
+      return { error: `${name} must be between ${limits.min} and ${limits.max}` };
+    }
+    options[name] = number;
+  }
+  return { options };
+}
+
+// Validate { options, systemPrompt, collections }; returns { settings } or { error }
+export function normalizeSettings({ options = {}, systemPrompt = '', collections = [] } = {}) {
+  const normalized = normalizeOptions(options);
+  if (normalized.error) return normalized;
+
+  if (typeof systemPrompt !== 'string') {
+    return { error: 'systemPrompt must be a string' };
+  }
+  if (systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+    return { error: `systemPrompt must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters` };
+  }
+  if (!Array.isArray(collections) || collections.length > MAX_COLLECTIONS || collections.some(id => !isValidCollectionId(id))) {
+    return { error: `collections must be a list of at most ${MAX_COLLECTIONS} collection ids` };
+  }
+  return { settings: { options: normalized.options, systemPrompt: systemPrompt.trim(), collections: [...new Set(collections)] } };
+}
+
+// Settings sent with a request laid over `base` (the stored or the default settings): a field that
+// is left out keeps its value from `base`, and null resets it to the default.
+// Returns { settings } or { error }, like normalizeSettings.
+export function mergeSettings(base, { options, systemPrompt, collections } = {}) {
+  const defaults = defaultSettings();
+  const pick = (name, value) => value === undefined ? base[name] : value ?? defaults[name];
+  return normalizeSettings({
+    options: pick('options', options),
+    systemPrompt: pick('systemPrompt', systemPrompt),
+    collections: pick('collections', collections)
+  });
+}
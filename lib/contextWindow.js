@@ -0,0 +1,109 @@
+// Context window budgeting
+// Estimates prompt size in tokens and decides which history messages still fit the model's
+// context window. Older turns that do not fit are folded into a rolling summary by the caller.
+
+const config = {
+  enabled: (process.env.CONTEXT_MANAGEMENT || 'on').trim().toLowerCase() !== 'off',
+  // Ollama's own default when neither the request nor the Modelfile sets num_ctx
+  defaultNumCtx: parseInt(process.env.CONTEXT_DEFAULT_NUM_CTX, 10) || 4096,
+  // Conservative average for English text and code; most tokenizers land between 3.5 and 4.5
+  charsPerToken: parseFloat(process.env.CONTEXT_CHARS_PER_TOKEN) || 3.5,
+  responseReserve: parseInt(process.env.CONTEXT_RESPONSE_RESERVE, 10) || 1024,
+  searchReserve: parseInt(process.env.CONTEXT_SEARCH_RESERVE, 10) || 2000,
+  summaryMaxTokens: parseInt(process.env.CONTEXT_SUMMARY_MAX_TOKENS, 10) || 500
+};
+
+// Chat templates add role markers and separators around every message
+const MESSAGE_OVERHEAD_TOKENS = 8;
+// Vision encoders turn an image into a fixed-size block of tokens; this is a typical size
+const IMAGE_TOKENS = parseInt(process.env.CONTEXT_IMAGE_TOKENS, 10) || 768;
+
+export function isContextManagementEnabled() {
+  return config.enabled;
+}
+
+export function getDefaultNumCtx() {
+  return config.defaultNumCtx;
+}
+
+export function getSummaryMaxTokens() {
+  return config.summaryMaxTokens;
+}
+
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / config.charsPerToken);
+}
+
+export function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content) + (m.images?.length || 0) * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+// Tokens left for history once the system prompt, the new message, room for search results
+// and room for the answer are set aside. Reserves shrink with small context windows so
+// history never gets squeezed out entirely.
+export function historyBudget({ numCtx, systemPrompt, message, images = [], numPredict }) {
+  const responseReserve = numPredict > 0
+    ? Math.min(numPredict, Math.floor(numCtx / 2))
+    : Math.min(config.responseReserve, Math.floor(numCtx / 4));
+  const searchReserve = Math.min(config.searchReserve, Math.floor(numCtx * 0.3));
+  const fixed = estimateMessagesTokens([{ content: systemPrompt }, { content: message, images }]);
+  return Math.max(0, numCtx - responseReserve - searchReserve - fixed);
+}
+
+// History as sent to the model: the rolling summary (if any) followed by the messages it does not cover
+export function withSummary(history, summary) {
+  if (!summary?.content) return history;
+  return [
+    { role: 'system', content: `Summary of the earlier part of this conversation:\n${summary.content}` },
+    ...history.slice(summary.messageCount)
+  ];
+}
+
+// Decide how much history to keep verbatim.
+// Returns null when `history` (with the current summary) already fits `budget`; otherwise
+// { splitIndex } - messages before splitIndex need to be folded into the summary. The kept
+// tail always starts at a user message so question/answer pairs stay together.
+export function planHistory(history, summary, budget) {
+  if (estimateMessagesTokens(withSummary(history, summary)) <= budget) {
+    return null;
+  }
+
+  const covered = summary?.content ? summary.messageCount : 0;
+  const keepBudget = budget - Math.min(config.summaryMaxTokens, Math.floor(budget / 3)) - MESSAGE_OVERHEAD_TOKENS;
+
+  let splitIndex = history.length;
+  let used = 0;
+  for (let i = history.length - 1; i >= covered; i--) {
+    used += estimateMessagesTokens([history[i]]);
+    if (used > keepBudget) break;
+    if (history[i].role === 'user') splitIndex = i;
+  }
+  return { splitIndex: Math.max(splitIndex, covered) };
+}
+
+// Split messages into batches that fit `budget` tokens each, cutting single oversized messages.
+// Images are not summarized; the transcript only notes that they were attached.
+export function batchMessages(messages, budget) {
+  const maxChars = Math.max(200, Math.floor(budget * config.charsPerToken));
+  const batches = [];
+  let current = [];
+  let used = 0;
+  for (const message of messages) {
+    let content = message.content.length > maxChars
+      ? `${message.content.substring(0, maxChars)} [...]`
+      : message.content;
+    if (message.images?.length) {
+      content += ` [${message.images.length} image(s) attached]`;
+    }
+    const tokens = estimateTokens(content) + MESSAGE_OVERHEAD_TOKENS;
+    if (current.length > 0 && used + tokens > budget) {
+      batches.push(current);
+      current = [];
+      used = 0;
+    }
+    current.push({ role: message.role, content });
+    used += tokens;
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
@@ -0,0 +1,366 @@
+import { Marked } from 'marked';
+import { getBranch, isValidMessageId } from './conversationStore.js';
+import { normalizeSettings, defaultSettings } from './chatSettings.js';
+import { loadImage, parseImages, saveImages } from './imageStore.js';
+
+// Conversation export and import
+// Markdown and HTML exports show the branch being viewed, for pasting into tickets and docs; the
+// HTML file is standalone (inline styles, images embedded as data: URLs) and is also what share
+// links serve. The JSON export holds the whole tree of messages with images embedded, and is the
+// format POST /api/conversations/import reads back.
+export const EXPORT_FORMAT = 'ollama-chatbot-conversation';
+export const EXPORT_VERSION = 1;
+const MAX_IMPORT_MESSAGES = 10000;
+
+export const EXPORT_TYPES = {
+  markdown: { ext: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { ext: 'json', contentType: 'application/json; charset=utf-8' },
+  html: { ext: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+// Exported HTML may be opened from disk or served from /share/<token>; it needs no scripts, and
+// the only images are the embedded attachments
+export const HTML_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; base-uri 'none'; form-action 'none'";
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isSafeLink(href) {
+  return typeof href === 'string' && /^(https?:|mailto:)/i.test(href.trim());
+}
+
+// marked passes raw HTML and any link through, and there is no DOMPurify on the server: raw HTML is
+// shown as text, only http(s) and mailto links are kept, and images become links so the page
+// loads nothing from elsewhere
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      if (!isSafeLink(href)) return text;
+      const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+      return `<a href="${escapeHtml(href)}"${titleAttribute} rel="noopener noreferrer">${text}</a>`;
+    },
+    image({ href, text }) {
+      const label = escapeHtml(text || href);
+      return isSafeLink(href) ? `<a href="${escapeHtml(href)}" rel="noopener noreferrer">🖼 ${label}</a>` : label;
+    }
+  }
+});
+
+// "2026-03-01 14:05 UTC"
+function formatTime(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '' : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// File name for an export, from the conversation title
+export function exportFilename(conversation, format) {
+  const slug = (conversation.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || 'conversation'}.${EXPORT_TYPES[format].ext}`;
+}
+
+function describeSource(source) {
+  if (source.document) {
+    return `${source.document.file || source.title}, passage ${(source.document.chunk ?? 0) + 1}`;
+  }
+  return source.title || source.link || '';
+}
+
+function describeSearch(event) {
+  const where = event.source === 'documents' ? 'documents' : 'web';
+  const outcome = event.error ? `failed: ${event.error}` : `${(event.results || []).length} result(s)`;
+  return { where, outcome };
+}
+
+// Attachments as data: URLs, in the order they were attached; images missing on disk are left out
+async function embedImages(images = []) {
+  const loaded = await Promise.all(images.map(async image => {
+    const stored = await loadImage(image.id);
+    return stored ? { mimeType: stored.mimeType, data: `data:${stored.mimeType};base64,${stored.buffer.toString('base64')}` } : null;
+  }));
+  return loaded.filter(Boolean);
+}
+
+export function toMarkdown(conversation) {
+  const lines = [`# ${conversation.title}`, ''];
+  if (conversation.model) lines.push(`- Model: ${conversation.model}`);
+  lines.push(`- Created: ${formatTime(conversation.createdAt)}`, `- Updated: ${formatTime(conversation.updatedAt)}`, `- Exported: ${formatTime(new Date().toISOString())}`, '');
+
+  for (const message of getBranch(conversation)) {
+    const who = message.role === 'user' ? 'User' : `Assistant${message.model ? ` (${message.model})` : ''}`;
+    lines.push('---', '', `### ${who} · ${formatTime(message.createdAt)}`, '', message.content || '_(no answer)_', '');
+    if (message.images?.length) {
+      lines.push(`_${message.images.length} image(s) attached_`, '');
+    }
+    if (message.stopped) {
+      lines.push('_Stopped before the answer was complete_', '');
+    }
+    if (message.sources?.length) {
+      lines.push('**Sources**', '');
+      for (const source of message.sources) {
+        const label = describeSource(source).replace(/([[\]])/g, '\\$1');
+        const link = isSafeLink(source.link) ? source.link.trim().replace(/[<>\s]/g, encodeURIComponent) : null;
+        lines.push(link ? `${source.index}. [${label}](<${link}>)` : `${source.index}. ${label}`);
+      }
+      lines.push('');
+    }
+  }
+
+  const searches = conversation.searchEvents || [];
+  if (searches.length > 0) {
+    lines.push('---', '', '## Searches', '');
+    for (const event of searches) {
+      const { where, outcome } = describeSearch(event);
+      lines.push(`- ${formatTime(event.createdAt)} · ${where} · \`${String(event.query).replace(/`/g, "'")}\` · ${outcome}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+// The whole conversation, every branch included, in the format parseImport reads
+export async function toJson(conversation) {
+  const messages = await Promise.all(conversation.messages.map(async ({ images, ...message }) => {
+    return images?.length ? { ...message, images: await embedImages(images) } : message;
+  }));
+  const exported = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      title: conversation.title,
+      model: conversation.model,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      settings: conversation.settings,
+      currentId: conversation.currentId,
+      summary: conversation.summary,
+      messages,
+      searchEvents: conversation.searchEvents || []
+    }
+  };
+  return JSON.stringify(exported, null, 2);
+}
+
+const HTML_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 820px; margin: 0 auto; padding: 24px; color: #1f2933; background: #f7f8fa; line-height: 1.55; }
+header { border-bottom: 1px solid #d9dee5; margin-bottom: 20px; }
+h1 { font-size: 1.5em; margin: 0 0 6px; }
+.meta, .message-meta, footer { color: #6b7785; font-size: 0.85em; }
+.message { background: #fff; border: 1px solid #e1e5ea; border-radius: 10px; padding: 12px 16px; margin: 14px 0; }
+.message.user { background: #eef3ff; border-color: #d6e0fb; }
+.message-meta { margin-bottom: 6px; font-weight: 600; }
+.content pre { background: #f0f2f5; padding: 10px; border-radius: 6px; overflow-x: auto; }
+.content code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.9em; }
+.content table { border-collapse: collapse; }
+.content th, .content td { border: 1px solid #d9dee5; padding: 4px 8px; }
+.images img { max-width: 240px; max-height: 240px; border-radius: 6px; margin: 4px 6px 0 0; }
+.note { color: #9a6700; font-size: 0.85em; }
+.sources { font-size: 0.85em; border-top: 1px solid #eef0f3; margin-top: 10px; padding-top: 6px; }
+.sources ol { margin: 4px 0; padding-left: 20px; }
+section.searches li { font-size: 0.85em; }
+`;
+
+// Standalone page of the branch being viewed. `heading` is shown above the title, e.g. for share links.
+export async function toHtml(conversation, { heading = 'Exported conversation' } = {}) {
+  const messages = await Promise.all(getBranch(conversation).map(async message => {
+    const who = message.role === 'user' ? 'User' : `Assistant${message.model ? ` · ${message.model}` : ''}`;
+    const parts = [
+      `<article class="message ${message.role === 'user' ? 'user' : 'assistant'}">`,
+      `<div class="message-meta">${escapeHtml(who)} · <time datetime="${escapeHtml(message.createdAt)}">${escapeHtml(formatTime(message.createdAt))}</time></div>`,
+      `<div class="content">${message.content ? markdown.parse(message.content) : '<p><em>(no answer)</em></p>'}</div>`
+    ];
+    if (message.images?.length) {
+      const images = await embedImages(message.images);
+      parts.push(`<div class="images">${images.map(image => `<img src="${image.data}" alt="Attached image">`).join('')}</div>`);
+    }
+    if (message.stopped) {
+      parts.push('<p class="note">Stopped before the answer was complete</p>');
+    }
+    if (message.sources?.length) {
+      const items = message.sources.map(source => {
+        const label = escapeHtml(describeSource(source));
+        const text = isSafeLink(source.link) ? `<a href="${escapeHtml(source.link)}" rel="noopener noreferrer">${label}</a>` : label;
+        return `<li value="${Number(source.index) || 0}">${text}</li>`;
+      });
+      parts.push(`<div class="sources"><strong>Sources</strong><ol>${items.join('')}</ol></div>`);
+    }
+    parts.push('</article>');
+    return parts.join('\n');
+  }));
+
+  const searches = (conversation.searchEvents || []).map(event => {
+    const { where, outcome } = describeSearch(event);
+    return `<li>${escapeHtml(formatTime(event.createdAt))} · ${where} · <code>${escapeHtml(event.query)}</code> · ${escapeHtml(outcome)}</li>`;
+  });
+  const meta = [
+    conversation.model ? `Model ${escapeHtml(conversation.model)}` : '',
+    `created ${escapeHtml(formatTime(conversation.createdAt))}`,
+    `updated ${escapeHtml(formatTime(conversation.updatedAt))}`
+  ].filter(Boolean).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta http-equiv="Content-Security-Policy" content="${HTML_CONTENT_SECURITY_POLICY}">
+<meta name="referrer" content="no-referrer">
+<title>${escapeHtml(conversation.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header>
+<div class="meta">${escapeHtml(heading)}</div>
+<h1>${escapeHtml(conversation.title)}</h1>
+<div class="meta">${meta}</div>
+</header>
+<main>
+${messages.join('\n')}
+</main>
+${searches.length > 0 ? `<section class="searches">\n<h2>Searches</h2>\n<ul>${searches.join('\n')}</ul>\n</section>` : ''}
+<footer><p>Ollama Chatbot · ${escapeHtml(formatTime(new Date().toISOString()))}</p></footer>
+</body>
+</html>
+`;
+}
+
+// Export `conversation` as `format` (one of EXPORT_TYPES); returns the file body
+export async function exportConversation(conversation, format) {
+  if (format === 'markdown') return toMarkdown(conversation);
+  if (format === 'html') return toHtml(conversation);
+  return toJson(conversation);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function optionalString(value) {
+  return typeof value === 'string' ? value : undefined;
+}
+
+function validTime(value, fallback) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : fallback;
+}
+
+// Only the fields the app itself writes are kept from imported sources and search events
+function readSource(source) {
+  if (!isPlainObject(source)) return null;
+  const read = { index: Number.isInteger(source.index) ? source.index : 0, title: optionalString(source.title) || '' };
+  if (typeof source.link === 'string') read.link = source.link;
+  if (typeof source.snippet === 'string') read.snippet = source.snippet;
+  if (isPlainObject(source.document)) {
+    const { collection, documentId, file, chunk } = source.document;
+    read.document = { collection: optionalString(collection), documentId: optionalString(documentId), file: optionalString(file), chunk: Number.isInteger(chunk) ? chunk : 0 };
+  }
+  return read;
+}
+
+function readSearchEvent(event) {
+  if (!isPlainObject(event) || typeof event.query !== 'string') return null;
+  const read = { query: event.query, stage: optionalString(event.stage) || 'reasoning', createdAt: validTime(event.createdAt, new Date().toISOString()) };
+  if (event.source === 'documents') read.source = 'documents';
+  if (typeof event.error === 'string') {
+    read.error = event.error;
+  } else {
+    read.results = (Array.isArray(event.results) ? event.results : []).filter(isPlainObject).map(result => read.source
+      ? { collection: optionalString(result.collection), file: optionalString(result.file), chunk: Number.isInteger(result.chunk) ? result.chunk : 0, score: typeof result.score === 'number' ? result.score : undefined }
+      : { title: optionalString(result.title) || '', link: optionalString(result.link) || '', snippet: optionalString(result.snippet) || '' });
+  }
+  return read;
+}
+
+// Read a JSON export (as produced by toJson) for import. Everything is checked before any image is
+// stored. Returns { conversation } with the fields for importConversation (images already saved) or
+// { error } with a message suitable for a 400 response.
+export async function parseImport(data) {
+  if (!isPlainObject(data) || data.format !== EXPORT_FORMAT || !isPlainObject(data.conversation)) {
+    return { error: `Not a conversation export: expected a JSON object with "format": "${EXPORT_FORMAT}"` };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > EXPORT_VERSION) {
+    return { error: `Unsupported export version ${data.version} (this server reads version ${EXPORT_VERSION})` };
+  }
+  const source = data.conversation;
+  if (!Array.isArray(source.messages) || source.messages.length > MAX_IMPORT_MESSAGES) {
+    return { error: `conversation.messages must be a list of at most ${MAX_IMPORT_MESSAGES} messages` };
+  }
+
+  const now = new Date().toISOString();
+  const ids = new Set();
+  const messages = [];
+  const pendingImages = [];
+  for (const [index, raw] of source.messages.entries()) {
+    const position = `Message ${index + 1}`;
+    if (!isPlainObject(raw) || !isValidMessageId(raw.id) || ids.has(raw.id)) {
+      return { error: `${position} needs an id of its own` };
+    }
+    // Parents come before their replies, as in an export, which also rules out cycles
+    const parentId = raw.parentId ?? null;
+    if (parentId !== null && !ids.has(parentId)) {
+      return { error: `${position} follows a message that does not come before it` };
+    }
+    if (raw.role !== 'user' && raw.role !== 'assistant') {
+      return { error: `${position} must have the role "user" or "assistant"` };
+    }
+    if (typeof raw.content !== 'string') {
+      return { error: `${position} needs text content` };
+    }
+    ids.add(raw.id);
+
+    const message = { id: raw.id, parentId, role: raw.role, content: raw.content, createdAt: validTime(raw.createdAt, now) };
+    if (raw.role === 'assistant') {
+      message.model = optionalString(raw.model) || optionalString(source.model) || null;
+      message.sources = (Array.isArray(raw.sources) ? raw.sources : []).map(readSource).filter(Boolean);
+      if (raw.stopped === true) message.stopped = true;
+    } else if (raw.images !== undefined) {
+      const imageData = Array.isArray(raw.images) ? raw.images.map(image => typeof image === 'string' ? image : image?.data) : raw.images;
+      const { images, error } = parseImages(imageData);
+      if (error) {
+        return { error: `${position}: ${error}` };
+      }
+      if (images.length > 0) pendingImages.push({ message, images });
+    }
+    messages.push(message);
+  }
+
+  const settings = normalizeSettings(isPlainObject(source.settings) ? source.settings : defaultSettings());
+  if (settings.error) {
+    return { error: `conversation.settings: ${settings.error}` };
+  }
+
+  let summary;
+  if (isPlainObject(source.summary) && typeof source.summary.content === 'string' && Number.isInteger(source.summary.messageCount) && ids.has(source.summary.throughId)) {
+    const { content, messageCount, throughId } = source.summary;
+    summary = { content, messageCount, throughId, updatedAt: validTime(source.summary.updatedAt, now) };
+  }
+
+  for (const { message, images } of pendingImages) {
+    message.images = await saveImages(images);
+  }
+
+  const title = typeof source.title === 'string' && source.title.trim() ? source.title.trim().substring(0, 200) : 'Imported conversation';
+  return {
+    conversation: {
+      title,
+      model: optionalString(source.model) || null,
+      createdAt: validTime(source.createdAt, now),
+      settings: settings.settings,
+      messages,
+      currentId: ids.has(source.currentId) ? source.currentId : messages.at(-1)?.id || null,
+      summary,
+      searchEvents: (Array.isArray(source.searchEvents) ? source.searchEvents : []).map(readSearchEvent).filter(Boolean)
+    }
+  };
+}
@@ -0,0 +1,305 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { defaultSettings } from './chatSettings.js';
+import { createLogger } from './logger.js';
+
+// File-backed conversation store
+// Each conversation is kept as its own JSON file under <dataDir>/conversations/<id>.json
+// Messages form a tree: each has an `id` and the `parentId` of the message it follows (null for
+// the first question), so an edited question or a regenerated answer becomes a sibling branch.
+// `currentId` is the last message of the branch being viewed, which new messages continue.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const CONVERSATIONS_DIR = path.join(DATA_DIR, 'conversations');
+const log = createLogger('store');
+
+// Conversation ids are UUIDs; anything else is rejected before touching the filesystem
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+// Pending writes per conversation, so concurrent updates are applied one after another
+const writeQueues = new Map();
+
+function conversationPath(id) {
+  return path.join(CONVERSATIONS_DIR, `${id}.json`);
+}
+
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// Build a short title from the first user message
+function makeTitle(message) {
+  const singleLine = (message || '').replace(/\s+/g, ' ').trim();
+  if (!singleLine) return 'New conversation';
+  return singleLine.length > 60 ? `${singleLine.substring(0, 57)}...` : singleLine;
+}
+
+function newMessageId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+export function isValidMessageId(id) {
+  return typeof id === 'string' && MESSAGE_ID_PATTERN.test(id);
+}
+
+// Conversations saved before branching have a plain list of messages: chain them in order, with
+// ids from their position so they stay the same until the conversation is written again
+function upgradeConversation(conversation) {
+  if (conversation.messages.every(m => m.id)) return conversation;
+  conversation.messages.forEach((message, index) => {
+    message.id = message.id || `m${index + 1}`;
+    message.parentId = index === 0 ? null : conversation.messages[index - 1].id;
+  });
+  conversation.currentId = conversation.messages.at(-1)?.id || null;
+  if (conversation.summary?.content && !conversation.summary.throughId) {
+    conversation.summary.throughId = chatMessages(conversation.messages)[conversation.summary.messageCount - 1]?.id;
+  }
+  return conversation;
+}
+
+async function ensureDir() {
+  await fs.mkdir(CONVERSATIONS_DIR, { recursive: true });
+}
+
+async function readConversation(id) {
+  try {
+    const raw = await fs.readFile(conversationPath(id), 'utf8');
+    return upgradeConversation(JSON.parse(raw));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Write to a temp file first and rename, so a crash never leaves a half-written conversation
+async function writeConversation(conversation) {
+  await ensureDir();
+  const target = conversationPath(conversation.id);
+  const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(conversation, null, 2), 'utf8');
+  await fs.rename(tmp, target);
+}
+
+// Run an update against a conversation, serialized with any other pending update for the same id
+function withConversation(id, updater) {
+  const previous = writeQueues.get(id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const conversation = await readConversation(id);
+    if (!conversation) return null;
+    const result = await updater(conversation);
+    if (result === false) return conversation;
+    conversation.updatedAt = new Date().toISOString();
+    await writeConversation(conversation);
+    return conversation;
+  });
+  writeQueues.set(id, next);
+  next.finally(() => {
+    if (writeQueues.get(id) === next) writeQueues.delete(id);
+  }).catch(() => {});
+  return next;
+}
+
+// Summary view used by the conversation list (no message bodies)
+function summarize(conversation) {
+  return {
+    id: conversation.id,
+    ownerId: conversation.ownerId || null,
+    title: conversation.title,
+    model: conversation.model,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    messageCount: getBranch(conversation).length
+  };
+}
+
+export async function listConversations() {
+  await ensureDir();
+  const files = (await fs.readdir(CONVERSATIONS_DIR)).filter(file => file.endsWith('.json'));
+  const conversations = [];
+  for (const file of files) {
+    try {
+      const conversation = await readConversation(path.basename(file, '.json'));
+      if (conversation) conversations.push(summarize(conversation));
+    } catch (error) {
+      log.warn('Skipping unreadable conversation file', { file, error });
+    }
+  }
+  return conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function getConversation(id) {
+  if (!isValidId(id)) return null;
+  return readConversation(id);
+}
+
+// `ownerId` is the id of the user the conversation belongs to (null when accounts are turned off)
+export async function createConversation({ model, title, messages = [], settings = defaultSettings(), ownerId = null } = {}) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: crypto.randomUUID(),
+    ownerId,
+    title: title || makeTitle(messages.find(m => m.role === 'user')?.content),
+    model: model || null,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    currentId: null,
+    searchEvents: [],
+    settings
+  };
+  for (const m of messages) {
+    const message = { id: newMessageId(), parentId: conversation.currentId, role: m.role, content: m.content, createdAt: now };
+    conversation.messages.push(message);
+    conversation.currentId = message.id;
+  }
+  await writeConversation(conversation);
+  log.info('Created conversation', { conversationId: conversation.id });
+  return conversation;
+}
+
+// Store an imported conversation (see parseImport in conversationExport.js) under a new id; the
+// messages keep their ids, tree and timestamps
+export async function importConversation({ ownerId = null, title, model, createdAt, messages, currentId, summary, searchEvents = [], settings = defaultSettings() }) {
+  const conversation = {
+    id: crypto.randomUUID(),
+    ownerId,
+    title,
+    model: model || null,
+    createdAt,
+    updatedAt: new Date().toISOString(),
+    messages,
+    currentId,
+    searchEvents,
+    settings
+  };
+  if (summary) conversation.summary = summary;
+  await writeConversation(conversation);
+  log.info('Imported conversation', { conversationId: conversation.id, messages: messages.length });
+  return conversation;
+}
+
+export async function renameConversation(id, title) {
+  if (!isValidId(id)) return null;
+  return withConversation(id, conversation => {
+    conversation.title = title;
+  });
+}
+
+// Replace the generation settings (model options and system prompt); expects already validated settings
+export async function updateConversationSettings(id, settings) {
+  if (!isValidId(id)) return null;
+  return withConversation(id, conversation => {
+    conversation.settings = settings;
+  });
+}
+
+// Settings of a stored conversation; conversations saved before settings existed get the defaults
+export function getConversationSettings(conversation) {
+  return { ...defaultSettings(), ...conversation.settings };
+}
+
+export async function deleteConversation(id) {
+  if (!isValidId(id)) return false;
+  try {
+    await fs.unlink(conversationPath(id));
+    log.info('Deleted conversation', { conversationId: id });
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+// Messages that follow `parentId` (null for the first questions), oldest first
+export function getChildren(conversation, parentId) {
+  return conversation.messages.filter(m => (m.parentId ?? null) === parentId);
+}
+
+export function getMessage(conversation, messageId) {
+  return conversation.messages.find(m => m.id === messageId) || null;
+}
+
+// Messages from the first question to `leafId` (default: the end of the current branch)
+export function getBranch(conversation, leafId = conversation.currentId) {
+  const byId = new Map(conversation.messages.map(m => [m.id, m]));
+  const branch = [];
+  for (let message = byId.get(leafId); message && branch.length < conversation.messages.length; message = byId.get(message.parentId)) {
+    branch.unshift(message);
+  }
+  return branch;
+}
+
+// Follow the newest reply from `messageId` down to the end of its branch
+function branchEnd(conversation, messageId) {
+  let id = messageId;
+  for (let children = getChildren(conversation, id); children.length > 0; children = getChildren(conversation, id)) {
+    id = children.at(-1).id;
+  }
+  return id;
+}
+
+// Make the branch through `messageId` (continued by its newest replies) the current one
+export async function selectBranch(id, messageId) {
+  if (!isValidId(id)) return null;
+  return withConversation(id, conversation => {
+    if (!getMessage(conversation, messageId)) return false;
+    conversation.currentId = branchEnd(conversation, messageId);
+  });
+}
+
+// Append a completed exchange (user question + assistant answer with its cited sources) and any searches it triggered.
+// `parentId` is the message the question follows (null for a first question). With `regenerate`,
+// `parentId` is instead an existing question that was answered again, and only the answer is added.
+// The new answer becomes the end of the current branch.
+// `stopped` marks an answer that was cut short because the user cancelled the request.
+// `summary` replaces the rolling summary of older turns ({ content, messageCount, updatedAt }) when given.
+// `userImages` are references to stored image attachments ({ id, mimeType, size }, see imageStore.js).
+export async function appendExchange(id, { parentId = null, regenerate = false, userMessage, userImages = [], assistantMessage, model, sources = [], searchEvents = [], stopped = false, summary }) {
+  if (!isValidId(id)) return null;
+  return withConversation(id, conversation => {
+    const now = new Date().toISOString();
+    if (conversation.messages.length === 0 && conversation.title === 'New conversation') {
+      conversation.title = makeTitle(userMessage);
+    }
+    conversation.model = model || conversation.model;
+    let question = regenerate ? getMessage(conversation, parentId) : null;
+    if (!question) {
+      question = { id: newMessageId(), parentId, role: 'user', content: userMessage, createdAt: now };
+      if (userImages.length > 0) question.images = userImages;
+      conversation.messages.push(question);
+    }
+    const reply = { id: newMessageId(), parentId: question.id, role: 'assistant', content: assistantMessage, model: model, sources, createdAt: now };
+    if (stopped) reply.stopped = true;
+    conversation.messages.push(reply);
+    conversation.currentId = reply.id;
+    conversation.searchEvents.push(...searchEvents);
+    if (summary) {
+      // Remember where the summarized part ends, to tell which branches it belongs to
+      const history = chatMessages(getBranch(conversation, question.parentId));
+      conversation.summary = { ...summary, throughId: history[summary.messageCount - 1]?.id };
+    }
+  });
+}
+
+// Answers stopped before any text arrived are left out of the history sent to the model
+function chatMessages(messages) {
+  return messages.filter(m => m.role !== 'assistant' || m.content);
+}
+
+// History of the branch ending at `leafId` (default: the current branch) in the shape Ollama
+// expects ({ role, content } plus the ids of attached images)
+export function toChatHistory(conversation, leafId = conversation.currentId) {
+  return chatMessages(getBranch(conversation, leafId))
+    .map(m => m.images?.length
+      ? { role: m.role, content: m.content, images: m.images.map(image => image.id) }
+      : { role: m.role, content: m.content });
+}
+
+// The rolling summary when it was written for the branch ending at `leafId`; a branch that
+// leaves the summarized part earlier starts without one
+export function getBranchSummary(conversation, leafId = conversation.currentId) {
+  const { summary } = conversation;
+  if (!summary?.content) return null;
+  return chatMessages(getBranch(conversation, leafId))[summary.messageCount - 1]?.id === summary.throughId ? summary : null;
+}
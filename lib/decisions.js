@@ -0,0 +1,131 @@
+import { renderPrompt } from './promptTemplates.js';
+import { createLogger } from './logger.js';
+import { decisionRepairsTotal } from './metrics.js';
+
+// Search and confirmation decisions as structured output: the JSON schema is sent as Ollama's
+// `format` so the model is constrained to it, and the reply is still parsed and checked against
+// the schema. A reply that does not match gets one retry with a repair prompt (templates/repair.txt)
+// listing what was wrong; after that the decision fails with error.code 'INVALID_DECISION'.
+const log = createLogger('decisions');
+
+// Prompt-based search decision without document collections
+export const SEARCH_DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    needs_search: { type: 'boolean' },
+    search_query: { type: 'string' },
+    reasoning: { type: 'string' }
+  },
+  required: ['needs_search', 'search_query', 'reasoning']
+};
+
+// Search decision when document collections are selected: where the answer should come from
+export const SOURCE_DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    source: { type: 'string', enum: ['web', 'documents', 'both', 'none'] },
+    search_query: { type: 'string' },
+    reasoning: { type: 'string' }
+  },
+  required: ['source', 'search_query', 'reasoning']
+};
+
+// Whether an answer written without search is good enough
+export const CONFIRMATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    is_adequate: { type: 'boolean' },
+    needs_search: { type: 'boolean' },
+    search_query: { type: 'string' },
+    reasoning: { type: 'string' }
+  },
+  required: ['is_adequate', 'needs_search', 'search_query', 'reasoning']
+};
+
+// Search query written without a decision, for searchMode 'always' and 'results'
+export const SEARCH_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    search_query: { type: 'string' }
+  },
+  required: ['search_query']
+};
+
+export function isInvalidDecisionError(error) {
+  return error?.code === 'INVALID_DECISION';
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Check `value` against the subset of JSON schema the decision schemas use (object, properties,
+// required, type, enum). Returns a list of problems; empty when the value matches.
+export function validateDecision(value, schema) {
+  if (typeOf(value) !== 'object') return [`expected a JSON object, got ${typeOf(value)}`];
+  const problems = [];
+  for (const name of schema.required || []) {
+    if (!(name in value)) problems.push(`"${name}" is missing`);
+  }
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (!(name in value)) continue;
+    const actual = typeOf(value[name]);
+    if (property.type && actual !== property.type) {
+      problems.push(`"${name}" must be a ${property.type}, got ${actual}`);
+    } else if (property.enum && !property.enum.includes(value[name])) {
+      problems.push(`"${name}" must be one of ${property.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+  }
+  return problems;
+}
+
+// Parse and check one reply; returns { value } or { problems }
+function readReply(content, schema) {
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (error) {
+    return { problems: [`the reply is not valid JSON (${error.message})`] };
+  }
+  const problems = validateDecision(value, schema);
+  return problems.length > 0 ? { problems } : { value };
+}
+
+// Ask `model` for a decision matching `schema`. `messages` are the decision prompt; `variables`
+// are the template variables it was rendered with, reused for the repair prompt. `stage` names
+// the decision in logs and metrics. Resolves with the parsed decision or rejects (see above).
+export async function requestDecision({ client, model, messages, schema, options, stage, variables = {} }) {
+  const ask = async (conversation) => {
+    const response = await client.chat({ model, messages: conversation, format: schema, options, stream: false });
+    return (response.message?.content || '').trim();
+  };
+
+  const content = await ask(messages);
+  log.debug('Raw decision reply', { stage, content: content.substring(0, 200) });
+  const first = readReply(content, schema);
+  if (first.value) return first.value;
+
+  log.warn('Invalid decision, retrying with a repair prompt', { stage, model, problems: first.problems, content: content.substring(0, 200) });
+  const repaired = await ask([
+    ...messages,
+    { role: 'assistant', content },
+    {
+      role: 'user',
+      content: renderPrompt('repair', model, { ...variables, problems: first.problems.map(problem => `- ${problem}`).join('\n'), schema: JSON.stringify(schema, null, 2) })
+    }
+  ]);
+  const second = readReply(repaired, schema);
+  if (second.value) {
+    decisionRepairsTotal.inc({ stage, outcome: 'repaired' });
+    log.info('Decision repaired', { stage, model });
+    return second.value;
+  }
+
+  decisionRepairsTotal.inc({ stage, outcome: 'failed' });
+  const error = new Error(`${model} did not return a valid ${stage} decision: ${second.problems.join('; ')}`);
+  error.code = 'INVALID_DECISION';
+  error.content = repaired.substring(0, 500);
+  throw error;
+}
@@ -0,0 +1,361 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { chunkText } from './pageReader.js';
+import { createLogger } from './logger.js';
+
+// Document collections for retrieval-augmented answers
+// Each collection lives in <dataDir>/collections/<id>/: collection.json lists its documents and
+// every document's chunks and embedding vectors are kept in <documentId>.json next to it.
+// Vectors are normalized when stored so similarity search is a plain dot product.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const COLLECTIONS_DIR = path.join(DATA_DIR, 'collections');
+const log = createLogger('documents');
+
+const config = {
+  embedModel: (process.env.EMBED_MODEL || 'nomic-embed-text').trim(),
+  maxBytes: parseInt(process.env.DOCUMENT_MAX_BYTES, 10) || 10 * 1024 * 1024,
+  chunkSize: parseInt(process.env.RAG_CHUNK_SIZE, 10) || 1000,
+  topK: parseInt(process.env.RAG_TOP_K, 10) || 4,
+  minScore: parseFloat(process.env.RAG_MIN_SCORE) || 0.3,
+  embedBatchSize: parseInt(process.env.EMBED_BATCH_SIZE, 10) || 16
+};
+
+// Supported uploads, by file extension
+const DOCUMENT_TYPES = {
+  '.txt': 'text',
+  '.text': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.pdf': 'pdf'
+};
+
+const MAX_NAME_LENGTH = 64;
+const COLLECTION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const DOCUMENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Pending writes per collection, so concurrent uploads are applied one after another
+const writeQueues = new Map();
+// collection id -> loaded chunks with their vectors, dropped whenever the collection changes
+const indexCache = new Map();
+
+export function getEmbedModel() {
+  return config.embedModel;
+}
+
+export function getDocumentLimits() {
+  return {
+    maxBytes: config.maxBytes,
+    extensions: Object.keys(DOCUMENT_TYPES)
+  };
+}
+
+// JSON body size needed for the largest allowed base64-encoded document
+export function getDocumentBodyLimit() {
+  return Math.ceil(config.maxBytes * 1.4) + 1024 * 1024;
+}
+
+export function isValidCollectionId(id) {
+  return typeof id === 'string' && COLLECTION_ID_PATTERN.test(id);
+}
+
+function collectionDir(id) {
+  return path.join(COLLECTIONS_DIR, id);
+}
+
+function collectionPath(id) {
+  return path.join(collectionDir(id), 'collection.json');
+}
+
+function vectorsPath(collectionId, documentId) {
+  return path.join(collectionDir(collectionId), `${documentId}.json`);
+}
+
+// Write to a temp file first and rename, so a crash never leaves a half-written index
+async function writeJson(target, value) {
+  const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value), 'utf8');
+  await fs.rename(tmp, target);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Run an update against a collection, serialized with any other pending update for the same id
+function withCollection(id, updater) {
+  const previous = writeQueues.get(id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const collection = await readJson(collectionPath(id));
+    if (!collection) return null;
+    const result = await updater(collection);
+    collection.updatedAt = new Date().toISOString();
+    await writeJson(collectionPath(id), collection);
+    indexCache.delete(id);
+    return result === undefined ? collection : result;
+  });
+  writeQueues.set(id, next);
+  next.finally(() => {
+    if (writeQueues.get(id) === next) writeQueues.delete(id);
+  }).catch(() => {});
+  return next;
+}
+
+// Collection ids are derived from the name: "Product Manuals" -> "product-manuals"
+function toCollectionId(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_NAME_LENGTH);
+}
+
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return vector.map(x => x / length);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+export async function listCollections() {
+  let entries;
+  try {
+    entries = await fs.readdir(COLLECTIONS_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const collections = await Promise.all(entries
+    .filter(entry => entry.isDirectory() && isValidCollectionId(entry.name))
+    .map(entry => readJson(collectionPath(entry.name)).catch(() => null)));
+  return collections
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getCollection(id) {
+  if (!isValidCollectionId(id)) return null;
+  return readJson(collectionPath(id));
+}
+
+// Create a collection owned by `ownerId` (null when accounts are turned off).
+// Ids are shared by all users, so a name another user already has gets a numbered id ("notes-2").
+// Returns { collection } or { error, status } (400 for a bad name, 409 when the owner already has it).
+export async function createCollection(name, ownerId = null) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    return { error: `Collection name must be 1-${MAX_NAME_LENGTH} characters`, status: 400 };
+  }
+  const baseId = toCollectionId(trimmed);
+  if (!isValidCollectionId(baseId)) {
+    return { error: 'Collection name must contain at least one letter or digit', status: 400 };
+  }
+  const existing = await listCollections();
+  if (existing.some(c => (c.ownerId || null) === ownerId && toCollectionId(c.name) === baseId)) {
+    return { error: `A collection named "${trimmed}" already exists`, status: 409 };
+  }
+
+  await fs.mkdir(COLLECTIONS_DIR, { recursive: true });
+  let id = null;
+  for (let n = 1; n <= 100 && !id; n++) {
+    const candidate = n === 1 ? baseId : `${baseId.substring(0, MAX_NAME_LENGTH - 4)}-${n}`;
+    try {
+      await fs.mkdir(collectionDir(candidate));
+      id = candidate;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  if (!id) {
+    return { error: `Too many collections named "${trimmed}"`, status: 409 };
+  }
+
+  const now = new Date().toISOString();
+  const collection = { id, ownerId, name: trimmed, embedModel: config.embedModel, createdAt: now, updatedAt: now, documents: [] };
+  await writeJson(collectionPath(id), collection);
+  log.info('Created collection', { collectionId: id, embedModel: config.embedModel });
+  return { collection };
+}
+
+export async function deleteCollection(id) {
+  if (!isValidCollectionId(id) || !await getCollection(id)) return false;
+  await fs.rm(collectionDir(id), { recursive: true, force: true });
+  indexCache.delete(id);
+  log.info('Deleted collection', { collectionId: id });
+  return true;
+}
+
+// Decode and extract the text of an uploaded file sent as base64 (or a data: URL) or as plain text.
+// Returns { document: { name, type, size, text } } or { error } with a message suitable for a 400 response.
+export async function extractDocument({ name, data, text } = {}) {
+  const fileName = typeof name === 'string' ? path.basename(name.trim()) : '';
+  if (!fileName || fileName.length > 200) {
+    return { error: 'A file name of up to 200 characters is required' };
+  }
+  const type = DOCUMENT_TYPES[path.extname(fileName).toLowerCase()];
+  if (!type) {
+    return { error: `Unsupported file type. Supported types: ${Object.keys(DOCUMENT_TYPES).join(', ')}` };
+  }
+
+  let buffer;
+  if (typeof text === 'string' && type !== 'pdf') {
+    buffer = Buffer.from(text, 'utf8');
+  } else if (typeof data === 'string') {
+    const base64 = data.replace(/^data:[^;,]*;base64,/, '');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64)) {
+      return { error: 'data must be base64-encoded' };
+    }
+    buffer = Buffer.from(base64, 'base64');
+  } else {
+    return { error: type === 'pdf' ? 'PDF files must be sent base64-encoded in data' : 'Either text or base64 data is required' };
+  }
+  if (buffer.length > config.maxBytes) {
+    return { error: `${fileName} is larger than ${Math.floor(config.maxBytes / (1024 * 1024))} MB` };
+  }
+
+  let content;
+  if (type === 'pdf') {
+    if (buffer.toString('ascii', 0, 5) !== '%PDF-') {
+      return { error: `${fileName} is not a PDF file` };
+    }
+    try {
+      content = (await pdfParse(buffer)).text;
+    } catch (error) {
+      return { error: `Could not read ${fileName}: ${error.message}` };
+    }
+  } else {
+    if (buffer.includes(0)) {
+      return { error: `${fileName} is not a text file` };
+    }
+    content = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  }
+
+  content = content.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').trim();
+  if (!content) {
+    return { error: type === 'pdf' ? `${fileName} has no extractable text (scanned PDFs need OCR first)` : `${fileName} is empty` };
+  }
+  return { document: { name: fileName, type, size: buffer.length, text: content } };
+}
+
+// Chunk and embed a document, then add it to the collection.
+// `embed(model, texts)` returns one embedding per text (see the /api/collections routes in server.js).
+export async function addDocument(collectionId, { name, type, size, text }, embed) {
+  const collection = await getCollection(collectionId);
+  if (!collection) return null;
+
+  const chunks = chunkText(text, config.chunkSize);
+  const vectors = [];
+  for (let i = 0; i < chunks.length; i += config.embedBatchSize) {
+    const batch = chunks.slice(i, i + config.embedBatchSize);
+    const embeddings = await embed(collection.embedModel, batch);
+    if (!Array.isArray(embeddings) || embeddings.length !== batch.length) {
+      throw new Error(`Embedding model ${collection.embedModel} returned ${embeddings?.length ?? 0} vector(s) for ${batch.length} chunk(s)`);
+    }
+    vectors.push(...embeddings.map(normalizeVector));
+  }
+
+  const document = {
+    id: crypto.randomUUID(),
+    name,
+    type,
+    size,
+    characters: text.length,
+    chunks: chunks.length,
+    createdAt: new Date().toISOString()
+  };
+  await writeJson(vectorsPath(collectionId, document.id), {
+    documentId: document.id,
+    chunks: chunks.map((chunk, index) => ({ text: chunk, embedding: vectors[index] }))
+  });
+
+  const updated = await withCollection(collectionId, current => {
+    current.documents.push(document);
+    current.dimensions = vectors[0]?.length || current.dimensions;
+  });
+  if (!updated) {
+    // The collection was deleted while the document was being embedded
+    await fs.rm(vectorsPath(collectionId, document.id), { force: true });
+    return null;
+  }
+  log.info('Added document', { collectionId, name, characters: text.length, chunks: chunks.length });
+  return { collection: updated, document };
+}
+
+export async function deleteDocument(collectionId, documentId) {
+  if (!isValidCollectionId(collectionId) || typeof documentId !== 'string' || !DOCUMENT_ID_PATTERN.test(documentId)) {
+    return false;
+  }
+  const removed = await withCollection(collectionId, collection => {
+    const index = collection.documents.findIndex(doc => doc.id === documentId);
+    if (index === -1) return false;
+    collection.documents.splice(index, 1);
+    return true;
+  });
+  if (!removed) return false;
+  await fs.rm(vectorsPath(collectionId, documentId), { force: true });
+  log.info('Deleted document', { collectionId, documentId });
+  return true;
+}
+
+// All chunks of a collection with their vectors, cached until the collection changes
+async function loadIndex(collection) {
+  if (!indexCache.has(collection.id)) {
+    const files = await Promise.all(collection.documents.map(async doc => {
+      const stored = await readJson(vectorsPath(collection.id, doc.id));
+      return (stored?.chunks || []).map((chunk, index) => ({
+        collectionId: collection.id,
+        collection: collection.name,
+        documentId: doc.id,
+        file: doc.name,
+        chunk: index + 1,
+        text: chunk.text,
+        embedding: chunk.embedding
+      }));
+    }));
+    indexCache.set(collection.id, files.flat());
+  }
+  return indexCache.get(collection.id);
+}
+
+// Find the passages most similar to `query` across the given collections.
+// Collections embedded with different models are searched with their own query vector.
+// Returns [{ collectionId, collection, documentId, file, chunk, text, score }], best first.
+export async function searchCollections(collectionIds, query, embed, { topK = config.topK } = {}) {
+  const collections = (await Promise.all(collectionIds.map(id => getCollection(id)))).filter(Boolean);
+  const queryVectors = new Map();
+  const matches = [];
+
+  for (const collection of collections) {
+    const index = await loadIndex(collection);
+    if (index.length === 0) continue;
+
+    if (!queryVectors.has(collection.embedModel)) {
+      const [vector] = await embed(collection.embedModel, [query]);
+      queryVectors.set(collection.embedModel, normalizeVector(vector));
+    }
+    const queryVector = queryVectors.get(collection.embedModel);
+
+    for (const entry of index) {
+      const score = dot(queryVector, entry.embedding);
+      if (score >= config.minScore) {
+        const { embedding, ...passage } = entry;
+        matches.push({ ...passage, score });
+      }
+    }
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+}
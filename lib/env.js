@@ -0,0 +1,5 @@
+import dotenv from 'dotenv';
+
+// Loads .env into process.env. server.js imports this before anything else, so the lib modules
+// that read their settings when they are imported already see the values from .env.
+dotenv.config({ override: true });
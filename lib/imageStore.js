@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Image attachments for vision models
+// Uploaded images are validated (type sniffed from the bytes, size and count limits) and stored
+// once under <dataDir>/images/<sha256>.<ext>; conversations only keep references to them.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const IMAGES_DIR = path.join(DATA_DIR, 'images');
+
+const config = {
+  maxBytes: parseInt(process.env.IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024,
+  maxCount: parseInt(process.env.IMAGE_MAX_COUNT, 10) || 4
+};
+
+// Formats Ollama's vision models accept, recognized by their magic bytes
+const IMAGE_TYPES = [
+  { mimeType: 'image/png', ext: 'png', matches: b => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', ext: 'jpg', matches: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/webp', ext: 'webp', matches: b => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+const ID_PATTERN = /^[0-9a-f]{64}\.(png|jpg|webp)$/;
+
+export function getImageLimits() {
+  return {
+    maxBytes: config.maxBytes,
+    maxCount: config.maxCount,
+    types: IMAGE_TYPES.map(t => t.mimeType)
+  };
+}
+
+// JSON body size needed for the largest allowed set of base64-encoded images
+export function getJsonBodyLimit() {
+  return Math.ceil(config.maxBytes * config.maxCount * 1.4) + 1024 * 1024;
+}
+
+function detectImageType(buffer) {
+  return IMAGE_TYPES.find(type => type.matches(buffer)) || null;
+}
+
+// Decode and validate images sent as base64 strings or data: URLs.
+// Returns { images: [{ buffer, mimeType, ext }] } or { error } with a message suitable for a 400 response.
+export function parseImages(raw) {
+  if (raw === undefined || raw === null) return { images: [] };
+  if (!Array.isArray(raw)) {
+    return { error: 'images must be an array of base64-encoded images' };
+  }
+  if (raw.length > config.maxCount) {
+    return { error: `At most ${config.maxCount} images can be attached to a message` };
+  }
+
+  const images = [];
+  for (const [index, item] of raw.entries()) {
+    if (typeof item !== 'string') {
+      return { error: `Image ${index + 1} must be a base64 string or data URL` };
+    }
+    const base64 = item.replace(/^data:[^;,]*;base64,/, '');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+      return { error: `Image ${index + 1} is not valid base64` };
+    }
+    const buffer = Buffer.from(base64, 'base64');
+    if (buffer.length > config.maxBytes) {
+      return { error: `Image ${index + 1} is larger than ${Math.floor(config.maxBytes / (1024 * 1024))} MB` };
+    }
+    const type = detectImageType(buffer);
+    if (!type) {
+      return { error: `Image ${index + 1} must be a PNG, JPEG or WebP image` };
+    }
+    images.push({ buffer, mimeType: type.mimeType, ext: type.ext });
+  }
+  return { images };
+}
+
+// Store images (deduplicated by content hash); returns the references kept in conversations
+export async function saveImages(images) {
+  await fs.mkdir(IMAGES_DIR, { recursive: true });
+  return Promise.all(images.map(async ({ buffer, mimeType, ext }) => {
+    const id = `${crypto.createHash('sha256').update(buffer).digest('hex')}.${ext}`;
+    const target = path.join(IMAGES_DIR, id);
+    try {
+      await fs.access(target);
+    } catch {
+      // The same image can be saved twice at once (e.g. attached twice), so temp names must not collide
+      const tmp = `${target}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(tmp, buffer);
+      await fs.rename(tmp, target);
+    }
+    return { id, mimeType, size: buffer.length };
+  }));
+}
+
+// Read a stored image; returns { buffer, mimeType } or null
+export async function loadImage(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+  try {
+    const buffer = await fs.readFile(path.join(IMAGES_DIR, id));
+    return { buffer, mimeType: detectImageType(buffer)?.mimeType || 'application/octet-stream' };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Replace image references in chat history messages with the image bytes Ollama expects.
+// Images that no longer exist on disk are left out.
+export async function resolveHistoryImages(messages) {
+  return Promise.all(messages.map(async message => {
+    if (!message.images?.length) return message;
+    const loaded = await Promise.all(message.images.map(id => loadImage(id)));
+    return { ...message, images: loaded.filter(Boolean).map(image => image.buffer) };
+  }));
+}
@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logging. Every line is one JSON object ({ time, level, component, requestId, msg, ...fields })
+// or, with LOG_FORMAT=pretty (the default on a terminal), a readable single line. The request id is
+// picked up from the request being handled, so stages deep inside the chat pipeline need not pass it on.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const config = {
+  level: LEVELS[(process.env.LOG_LEVEL || '').trim().toLowerCase()] ? process.env.LOG_LEVEL.trim().toLowerCase() : 'info',
+  format: ['json', 'pretty'].includes((process.env.LOG_FORMAT || '').trim().toLowerCase())
+    ? process.env.LOG_FORMAT.trim().toLowerCase()
+    : process.stdout.isTTY ? 'pretty' : 'json'
+};
+
+const requestContext = new AsyncLocalStorage();
+
+export function getLogConfig() {
+  return { ...config };
+}
+
+// Id of the request being handled, or null outside of one
+export function getRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+// Ids supplied by a proxy in X-Request-Id are kept when they look sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+// Middleware: give each request an id (echoed in X-Request-Id) and run the rest of it in that context
+export function requestIdMiddleware(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+}
+
+// Errors become { name, message, code, status, stack }; the stack is left out below error level
+function serializeError(error, withStack) {
+  if (!(error instanceof Error)) return error;
+  const serialized = { name: error.name, message: error.message };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.status_code !== undefined) serialized.status = error.status_code;
+  if (withStack && error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+function formatPretty(entry) {
+  const { time, level, component, requestId, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${JSON.stringify(value)}`)
+    .join(' ');
+  return `${time.substring(11, 23)} ${level.toUpperCase().padEnd(5)} [${component}]${requestId ? ` (${requestId.substring(0, 8)})` : ''} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+function write(level, component, msg, fields = {}) {
+  if (LEVELS[level] < LEVELS[config.level]) return;
+  const entry = { time: new Date().toISOString(), level, component };
+  const requestId = getRequestId();
+  if (requestId) entry.requestId = requestId;
+  entry.msg = msg;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serializeError(value, level === 'error');
+  }
+  const line = config.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// Logger for one part of the app, e.g. createLogger('reasoning').info('Decision made', { needsSearch: true })
+export function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields)
+  };
+}
+
+// Shorten long text (questions, raw model output) for log fields
+export function truncate(text, length = 100) {
+  const value = String(text ?? '');
+  return value.length > length ? `${value.substring(0, length)}...` : value;
+}
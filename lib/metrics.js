@@ -0,0 +1,150 @@
+// Prometheus metrics, rendered in the text exposition format at GET /metrics.
+// Counters, gauges and histograms are kept in memory and reset on restart.
+
+const config = {
+  enabled: (process.env.METRICS || 'on').trim().toLowerCase() !== 'off',
+  token: process.env.METRICS_TOKEN?.trim() || null
+};
+
+export function getMetricsConfig() {
+  return { ...config };
+}
+
+const registry = [];
+const startTime = Date.now() / 1000;
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(10)));
+}
+
+function createCounter(name, help) {
+  const series = new Map(); // label key -> { pairs, value }
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { pairs: JSON.parse(key), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { pairs, value } of series.values()) {
+        lines.push(`${name}${formatLabels(pairs)} ${formatNumber(value)}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// `collect()` returns [{ labels, value }] and is called on every scrape
+function createGauge(name, help, collect) {
+  const metric = {
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels = {}, value } of collect()) {
+        lines.push(`${name}${formatLabels(JSON.parse(labelKey(labels)))} ${formatNumber(value)}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map(); // label key -> { pairs, counts, sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { pairs: JSON.parse(key), counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    // Returns a function that records the seconds elapsed since startTimer() was called
+    startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return () => metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { pairs, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels([...pairs, ['le', formatNumber(bound)]])} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${count}`);
+        lines.push(`${name}_sum${formatLabels(pairs)} ${formatNumber(sum)}`);
+        lines.push(`${name}_count${formatLabels(pairs)} ${count}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+const TOKEN_RATE_BUCKETS = [1, 2, 5, 10, 15, 20, 30, 50, 75, 100, 150, 200];
+
+export const requestsTotal = createCounter('ollama_chat_requests_total', 'Chat requests that reached the pipeline, by endpoint (chat, openai or arena)');
+export const searchedRequestsTotal = createCounter('ollama_chat_requests_with_search_total', 'Chat requests that ran at least one web search, by endpoint');
+export const searchesTotal = createCounter('ollama_chat_searches_total', 'Searches run by the pipeline, by source (web or documents) and stage (reasoning, tool or confirmation)');
+export const errorsTotal = createCounter('ollama_chat_errors_total', 'Errors by type');
+export const decisionRepairsTotal = createCounter('ollama_chat_decision_repairs_total', 'Search and confirmation decisions that failed schema validation and were retried, by stage and outcome (repaired or failed)');
+export const generatedTokensTotal = createCounter('ollama_chat_generated_tokens_total', 'Tokens generated for answers (Ollama eval_count), by model');
+export const stageDuration = createHistogram('ollama_chat_stage_duration_seconds', 'Time spent in each pipeline stage', LATENCY_BUCKETS);
+export const tokensPerSecond = createHistogram('ollama_chat_generation_tokens_per_second', 'Answer generation speed from Ollama eval_count / eval_duration, by model', TOKEN_RATE_BUCKETS);
+
+createGauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', () => [{ value: Math.floor(startTime) }]);
+createGauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => [{ value: process.memoryUsage().rss }]);
+
+// Gauges whose values live elsewhere (e.g. the request queue); `collect` as for createGauge
+export function registerGauge(name, help, collect) {
+  return createGauge(name, help, collect);
+}
+
+export function countError(type) {
+  errorsTotal.inc({ type });
+}
+
+// Time an async stage (reasoning, search, generation, ...), failed attempts included
+export async function timeStage(stage, fn) {
+  const end = stageDuration.startTimer({ stage });
+  try {
+    return await fn();
+  } finally {
+    end();
+  }
+}
+
+// Record an answer's token count and speed from the final chunk of an Ollama chat response
+export function recordGeneration(model, response) {
+  if (!response?.eval_count) return;
+  generatedTokensTotal.inc({ model }, response.eval_count);
+  if (response.eval_duration > 0) {
+    tokensPerSecond.observe({ model }, response.eval_count / (response.eval_duration / 1e9));
+  }
+}
+
+export function renderMetrics() {
+  return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
@@ -0,0 +1,294 @@
+import dns from 'dns/promises';
+import net from 'net';
+import * as cheerio from 'cheerio';
+import { createLogger } from './logger.js';
+import { countError } from './metrics.js';
+
+// Page-fetch stage: download the top search results, extract the main article text,
+// chunk it and keep the passages most relevant to the query.
+
+const log = createLogger('pages');
+
+const config = {
+  enabled: (process.env.PAGE_FETCH || 'on').trim().toLowerCase() !== 'off',
+  pageCount: parseInt(process.env.PAGE_FETCH_COUNT, 10) || 3,
+  timeoutMs: parseInt(process.env.PAGE_FETCH_TIMEOUT_MS, 10) || 8000,
+  maxBytes: parseInt(process.env.PAGE_FETCH_MAX_BYTES, 10) || 2 * 1024 * 1024,
+  chunkSize: parseInt(process.env.PAGE_CHUNK_SIZE, 10) || 800,
+  passagesPerPage: parseInt(process.env.PAGE_PASSAGES_PER_PAGE, 10) || 3,
+  maxContextChars: parseInt(process.env.PAGE_CONTEXT_MAX_CHARS, 10) || 6000,
+  blocklist: (process.env.PAGE_FETCH_BLOCKLIST || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean)
+};
+
+// Elements that never hold article text
+const NOISE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', 'menu',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// class/id fragments used by ads, cookie banners, share bars and similar clutter
+const NOISE_PATTERN = /(^|[\s_-])(ad|ads|advert|advertisement|sponsor|promo|banner|cookie|consent|newsletter|subscribe|social|share|sharing|related|recommended|comments?|sidebar|breadcrumbs?|popup|modal|menu|navbar|footer)([\s_-]|$)/i;
+
+// Candidates for the main content, in order of preference
+const MAIN_SELECTORS = ['article', 'main', '[role="main"]', '#content', '.content', '.post', '.article', 'body'];
+
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, pre, blockquote, td, th, dd, dt';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'how', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'does', 'do', 'did', 'about', 'latest', 'current', 'today', 'now', 'new', 'news'
+]);
+
+// Search results and the redirects they lead to must not reach the server's own network: loopback,
+// private, link-local (cloud metadata endpoints), carrier-grade NAT and unspecified addresses
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+// Redirects are followed one hop at a time, so each hop is checked like the first URL
+const MAX_REDIRECTS = 5;
+
+export function isPageFetchEnabled() {
+  return config.enabled;
+}
+
+// True if the URL's host is a blocklisted domain or one of its subdomains
+export function isBlockedUrl(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return config.blocklist.some(domain => host === domain || host.endsWith(`.${domain}`));
+  } catch {
+    return true; // Unparseable URLs are never fetched
+  }
+}
+
+// Throws unless `url` is http(s), not blocklisted and its host resolves to public addresses only
+async function assertFetchable(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error(`Refusing to fetch ${url}: unsupported protocol`);
+  }
+  if (isBlockedUrl(url)) {
+    throw new Error(`Refusing to fetch ${url}: blocklisted domain`);
+  }
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  if (addresses.some(({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new Error(`Refusing to fetch ${url}: private network address`);
+  }
+}
+
+// Decode with the charset from the Content-Type header or, for HTML, a <meta> tag near the start;
+// UTF-8 when none is declared or the declared one is unknown
+function decodeBody(bytes, contentType, isHtml) {
+  const charset = contentType.match(/charset=["']?([\w.:-]+)/i)?.[1]
+    || (isHtml ? bytes.subarray(0, 2048).toString('latin1').match(/<meta[^>]+charset=["']?([\w.:-]+)/i)?.[1] : null);
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+// Download a page with a timeout and a size cap; returns null for non-text content
+async function fetchPage(url, signal) {
+  const timeout = AbortSignal.timeout(config.timeoutMs);
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    await assertFetchable(url);
+    response = await fetch(url, {
+      signal: signal ? AbortSignal.any([timeout, signal]) : timeout,
+      redirect: 'manual',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; LLM-WebServer-Ollama page reader)',
+        'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.9'
+      }
+    });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    await response.body?.cancel();
+    if (redirects === MAX_REDIRECTS) {
+      throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    }
+    url = new URL(location, url).href;
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!/text\/html|application\/xhtml\+xml|text\/plain/i.test(contentType)) {
+    await response.body?.cancel();
+    return null;
+  }
+
+  // Read at most maxBytes, then stop downloading
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  while (received < config.maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+  }
+  await reader.cancel().catch(() => {});
+
+  const isHtml = !/text\/plain/i.test(contentType);
+  const body = decodeBody(Buffer.concat(chunks).subarray(0, config.maxBytes), contentType, isHtml);
+  return { body, isHtml };
+}
+
+// Extract readable main text from an HTML document
+export function extractMainText(html) {
+  const $ = cheerio.load(html);
+
+  $(NOISE_SELECTORS).remove();
+  $('[class], [id]').each((_, el) => {
+    const marker = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (NOISE_PATTERN.test(marker) && !['html', 'body', 'main', 'article'].includes(el.tagName) && $(el).find('main, article').length === 0) {
+      $(el).remove();
+    }
+  });
+
+  // Pick the first candidate container that actually holds a reasonable amount of text
+  let root = $('body');
+  for (const selector of MAIN_SELECTORS) {
+    const candidate = $(selector).first();
+    if (candidate.length && candidate.text().trim().length > 200) {
+      root = candidate;
+      break;
+    }
+  }
+
+  const blocks = [];
+  root.find(BLOCK_SELECTOR).each((_, el) => {
+    // Skip containers whose text is already collected through a nested block
+    if ($(el).find(BLOCK_SELECTOR).length > 0) return;
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text.length > 0) blocks.push(text);
+  });
+
+  const text = blocks.length > 0 ? blocks.join('\n') : root.text();
+  return text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Split text into chunks of roughly chunkSize characters along line/sentence boundaries
+export function chunkText(text, chunkSize = config.chunkSize) {
+  const pieces = text
+    .split(/\n+/)
+    .flatMap(line => line.length > chunkSize ? line.match(/[^.!?]+[.!?]*\s*/g) || [line] : [line])
+    .map(piece => piece.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > chunkSize) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${piece}` : piece;
+    // A single sentence longer than the chunk size is cut hard
+    while (current.length > chunkSize * 1.5) {
+      chunks.push(current.substring(0, chunkSize));
+      current = current.substring(chunkSize);
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+// Rank chunks by query-term overlap (BM25-style term saturation and length normalization)
+export function selectRelevantPassages(chunks, query, limit = config.passagesPerPage) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return chunks.slice(0, limit);
+
+  const tokenized = chunks.map(tokenize);
+  const avgLength = tokenized.reduce((sum, tokens) => sum + tokens.length, 0) / (tokenized.length || 1);
+  const k1 = 1.2;
+  const lengthWeight = 0.75;
+
+  const scored = chunks.map((chunk, index) => {
+    const tokens = tokenized[index];
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = tokens.filter(token => token === term).length;
+      if (tf === 0) continue;
+      const df = tokenized.filter(t => t.includes(term)).length;
+      const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - lengthWeight + lengthWeight * tokens.length / (avgLength || 1)));
+    }
+    return { chunk, index, score };
+  });
+
+  // Keep the best passages but present them in page order; with no overlap at all, fall back to the lead
+  const relevant = scored.filter(entry => entry.score > 0);
+  if (relevant.length === 0) return chunks.slice(0, 1);
+  return relevant
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .sort((a, b) => a.index - b.index)
+    .map(entry => entry.chunk);
+}
+
+// Fetch the top results and attach their most relevant passages as `passages`.
+// Failed, blocked or non-text pages keep only their snippet; aborting `signal` cancels all downloads.
+export async function readPages(results, query, { signal } = {}) {
+  if (!config.enabled || results.length === 0) return results;
+
+  const targets = results
+    .map((result, index) => ({ result, index }))
+    .filter(({ result }) => result.link && !isBlockedUrl(result.link))
+    .slice(0, config.pageCount);
+
+  const perPageBudget = Math.floor(config.maxContextChars / (targets.length || 1));
+  const enriched = results.map(result => ({ ...result }));
+
+  await Promise.all(targets.map(async ({ result, index }) => {
+    try {
+      const page = await fetchPage(result.link, signal);
+      if (!page) {
+        log.debug('Skipped non-text page', { url: result.link });
+        return;
+      }
+
+      const text = page.isHtml ? extractMainText(page.body) : page.body;
+      const passages = [];
+      let used = 0;
+      for (const passage of selectRelevantPassages(chunkText(text), `${query} ${result.title}`)) {
+        if (used + passage.length > perPageBudget) break;
+        passages.push(passage);
+        used += passage.length;
+      }
+
+      if (passages.length > 0) {
+        enriched[index].passages = passages;
+      }
+      log.info('Read page', { url: result.link, characters: text.length, passages: passages.length });
+    } catch (error) {
+      if (signal?.aborted) return;
+      countError('page_fetch');
+      log.warn('Could not read page', { url: result.link, error });
+    }
+  }));
+
+  signal?.throwIfAborted();
+
+  return enriched;
+}
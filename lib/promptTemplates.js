@@ -0,0 +1,347 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+// Prompt templates, loaded from <templatesDir>/*.txt and reloaded when the files change.
+// Syntax: {{name}} inserts a variable, {{> partial}} inserts another template file (e.g. date-context),
+// {{#if name}}...{{else}}...{{/if}} keeps a section only when the variable is set (non-empty).
+// A block tag alone on its line takes the line with it, and runs of blank lines in the result are
+// collapsed, so optional sections leave no gaps.
+// Per-model overrides live in <templatesDir>/models/<model>/ (":" and "/" in the model name written
+// as "_", e.g. models/llama3.2_1b/) or models/<family>/ for every tag of a model (models/llama3.2/),
+// and replace the default file of the same name, partials included.
+const log = createLogger('templates');
+
+const config = {
+  dir: process.env.TEMPLATES_DIR ? path.resolve(process.env.TEMPLATES_DIR) : fileURLToPath(new URL('../templates', import.meta.url)),
+  watch: (process.env.TEMPLATE_WATCH || 'on').trim().toLowerCase() !== 'off'
+};
+
+// Date variables every template can use, plus the model the prompt is for
+const COMMON_VARIABLES = ['date', 'dayOfWeek', 'currentYear', 'previousYear', 'model'];
+
+// The prompts the server renders, with the variables each may use and those it must use
+const TEMPLATES = {
+  'reasoning-system': { variables: [], required: [] },
+  reasoning: { variables: ['question', 'collections'], required: ['question'] },
+  'confirmation-system': { variables: [], required: [] },
+  confirmation: { variables: ['question', 'answer'], required: ['question', 'answer'] },
+  // Search query written for searchMode 'always' and 'results'; `conversation` is the last few turns
+  'search-query': { variables: ['question', 'conversation'], required: ['question'] },
+  // Follow-up when a decision reply did not match its JSON schema; sees the decision prompt's variables too
+  repair: { variables: ['problems', 'schema', 'question', 'answer', 'collections', 'conversation'], required: ['problems'] },
+  answer: {
+    variables: ['systemPrompt', 'tools', 'documentCollections', 'searchQuery', 'searchResults', 'documentPassages', 'hasSources', 'searchFailed', 'summaryOnly'],
+    required: []
+  }
+};
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+const MAX_PARTIAL_DEPTH = 10;
+const LINE_MARKER = '\u0000';
+// How often a templates directory that went away is looked for again
+const REWATCH_DELAY_MS = 5000;
+
+// Loaded templates: set name ('' for the defaults, otherwise the models/ directory) -> Map(file name -> parsed)
+let sets = new Map();
+let errors = [];
+let loadedAt = null;
+let watcher = null;
+
+export function getTemplatesConfig() {
+  return { ...config };
+}
+
+// Model name as written in override directory names
+function overrideName(model) {
+  return String(model || '').toLowerCase().replace(/[:/]/g, '_');
+}
+
+// Turn template text into a tree of text, variable, partial and if nodes; throws on syntax errors
+function parse(source) {
+  // Standalone block tags swallow their line break; it is kept as a marker so line numbers in errors stay right
+  const text = source.replace(/^[ \t]*(\{\{\s*(?:#if\s+[^}]*|else|\/if)\s*\}\})[ \t]*\r?\n/gm, `$1${LINE_MARKER}`);
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*([^}]*?)\s*\}\}/g;
+  let last = 0;
+  let match;
+
+  const current = () => {
+    const top = stack[stack.length - 1];
+    return top.inElse ? top.otherwise : top.children;
+  };
+  const addText = (value) => {
+    const cleaned = value.replaceAll(LINE_MARKER, '');
+    if (cleaned) current().push({ type: 'text', value: cleaned });
+  };
+
+  while ((match = tagPattern.exec(text)) !== null) {
+    if (match.index > last) addText(text.slice(last, match.index));
+    last = tagPattern.lastIndex;
+    const tag = match[1];
+    const line = text.slice(0, match.index).split(/\n|\u0000/).length;
+
+    if (tag.startsWith('#if')) {
+      const name = tag.slice(3).trim();
+      if (!NAME_PATTERN.test(name)) throw new Error(`line ${line}: {{#if}} needs a variable name`);
+      const node = { type: 'if', name, children: [], otherwise: [], inElse: false, line };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const top = stack[stack.length - 1];
+      if (top === root || top.inElse) throw new Error(`line ${line}: {{else}} without a matching {{#if}}`);
+      top.inElse = true;
+    } else if (tag === '/if') {
+      if (stack.length === 1) throw new Error(`line ${line}: {{/if}} without a matching {{#if}}`);
+      stack.pop();
+    } else if (tag.startsWith('>')) {
+      const name = tag.slice(1).trim();
+      if (!NAME_PATTERN.test(name)) throw new Error(`line ${line}: {{> }} needs a template name`);
+      current().push({ type: 'partial', name, line });
+    } else if (NAME_PATTERN.test(tag)) {
+      current().push({ type: 'variable', name: tag, line });
+    } else {
+      throw new Error(`line ${line}: unknown tag {{${tag}}}`);
+    }
+  }
+  if (last < text.length) addText(text.slice(last));
+  if (stack.length > 1) throw new Error(`line ${stack[stack.length - 1].line}: {{#if ${stack[stack.length - 1].name}}} is never closed`);
+  return root.children;
+}
+
+// Read the .txt files of one directory into Map(name -> { file, nodes }); syntax errors are collected
+function readSet(dir, setErrors) {
+  const templates = new Map();
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isFile() || !entry.name.endsWith('.txt')) continue;
+    const name = entry.name.slice(0, -'.txt'.length);
+    const file = path.join(dir, entry.name);
+    try {
+      // A single trailing newline is dropped so partials can be used inline
+      const source = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+      templates.set(name, { file, nodes: parse(source) });
+    } catch (error) {
+      setErrors.push({ file: path.relative(config.dir, file), message: error.message });
+    }
+  }
+  return templates;
+}
+
+function lookup(name, chain) {
+  for (const set of chain) {
+    if (set.has(name)) return set.get(name);
+  }
+  return null;
+}
+
+// Check one prompt as it resolves through `chain` (override set first, then the defaults):
+// partials exist and do not loop, only known variables are used and the required ones appear
+function validateTemplate(name, chain) {
+  const allowed = new Set([...COMMON_VARIABLES, ...TEMPLATES[name].variables]);
+  const used = new Set();
+  const problems = [];
+
+  const visit = (nodes, trail) => {
+    for (const node of nodes) {
+      if (node.type === 'variable' || node.type === 'if') {
+        used.add(node.name);
+        if (!allowed.has(node.name)) {
+          problems.push(`unknown variable "${node.name}" (available: ${[...allowed].join(', ')})`);
+        }
+      }
+      if (node.type === 'if') {
+        visit(node.children, trail);
+        visit(node.otherwise, trail);
+      }
+      if (node.type === 'partial') {
+        const partial = lookup(node.name, chain);
+        if (!partial) {
+          problems.push(`unknown partial "${node.name}"`);
+        } else if (trail.includes(node.name) || trail.length > MAX_PARTIAL_DEPTH) {
+          problems.push(`partial "${node.name}" includes itself`);
+        } else {
+          visit(partial.nodes, [...trail, node.name]);
+        }
+      }
+    }
+  };
+
+  const template = lookup(name, chain);
+  if (!template) return [`missing template ${name}.txt`];
+  visit(template.nodes, [name]);
+  for (const variable of TEMPLATES[name].required) {
+    if (!used.has(variable)) problems.push(`must use {{${variable}}}`);
+  }
+  return [...new Set(problems)].map(message => `${name}: ${message}`);
+}
+
+// Read the templates directory. The defaults must all be present and valid: at startup a broken
+// default throws, on a reload the previous defaults stay in use. A broken override set is skipped
+// (or keeps its previous version) and reported.
+export function loadTemplates() {
+  const loadErrors = [];
+  const defaultErrors = [];
+  const defaults = readSet(config.dir, defaultErrors);
+  for (const name of Object.keys(TEMPLATES)) {
+    // A file that did not parse is already reported
+    if (!defaults.has(name) && defaultErrors.some(error => error.file === `${name}.txt`)) continue;
+    defaultErrors.push(...validateTemplate(name, [defaults]).map(message => ({ file: `${name}.txt`, message })));
+  }
+
+  const next = new Map();
+  if (defaultErrors.length > 0) {
+    if (!sets.has('')) {
+      throw new Error(`Invalid prompt templates in ${config.dir}: ${defaultErrors.map(e => `${e.file}: ${e.message}`).join('; ')}`);
+    }
+    loadErrors.push(...defaultErrors);
+    next.set('', sets.get(''));
+  } else {
+    next.set('', defaults);
+  }
+
+  const modelsDir = path.join(config.dir, 'models');
+  const overrideDirs = fs.existsSync(modelsDir)
+    ? fs.readdirSync(modelsDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+    : [];
+  for (const dirName of overrideDirs) {
+    const setName = overrideName(dirName);
+    const setErrors = [];
+    const overrides = readSet(path.join(modelsDir, dirName), setErrors);
+    for (const name of overrides.keys()) {
+      if (!TEMPLATES[name] && !lookup(name, [next.get('')])) {
+        setErrors.push({ file: `models/${dirName}/${name}.txt`, message: `overrides no default template (${name}.txt)` });
+      }
+    }
+    for (const name of Object.keys(TEMPLATES)) {
+      setErrors.push(...validateTemplate(name, [overrides, next.get('')]).map(message => ({ file: `models/${dirName}`, message })));
+    }
+    if (setErrors.length > 0) {
+      loadErrors.push(...setErrors);
+      if (sets.has(setName)) next.set(setName, sets.get(setName));
+    } else {
+      next.set(setName, overrides);
+    }
+  }
+
+  sets = next;
+  errors = loadErrors;
+  loadedAt = new Date();
+  for (const error of loadErrors) {
+    log.error('Invalid prompt template', { file: error.file, reason: error.message });
+  }
+  return describeTemplates();
+}
+
+// The override sets that apply to `model`, most specific first, then the defaults
+function chainFor(model) {
+  const exact = overrideName(model);
+  const family = overrideName(String(model || '').split(':')[0]);
+  const chain = [];
+  if (exact && sets.has(exact)) chain.push(sets.get(exact));
+  if (family && family !== exact && sets.has(family)) chain.push(sets.get(family));
+  chain.push(sets.get(''));
+  return chain;
+}
+
+function isSet(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+function renderNodes(nodes, variables, chain) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'variable': {
+        const value = variables[node.name];
+        return value === undefined || value === null || value === false ? '' : String(value);
+      }
+      case 'if':
+        return renderNodes(isSet(variables[node.name]) ? node.children : node.otherwise, variables, chain);
+      case 'partial':
+        return renderNodes(lookup(node.name, chain).nodes, variables, chain);
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+// Render prompt `name` for `model` (using its override when there is one)
+export function renderPrompt(name, model, variables = {}) {
+  if (!TEMPLATES[name]) throw new Error(`Unknown prompt template "${name}"`);
+  if (!loadedAt) loadTemplates();
+  const chain = chainFor(model);
+  return renderNodes(lookup(name, chain).nodes, { ...variables, model }, chain)
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Reload when a file under the templates directory changes (TEMPLATE_WATCH=off to disable)
+export function watchTemplates() {
+  if (!config.watch || watcher) return false;
+  let timer = null;
+  try {
+    // The directory was removed or renamed: stop watching it (the loaded templates stay in use)
+    // and look for it again until it is back
+    const stop = error => {
+      log.warn('Stopped watching the templates directory', { dir: config.dir, error });
+      clearTimeout(timer);
+      watcher.close();
+      watcher = null;
+      scheduleRewatch();
+    };
+    watcher = fs.watch(config.dir, { recursive: true }, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fs.existsSync(config.dir) ? reload() : stop(), 200);
+    });
+    watcher.on('error', stop);
+    watcher.unref?.();
+    return true;
+  } catch (error) {
+    log.warn('Could not watch the templates directory, changes need a restart or POST /api/templates/reload', { dir: config.dir, error });
+    return false;
+  }
+}
+
+function reload() {
+  try {
+    const { errors: reloadErrors } = loadTemplates();
+    if (reloadErrors.length === 0) log.info('Prompt templates reloaded');
+  } catch (error) {
+    log.error('Could not reload prompt templates', { error });
+  }
+}
+
+function scheduleRewatch() {
+  const retry = setTimeout(() => {
+    if (!fs.existsSync(config.dir)) return scheduleRewatch();
+    if (watchTemplates()) {
+      log.info('Watching the templates directory again', { dir: config.dir });
+      reload();
+    }
+  }, REWATCH_DELAY_MS);
+  retry.unref?.();
+}
+
+// Templates, override sets and load errors for the templates endpoint
+export function describeTemplates() {
+  return {
+    dir: config.dir,
+    watching: Boolean(watcher),
+    loadedAt: loadedAt?.toISOString() || null,
+    templates: Object.entries(TEMPLATES).map(([name, { variables, required }]) => ({
+      name,
+      variables: [...COMMON_VARIABLES, ...variables],
+      required
+    })),
+    partials: [...(sets.get('')?.keys() || [])].filter(name => !TEMPLATES[name]),
+    overrides: [...sets.entries()]
+      .filter(([name]) => name !== '')
+      .map(([name, templates]) => ({ model: name, templates: [...templates.keys()] })),
+    errors
+  };
+}
@@ -0,0 +1,75 @@
+import { createLogger } from './logger.js';
+import { countError } from './metrics.js';
+
+// Per-client rate limits (sliding window). Clients are identified by user id when signed in,
+// otherwise by IP address. A limit of 0 turns that limiter off.
+
+const log = createLogger('limits');
+
+const config = {
+  windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60) * 1000,
+  chatLimit: parseLimit(process.env.CHAT_RATE_LIMIT, 20),
+  searchLimit: parseLimit(process.env.SEARCH_RATE_LIMIT, 10)
+};
+
+function parseLimit(value, fallback) {
+  const limit = parseInt(value, 10);
+  return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+}
+
+// Forget clients with no recent hits once this many are tracked
+const PRUNE_THRESHOLD = 1000;
+
+export function createRateLimiter(name, { limit, windowMs = config.windowMs }) {
+  const hits = new Map(); // client key -> timestamps within the window, oldest first
+
+  function prune(now) {
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= now - windowMs) hits.delete(key);
+    }
+  }
+
+  // Count one hit for `key`. Returns { allowed: true } or { allowed: false, retryAfterMs }.
+  function take(key) {
+    if (limit === 0) return { allowed: true };
+    const now = Date.now();
+    if (hits.size > PRUNE_THRESHOLD) prune(now);
+
+    const times = (hits.get(key) || []).filter(time => time > now - windowMs);
+    if (times.length >= limit) {
+      hits.set(key, times);
+      return { allowed: false, retryAfterMs: times[0] + windowMs - now };
+    }
+    times.push(now);
+    hits.set(key, times);
+    return { allowed: true };
+  }
+
+  return { name, limit, windowMs, take };
+}
+
+export const chatLimiter = createRateLimiter('chat', { limit: config.chatLimit });
+export const searchLimiter = createRateLimiter('search', { limit: config.searchLimit });
+
+// Stable key for the client behind a request
+export function getClientKey(req) {
+  return req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+export function describeLimit(limiter) {
+  return limiter.limit === 0 ? 'off' : `${limiter.limit} per ${Math.round(limiter.windowMs / 1000)}s`;
+}
+
+// Middleware: answer 429 with Retry-After once the client is over the limit; must run after requireUser.
+// `onLimited(res, message)` lets the OpenAI-compatible routes answer in their own error format.
+export function rateLimit(limiter, onLimited = (res, message) => res.status(429).json({ error: message })) {
+  return (req, res, next) => {
+    const { allowed, retryAfterMs } = limiter.take(getClientKey(req));
+    if (allowed) return next();
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    countError('rate_limited');
+    log.warn('Client is over the rate limit', { client: getClientKey(req), limiter: limiter.name });
+    res.setHeader('Retry-After', String(seconds));
+    onLimited(res, `Too many ${limiter.name} requests - try again in ${seconds}s`);
+  };
+}
@@ -0,0 +1,100 @@
+// Bounded worker queue in front of an Ollama host. Each chat pipeline holds one slot while it runs,
+// so a single box is not asked to generate many answers at once; the rest wait in line (first in,
+// first out) and are told their position. When the line itself is full new work is turned away.
+
+const config = {
+  concurrency: Math.max(parseInt(process.env.OLLAMA_CONCURRENCY, 10) || 1, 1),
+  maxQueued: Math.max(parseInt(process.env.OLLAMA_MAX_QUEUE, 10) || 20, 0)
+};
+
+export function getQueueLimits() {
+  return { ...config };
+}
+
+// Thrown by acquire() when the queue is full; routes answer it with 503
+export function isQueueFullError(error) {
+  return error?.code === 'QUEUE_FULL';
+}
+
+export function createRequestQueue(name, { concurrency = config.concurrency, maxQueued = config.maxQueued } = {}) {
+  let active = 0;
+  const waiting = []; // { grant, reject, onPosition, cleanup }
+
+  function notifyPositions() {
+    waiting.forEach((entry, index) => entry.onPosition?.(index + 1));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next.cleanup();
+      notifyPositions();
+      next.grant();
+    } else {
+      active--;
+    }
+  }
+
+  // Wait for a free slot. Resolves with a release() function that must be called exactly once.
+  // onPosition(n) is called while waiting whenever the position in line changes (1 = next).
+  function acquire({ signal, onPosition } = {}) {
+    signal?.throwIfAborted();
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve(once(release));
+    }
+    if (waiting.length >= maxQueued) {
+      const error = new Error(`${name} is busy (${waiting.length} request(s) waiting) - try again in a moment`);
+      error.code = 'QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = waiting.indexOf(entry);
+        if (index !== -1) {
+          waiting.splice(index, 1);
+          notifyPositions();
+        }
+        reject(signal.reason);
+      };
+      const entry = {
+        grant: () => resolve(once(release)),
+        onPosition,
+        cleanup: () => signal?.removeEventListener('abort', onAbort)
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiting.push(entry);
+      onPosition?.(waiting.length);
+    });
+  }
+
+  // Run `task` in a slot; options as for acquire()
+  async function run(task, options) {
+    const done = await acquire(options);
+    try {
+      return await task();
+    } finally {
+      done();
+    }
+  }
+
+  function stats() {
+    return { name, concurrency, maxQueued, active, waiting: waiting.length };
+  }
+
+  function isFull() {
+    return active >= concurrency && waiting.length >= maxQueued;
+  }
+
+  return { acquire, run, stats, isFull };
+}
+
+function once(fn) {
+  let called = false;
+  return () => {
+    if (called) return;
+    called = true;
+    fn();
+  };
+}
@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+
+// Pluggable web search providers
+// Every provider exposes the same shape:
+//   { name, label, missingConfig(): string|null, search(query, { count, signal }): Promise<[{ title, link, snippet }]> }
+// and is selected with SEARCH_PROVIDER (google, searxng, brave, bing, stub).
+
+const DEFAULT_PROVIDER = 'google';
+
+// Fetch JSON and turn HTTP / API errors into readable messages
+async function fetchJson(url, options, label) {
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    throw new Error(`${label} error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  if (data && data.error) {
+    throw new Error(`${label} error: ${data.error.message || JSON.stringify(data.error)}`);
+  }
+  return data;
+}
+
+// Normalize whatever a backend returns to { title, link, snippet }
+function normalizeResult(item) {
+  return {
+    title: item.title || item.name || item.link || item.url || 'Untitled',
+    link: item.link || item.url || '',
+    snippet: item.snippet || item.content || item.description || ''
+  };
+}
+
+const providers = {
+  // Google Custom Search JSON API
+  google: {
+    label: 'Google Custom Search',
+    missingConfig() {
+      if (!process.env.GOOGLE_API_KEY || !process.env.GOOGLE_CSE_ID) {
+        return 'Google API credentials not configured. Please set GOOGLE_API_KEY and GOOGLE_CSE_ID in .env file';
+      }
+      return null;
+    },
+    async search(query, { count, signal }) {
+      const params = new URLSearchParams({
+        key: process.env.GOOGLE_API_KEY,
+        cx: process.env.GOOGLE_CSE_ID,
+        q: query,
+        num: String(Math.min(count, 10))
+      });
+      const data = await fetchJson(`https://www.googleapis.com/customsearch/v1?${params}`, { signal }, 'Google Search API');
+      return (data.items || []).map(normalizeResult);
+    }
+  },
+
+  // Self-hosted SearXNG instance (the JSON output format must be enabled in its settings.yml)
+  searxng: {
+    label: 'SearXNG',
+    missingConfig() {
+      return process.env.SEARXNG_URL ? null : 'SearXNG not configured. Please set SEARXNG_URL in .env file';
+    },
+    async search(query, { count, signal }) {
+      const baseUrl = process.env.SEARXNG_URL.replace(/\/+$/, '');
+      const params = new URLSearchParams({ q: query, format: 'json' });
+      const data = await fetchJson(`${baseUrl}/search?${params}`, {
+        headers: { 'Accept': 'application/json' },
+        signal
+      }, 'SearXNG');
+      return (data.results || []).slice(0, count).map(normalizeResult);
+    }
+  },
+
+  // Brave Search API
+  brave: {
+    label: 'Brave Search',
+    missingConfig() {
+      return process.env.BRAVE_API_KEY ? null : 'Brave Search not configured. Please set BRAVE_API_KEY in .env file';
+    },
+    async search(query, { count, signal }) {
+      const params = new URLSearchParams({ q: query, count: String(Math.min(count, 20)) });
+      const data = await fetchJson(`https://api.search.brave.com/res/v1/web/search?${params}`, {
+        headers: {
+          'Accept': 'application/json',
+          'X-Subscription-Token': process.env.BRAVE_API_KEY
+        },
+        signal
+      }, 'Brave Search API');
+      return (data.web?.results || []).map(normalizeResult);
+    }
+  },
+
+  // Bing Web Search API
+  bing: {
+    label: 'Bing Web Search',
+    missingConfig() {
+      return process.env.BING_API_KEY ? null : 'Bing Search not configured. Please set BING_API_KEY in .env file';
+    },
+    async search(query, { count, signal }) {
+      const endpoint = process.env.BING_ENDPOINT || 'https://api.bing.microsoft.com/v7.0/search';
+      const params = new URLSearchParams({ q: query, count: String(Math.min(count, 50)), responseFilter: 'Webpages' });
+      const data = await fetchJson(`${endpoint}?${params}`, {
+        headers: { 'Ocp-Apim-Subscription-Key': process.env.BING_API_KEY },
+        signal
+      }, 'Bing Search API');
+      return (data.webPages?.value || []).map(normalizeResult);
+    }
+  },
+
+  // Local stub for offline setups and testing the pipeline without a real search engine.
+  // SEARCH_STUB_URL: an HTTP endpoint called as <url>?q=<query>, returning an array of results or { results: [...] }
+  // SEARCH_STUB_FILE: a JSON file holding either an array of results (returned for every query)
+  //                   or an object mapping queries to result arrays, with an optional "*" fallback
+  stub: {
+    label: 'Local stub',
+    missingConfig() {
+      if (!process.env.SEARCH_STUB_URL && !process.env.SEARCH_STUB_FILE) {
+        return 'Search stub not configured. Please set SEARCH_STUB_FILE or SEARCH_STUB_URL in .env file';
+      }
+      return null;
+    },
+    async search(query, { count, signal }) {
+      let data;
+      if (process.env.SEARCH_STUB_URL) {
+        const separator = process.env.SEARCH_STUB_URL.includes('?') ? '&' : '?';
+        data = await fetchJson(`${process.env.SEARCH_STUB_URL}${separator}q=${encodeURIComponent(query)}`, { signal }, 'Search stub');
+      } else {
+        data = JSON.parse(await fs.readFile(process.env.SEARCH_STUB_FILE, { encoding: 'utf8', signal }));
+      }
+
+      let results;
+      if (Array.isArray(data)) {
+        results = data;
+      } else if (Array.isArray(data.results)) {
+        results = data.results;
+      } else {
+        const key = Object.keys(data).find(k => k.toLowerCase() === query.trim().toLowerCase());
+        results = data[key] || data['*'] || [];
+      }
+      return results.slice(0, count).map(normalizeResult);
+    }
+  }
+};
+
+export const searchProviderNames = Object.keys(providers);
+
+// Resolve the provider named in SEARCH_PROVIDER (defaults to Google for existing setups)
+export function getSearchProvider(name = process.env.SEARCH_PROVIDER || DEFAULT_PROVIDER) {
+  const key = name.trim().toLowerCase();
+  const provider = providers[key];
+  if (!provider) {
+    throw new Error(`Unknown search provider "${name}". Available providers: ${searchProviderNames.join(', ')}`);
+  }
+  return { name: key, ...provider };
+}
@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+// Read-only share links for conversations
+// A share is a random token pointing at one conversation; /share/<token> shows that conversation to
+// anyone with the link, without an account, until the owner stops sharing or deletes it. Shares are
+// kept in <dataDir>/shares.json.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const SHARES_FILE = path.join(DATA_DIR, 'shares.json');
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+const log = createLogger('shares');
+
+let state = null; // { shares: [{ token, conversationId, ownerId, createdAt }] }, loaded on first use
+let writeQueue = Promise.resolve();
+
+async function load() {
+  if (!state) {
+    try {
+      const file = JSON.parse(await fs.readFile(SHARES_FILE, 'utf8'));
+      state = state || { shares: file.shares || [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      state = state || { shares: [] };
+    }
+  }
+  return state;
+}
+
+// Write to a temp file first and rename, so a crash never leaves a half-written file;
+// writes are applied one after another
+function persist() {
+  writeQueue = writeQueue.catch(() => {}).then(async () => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const tmp = `${SHARES_FILE}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ shares: state.shares }, null, 2), 'utf8');
+    await fs.rename(tmp, SHARES_FILE);
+  });
+  return writeQueue;
+}
+
+export async function getShare(conversationId) {
+  const { shares } = await load();
+  return shares.find(share => share.conversationId === conversationId) || null;
+}
+
+export async function findShare(token) {
+  if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) return null;
+  const { shares } = await load();
+  return shares.find(share => share.token === token) || null;
+}
+
+// Share a conversation; a conversation that is already shared keeps its link
+export async function createShare(conversationId, ownerId = null) {
+  const existing = await getShare(conversationId);
+  if (existing) return existing;
+  const share = {
+    token: crypto.randomBytes(24).toString('base64url'),
+    conversationId,
+    ownerId,
+    createdAt: new Date().toISOString()
+  };
+  state.shares.push(share);
+  await persist();
+  log.info('Shared conversation', { conversationId });
+  return share;
+}
+
+// Stop sharing a conversation; the old link stops working. Returns whether it was shared.
+export async function deleteShare(conversationId) {
+  const { shares } = await load();
+  const remaining = shares.filter(share => share.conversationId !== conversationId);
+  if (remaining.length === shares.length) return false;
+  state.shares = remaining;
+  await persist();
+  log.info('Stopped sharing conversation', { conversationId });
+  return true;
+}
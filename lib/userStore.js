@@ -0,0 +1,371 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+// Local user accounts, login sessions and personal API tokens
+// Users (with their API tokens and usage counters) are kept in <dataDir>/users.json and login
+// sessions in <dataDir>/sessions.json. Passwords are hashed with scrypt; session ids and API
+// tokens are random and only their SHA-256 hashes are stored.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const log = createLogger('auth');
+
+const config = {
+  enabled: (process.env.AUTH || 'on').trim().toLowerCase() !== 'off',
+  allowRegistration: (process.env.ALLOW_REGISTRATION || 'off').trim().toLowerCase() === 'on',
+  sessionTtlMs: (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000,
+  adminUsername: process.env.ADMIN_USERNAME?.trim(),
+  adminPassword: process.env.ADMIN_PASSWORD
+};
+
+export const ROLES = ['admin', 'user'];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_TOKENS_PER_USER = 20;
+// API tokens are recognizable in logs and secret scanners by their prefix
+const TOKEN_PREFIX = 'olc_';
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+let state = null; // { users: [...], sessions: [...] }, loaded on first use
+let writeQueue = Promise.resolve();
+
+export function isAuthEnabled() {
+  return config.enabled;
+}
+
+export function isRegistrationOpen() {
+  return config.allowRegistration;
+}
+
+export function getSessionTtlMs() {
+  return config.sessionTtlMs;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function scrypt(password, salt, params = SCRYPT_PARAMS) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (error, key) => error ? reject(error) : resolve(key));
+  });
+}
+
+// Stored as scrypt:N:r:p:salt:hash so the parameters can be raised later without breaking old hashes
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return ['scrypt', SCRYPT_PARAMS.N, SCRYPT_PARAMS.r, SCRYPT_PARAMS.p, salt.toString('base64'), key.toString('base64')].join(':');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// Spent on unknown usernames so a login takes as long whether or not the account exists
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+async function load() {
+  if (!state) {
+    const [usersFile, sessionsFile] = await Promise.all([
+      readJson(USERS_FILE, { users: [] }),
+      readJson(SESSIONS_FILE, { sessions: [] })
+    ]);
+    state = state || { users: usersFile.users || [], sessions: sessionsFile.sessions || [] };
+  }
+  return state;
+}
+
+// Write to a temp file first and rename, so a crash never leaves a half-written file
+async function writeJson(target, value) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2), { encoding: 'utf8', mode: 0o600 });
+  await fs.rename(tmp, target);
+}
+
+// Persist the in-memory state; writes are applied one after another
+function persist({ users = false, sessions = false }) {
+  writeQueue = writeQueue.catch(() => {}).then(async () => {
+    if (users) await writeJson(USERS_FILE, { users: state.users });
+    if (sessions) await writeJson(SESSIONS_FILE, { sessions: state.sessions });
+  });
+  return writeQueue;
+}
+
+function emptyUsage() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, searches: 0 };
+}
+
+// What the API shows of a user: never the password hash or token hashes
+export function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    disabled: Boolean(user.disabled),
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt || null,
+    usage: { ...emptyUsage(), ...user.usage }
+  };
+}
+
+function validateUsername(username) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-32 characters: letters, digits, ".", "_" or "-"';
+  }
+  return null;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function findByUsername(username) {
+  const lower = String(username || '').toLowerCase();
+  return state.users.find(user => user.username.toLowerCase() === lower) || null;
+}
+
+function activeAdminCount() {
+  return state.users.filter(user => user.role === 'admin' && !user.disabled).length;
+}
+
+export async function countUsers() {
+  return (await load()).users.length;
+}
+
+export async function listUsers() {
+  await load();
+  return state.users.map(toPublicUser);
+}
+
+export async function getUser(id) {
+  await load();
+  return state.users.find(user => user.id === id) || null;
+}
+
+// Returns { user } or { error, status } (400 for invalid input, 409 when the username is taken).
+// With `firstAccount` the user is only created while there are no users yet (403 otherwise), for
+// the first-run admin account.
+export async function createUser({ username, password, role = 'user', firstAccount = false } = {}) {
+  await load();
+  if (firstAccount && state.users.length > 0) return { error: 'Setup has already been completed', status: 403 };
+  const error = validateUsername(username) || validatePassword(password) || (ROLES.includes(role) ? null : `role must be one of: ${ROLES.join(', ')}`);
+  if (error) return { error, status: 400 };
+  if (findByUsername(username)) return { error: 'Username is already taken', status: 409 };
+
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    role,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString(),
+    tokens: [],
+    usage: emptyUsage()
+  };
+  // Checked again: another registration or setup may have finished while the password was hashed.
+  // Nothing is awaited from here to the push, so concurrent requests cannot both pass.
+  if (firstAccount && state.users.length > 0) return { error: 'Setup has already been completed', status: 403 };
+  if (findByUsername(username)) return { error: 'Username is already taken', status: 409 };
+  state.users.push(user);
+  await persist({ users: true });
+  log.info('Created account', { username, role });
+  return { user };
+}
+
+// Change role, password or the disabled flag. The last active admin cannot be demoted or disabled.
+// Returns { user } or { error, status }.
+export async function updateUser(id, { role, password, disabled } = {}) {
+  const user = await getUser(id);
+  if (!user) return { error: 'User not found', status: 404 };
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    return { error: `role must be one of: ${ROLES.join(', ')}`, status: 400 };
+  }
+  if (password !== undefined) {
+    const error = validatePassword(password);
+    if (error) return { error, status: 400 };
+  }
+  const losesAdmin = user.role === 'admin' && !user.disabled && ((role && role !== 'admin') || disabled === true);
+  if (losesAdmin && activeAdminCount() <= 1) {
+    return { error: 'At least one active admin account is required', status: 400 };
+  }
+
+  if (role !== undefined) user.role = role;
+  if (disabled !== undefined) user.disabled = Boolean(disabled);
+  if (password !== undefined) user.passwordHash = await hashPassword(password);
+  // A new password or a disabled account ends every existing login
+  const endSessions = password !== undefined || user.disabled;
+  if (endSessions) {
+    state.sessions = state.sessions.filter(session => session.userId !== user.id);
+  }
+  await persist({ users: true, sessions: endSessions });
+  return { user };
+}
+
+export async function deleteUser(id) {
+  const user = await getUser(id);
+  if (!user) return { error: 'User not found', status: 404 };
+  if (user.role === 'admin' && !user.disabled && activeAdminCount() <= 1) {
+    return { error: 'At least one active admin account is required', status: 400 };
+  }
+  state.users = state.users.filter(u => u.id !== id);
+  state.sessions = state.sessions.filter(session => session.userId !== id);
+  await persist({ users: true, sessions: true });
+  log.info('Deleted account', { username: user.username });
+  return { user };
+}
+
+// Check a username/password pair; returns the user or null
+export async function verifyCredentials(username, password) {
+  await load();
+  const user = findByUsername(username);
+  if (!user || typeof password !== 'string') {
+    await verifyPassword(String(password), await DUMMY_HASH);
+    return null;
+  }
+  if (!await verifyPassword(password, user.passwordHash) || user.disabled) {
+    return null;
+  }
+  user.lastLoginAt = new Date().toISOString();
+  await persist({ users: true });
+  return user;
+}
+
+// Start a login session; returns the session id to put in the cookie
+export async function createSession(userId) {
+  await load();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  // Expired sessions are dropped whenever a new one is created
+  state.sessions = state.sessions.filter(session => session.expiresAt > now);
+  state.sessions.push({ hash: hashToken(token), userId, createdAt: new Date(now).toISOString(), expiresAt: now + config.sessionTtlMs });
+  await persist({ sessions: true });
+  return token;
+}
+
+export async function deleteSession(token) {
+  await load();
+  const hash = hashToken(String(token || ''));
+  const before = state.sessions.length;
+  state.sessions = state.sessions.filter(session => session.hash !== hash);
+  if (state.sessions.length !== before) {
+    await persist({ sessions: true });
+  }
+}
+
+// User behind a session id, or null when the session is unknown, expired or the account is disabled
+export async function getSessionUser(token) {
+  if (!token) return null;
+  await load();
+  const hash = hashToken(token);
+  const session = state.sessions.find(s => s.hash === hash);
+  if (!session || session.expiresAt <= Date.now()) return null;
+  const user = state.users.find(u => u.id === session.userId);
+  return user && !user.disabled ? user : null;
+}
+
+export async function listApiTokens(userId) {
+  const user = await getUser(userId);
+  return (user?.tokens || []).map(({ hash, ...token }) => token);
+}
+
+// Create a personal API token; the token itself is only returned here, afterwards just its hash is known.
+// Returns { token, record } or { error, status }.
+export async function createApiToken(userId, name) {
+  const user = await getUser(userId);
+  if (!user) return { error: 'User not found', status: 404 };
+  const label = typeof name === 'string' ? name.trim() : '';
+  if (!label || label.length > 64) return { error: 'Token name must be 1-64 characters', status: 400 };
+  if (user.tokens.length >= MAX_TOKENS_PER_USER) {
+    return { error: `At most ${MAX_TOKENS_PER_USER} API tokens per user`, status: 400 };
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name: label,
+    prefix: token.substring(0, TOKEN_PREFIX.length + 6),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  user.tokens.push({ ...record, hash: hashToken(token) });
+  await persist({ users: true });
+  return { token, record };
+}
+
+export async function deleteApiToken(userId, tokenId) {
+  const user = await getUser(userId);
+  if (!user) return false;
+  const before = user.tokens.length;
+  user.tokens = user.tokens.filter(token => token.id !== tokenId);
+  if (user.tokens.length === before) return false;
+  await persist({ users: true });
+  return true;
+}
+
+// User owning an API token, or null
+export async function getTokenUser(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+  await load();
+  const hash = hashToken(token);
+  for (const user of state.users) {
+    const record = user.tokens?.find(t => t.hash === hash);
+    if (record) {
+      if (user.disabled) return null;
+      // lastUsedAt only needs to be roughly right; avoid a write on every request
+      const now = new Date();
+      if (!record.lastUsedAt || now - new Date(record.lastUsedAt) > 60 * 1000) {
+        record.lastUsedAt = now.toISOString();
+        persist({ users: true }).catch(error => log.error('Failed to save token usage', { error }));
+      }
+      return user;
+    }
+  }
+  return null;
+}
+
+// Add to a user's usage counters ({ requests, promptTokens, completionTokens, searches })
+export async function recordUsage(userId, usage) {
+  const user = await getUser(userId);
+  if (!user) return;
+  user.usage = { ...emptyUsage(), ...user.usage };
+  for (const [key, value] of Object.entries(usage)) {
+    if (key in user.usage && Number.isFinite(value)) user.usage[key] += value;
+  }
+  await persist({ users: true });
+}
+
+// Create the admin account from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users yet
+export async function seedAdminFromEnv() {
+  if (!config.enabled || !config.adminUsername || !config.adminPassword || await countUsers() > 0) {
+    return null;
+  }
+  const { user, error } = await createUser({ username: config.adminUsername, password: config.adminPassword, role: 'admin', firstAccount: true });
+  if (error) {
+    log.error('Could not create the admin account from ADMIN_USERNAME', { reason: error });
+    return null;
+  }
+  return user;
+}
@@ -0,0 +1,377 @@
+// Sign-in screen and account panel
+// When the server has user accounts turned on, nothing loads until the user signs in (or creates
+// the first admin account). The 👤 panel shows usage, changes the password, manages personal API
+// tokens and, for admins, the user list.
+class AccountManager {
+    constructor({ onUserChanged, setStatus }) {
+        this.onUserChanged = onUserChanged;
+        this.setStatus = setStatus;
+        this.user = null;
+        this.authMode = 'login'; // login, setup or register
+        this.registrationOpen = false;
+        this.resolveSignIn = null; // Settles ensureSignedIn() once the form succeeds
+
+        this.toggleButton = document.getElementById('manageAccount');
+        this.panel = document.getElementById('accountPanel');
+        this.closeButton = document.getElementById('closeAccountPanel');
+        this.title = document.getElementById('accountTitle');
+        this.usage = document.getElementById('accountUsage');
+        this.signOutButton = document.getElementById('signOutButton');
+        this.passwordForm = document.getElementById('changePasswordForm');
+        this.currentPasswordInput = document.getElementById('currentPasswordInput');
+        this.newPasswordInput = document.getElementById('newPasswordInput');
+        this.tokenForm = document.getElementById('createTokenForm');
+        this.tokenNameInput = document.getElementById('tokenNameInput');
+        this.newToken = document.getElementById('newToken');
+        this.tokenList = document.getElementById('tokenList');
+        this.userAdmin = document.getElementById('userAdmin');
+        this.userForm = document.getElementById('createUserForm');
+        this.newUsernameInput = document.getElementById('newUsernameInput');
+        this.newUserPasswordInput = document.getElementById('newUserPasswordInput');
+        this.newUserRoleSelect = document.getElementById('newUserRoleSelect');
+        this.userList = document.getElementById('userList');
+
+        this.authScreen = document.getElementById('authScreen');
+        this.authForm = document.getElementById('authForm');
+        this.authTitle = document.getElementById('authTitle');
+        this.authHint = document.getElementById('authHint');
+        this.authUsername = document.getElementById('authUsername');
+        this.authPassword = document.getElementById('authPassword');
+        this.authError = document.getElementById('authError');
+        this.authSubmit = document.getElementById('authSubmit');
+        this.authSwitch = document.getElementById('authSwitch');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.closeButton.addEventListener('click', () => this.toggle(false));
+        this.signOutButton.addEventListener('click', () => this.signOut());
+        this.passwordForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changePassword();
+        });
+        this.tokenForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createToken(this.tokenNameInput.value.trim());
+        });
+        this.userForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createUser();
+        });
+        this.authForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitAuth();
+        });
+        this.authSwitch.addEventListener('click', () => {
+            this.showAuthScreen(this.authMode === 'register' ? 'login' : 'register');
+        });
+
+        this.watchForSignOut();
+    }
+
+    // A 401 from the API means the session expired or was revoked (e.g. a password change elsewhere):
+    // ask the user to sign in again instead of failing every request
+    watchForSignOut() {
+        const originalFetch = window.fetch.bind(window);
+        window.fetch = async (input, init) => {
+            const response = await originalFetch(input, init);
+            const url = typeof input === 'string' ? input : input.url;
+            if (response.status === 401 && url.startsWith('/api/') && !url.startsWith('/api/auth/') && this.user) {
+                this.user = null;
+                this.showAuthScreen('login', 'Your session has ended. Sign in again to continue.');
+            }
+            return response;
+        };
+    }
+
+    async fetchJson(url, options) {
+        const response = await fetch(url, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    postJson(url, body, method = 'POST') {
+        return this.fetchJson(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    // Resolves with the signed-in user (or null when accounts are turned off) once the app may load
+    async ensureSignedIn() {
+        let status;
+        try {
+            status = await this.fetchJson('/api/auth/status');
+        } catch (error) {
+            console.error('Error loading login status:', error);
+            return null;
+        }
+
+        this.registrationOpen = status.registrationOpen;
+        this.toggleButton.hidden = !status.authEnabled;
+        if (!status.authEnabled) {
+            return null;
+        }
+        if (status.user) {
+            this.setUser(status.user);
+            return status.user;
+        }
+
+        return new Promise(resolve => {
+            this.resolveSignIn = resolve;
+            this.showAuthScreen(status.setupRequired ? 'setup' : 'login');
+        });
+    }
+
+    setUser(user) {
+        this.user = user;
+        this.toggleButton.title = `Account (${user.username})`;
+        this.onUserChanged(user);
+    }
+
+    showAuthScreen(mode, hint = '') {
+        this.authMode = mode;
+        const titles = { login: '🔐 Sign in', setup: '👋 Create the admin account', register: '📝 Create an account' };
+        const hints = {
+            login: '',
+            setup: 'No accounts exist yet. The first account manages models and other users.',
+            register: 'Usernames are 3-32 letters, digits, dots, dashes or underscores.'
+        };
+        this.authTitle.textContent = titles[mode];
+        this.authHint.textContent = hint || hints[mode];
+        this.authSubmit.textContent = mode === 'login' ? 'Sign in' : 'Create account';
+        this.authPassword.autocomplete = mode === 'login' ? 'current-password' : 'new-password';
+        this.authSwitch.hidden = mode === 'setup' || !this.registrationOpen;
+        this.authSwitch.textContent = mode === 'register' ? 'I already have an account' : 'Create an account';
+        this.authError.textContent = '';
+        this.authPassword.value = '';
+        this.authScreen.hidden = false;
+        this.authUsername.focus();
+    }
+
+    async submitAuth() {
+        const endpoints = { login: '/api/auth/login', setup: '/api/auth/setup', register: '/api/auth/register' };
+        this.authSubmit.disabled = true;
+        this.authError.textContent = '';
+        try {
+            const { user } = await this.postJson(endpoints[this.authMode], {
+                username: this.authUsername.value.trim(),
+                password: this.authPassword.value
+            });
+            this.authScreen.hidden = true;
+            this.authPassword.value = '';
+
+            if (this.resolveSignIn) {
+                this.setUser(user);
+                this.resolveSignIn(user);
+                this.resolveSignIn = null;
+            } else {
+                // Signed in again after the session ended: start over with this user's data
+                location.reload();
+            }
+        } catch (error) {
+            this.authError.textContent = error.message;
+        } finally {
+            this.authSubmit.disabled = false;
+        }
+    }
+
+    async signOut() {
+        try {
+            await this.fetchJson('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+        localStorage.removeItem('conversationId');
+        location.reload();
+    }
+
+    toggle(open = this.panel.hidden) {
+        this.panel.hidden = !open;
+        this.toggleButton.classList.toggle('active', open);
+        if (open) {
+            this.newToken.textContent = '';
+            this.refresh();
+        }
+    }
+
+    async refresh() {
+        try {
+            const user = await this.fetchJson('/api/me');
+            this.user = user;
+            this.renderProfile(user);
+            this.userAdmin.hidden = user.role !== 'admin';
+            await Promise.all([
+                this.loadTokens(),
+                user.role === 'admin' ? this.loadUsers() : null
+            ]);
+        } catch (error) {
+            console.error('Error loading account:', error);
+            this.usage.textContent = `Could not load account: ${error.message}`;
+        }
+    }
+
+    renderProfile(user) {
+        const { usage } = user;
+        this.title.textContent = `👤 ${user.username}${user.role === 'admin' ? ' (admin)' : ''}`;
+        this.usage.textContent = `${usage.requests} request(s) · ${usage.promptTokens.toLocaleString()} prompt and ${usage.completionTokens.toLocaleString()} completion tokens · ${usage.searches} search(es)`;
+    }
+
+    renderEmpty(list, text) {
+        list.innerHTML = '';
+        const empty = document.createElement('li');
+        empty.className = 'model-empty';
+        empty.textContent = text;
+        list.appendChild(empty);
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'model-action';
+        button.type = 'button';
+        button.title = title;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createItem(nameText, metaText) {
+        const item = document.createElement('li');
+        item.className = 'model-item';
+
+        const name = document.createElement('span');
+        name.className = 'model-name';
+        name.textContent = nameText;
+
+        const meta = document.createElement('span');
+        meta.className = 'model-meta';
+        meta.textContent = metaText;
+
+        item.appendChild(name);
+        item.appendChild(meta);
+        return item;
+    }
+
+    formatDate(value) {
+        return value ? new Date(value).toLocaleDateString() : 'never';
+    }
+
+    async changePassword() {
+        try {
+            await this.postJson('/api/me/password', {
+                currentPassword: this.currentPasswordInput.value,
+                newPassword: this.newPasswordInput.value
+            });
+            this.currentPasswordInput.value = '';
+            this.newPasswordInput.value = '';
+            this.setStatus('Password changed - other sessions were signed out', 'success');
+        } catch (error) {
+            console.error('Error changing password:', error);
+            this.setStatus(`Could not change password: ${error.message}`, 'error');
+        }
+    }
+
+    async loadTokens() {
+        const { tokens } = await this.fetchJson('/api/me/tokens');
+        if (tokens.length === 0) {
+            this.renderEmpty(this.tokenList, 'No API tokens');
+            return;
+        }
+        this.tokenList.innerHTML = '';
+        tokens.forEach(token => {
+            const item = this.createItem(`🔑 ${token.name}`, `${token.prefix}… · created ${this.formatDate(token.createdAt)} · last used ${this.formatDate(token.lastUsedAt)}`);
+            item.appendChild(this.createButton('🗑️', 'Revoke token', () => this.deleteToken(token)));
+            this.tokenList.appendChild(item);
+        });
+    }
+
+    async createToken(name) {
+        if (!name) return;
+        try {
+            const { token } = await this.postJson('/api/me/tokens', { name });
+            this.tokenNameInput.value = '';
+            this.newToken.textContent = `Copy this token now, it will not be shown again: ${token}`;
+            this.loadTokens();
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            this.setStatus(`Could not create token: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteToken(token) {
+        if (!confirm(`Revoke the token "${token.name}"? Scripts using it will stop working.`)) {
+            return;
+        }
+        try {
+            await this.fetchJson(`/api/me/tokens/${encodeURIComponent(token.id)}`, { method: 'DELETE' });
+            this.setStatus(`Revoked ${token.name}`, 'success');
+            this.loadTokens();
+        } catch (error) {
+            console.error('Error revoking API token:', error);
+            this.setStatus(`Could not revoke token: ${error.message}`, 'error');
+        }
+    }
+
+    async loadUsers() {
+        const { users } = await this.fetchJson('/api/users');
+        this.userList.innerHTML = '';
+        users.forEach(user => {
+            const { usage } = user;
+            const item = this.createItem(
+                `${user.disabled ? '🚫' : '👤'} ${user.username}`,
+                `${user.role} · ${usage.requests} request(s) · ${(usage.promptTokens + usage.completionTokens).toLocaleString()} tokens · last sign-in ${this.formatDate(user.lastLoginAt)}`
+            );
+            if (user.id !== this.user.id) {
+                const otherRole = user.role === 'admin' ? 'user' : 'admin';
+                item.appendChild(this.createButton(user.role === 'admin' ? '⬇️' : '⬆️', `Make ${otherRole}`, () => this.updateUser(user, { role: otherRole })));
+                item.appendChild(this.createButton(user.disabled ? '✅' : '🚫', user.disabled ? 'Enable account' : 'Disable account', () => this.updateUser(user, { disabled: !user.disabled })));
+                item.appendChild(this.createButton('🗑️', 'Delete account', () => this.deleteUser(user)));
+            }
+            this.userList.appendChild(item);
+        });
+    }
+
+    async createUser() {
+        try {
+            const user = await this.postJson('/api/users', {
+                username: this.newUsernameInput.value.trim(),
+                password: this.newUserPasswordInput.value,
+                role: this.newUserRoleSelect.value
+            });
+            this.newUsernameInput.value = '';
+            this.newUserPasswordInput.value = '';
+            this.setStatus(`Created ${user.username}`, 'success');
+            this.loadUsers();
+        } catch (error) {
+            console.error('Error creating user:', error);
+            this.setStatus(`Could not create user: ${error.message}`, 'error');
+        }
+    }
+
+    async updateUser(user, changes) {
+        try {
+            await this.postJson(`/api/users/${encodeURIComponent(user.id)}`, changes, 'PATCH');
+            this.setStatus(`Updated ${user.username}`, 'success');
+            this.loadUsers();
+        } catch (error) {
+            console.error('Error updating user:', error);
+            this.setStatus(`Could not update ${user.username}: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteUser(user) {
+        if (!confirm(`Delete the account ${user.username}? Their conversations and collections will no longer be reachable.`)) {
+            return;
+        }
+        try {
+            await this.fetchJson(`/api/users/${encodeURIComponent(user.id)}`, { method: 'DELETE' });
+            this.setStatus(`Deleted ${user.username}`, 'success');
+            this.loadUsers();
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            this.setStatus(`Could not delete ${user.username}: ${error.message}`, 'error');
+        }
+    }
+}
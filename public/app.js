@@ -1,27 +1,94 @@
 // Chatbot application
 class Chatbot {
     constructor() {
-        this.conversationHistory = [];
+        this.conversationId = localStorage.getItem('conversationId'); // Server-side conversation being viewed
+        this.messages = []; // Every message of that conversation, a tree linked by parentId
+        this.currentId = null; // Last message of the branch on screen
         this.currentModel = 'llama3.2'; // Will be updated from server config
         this.isStreaming = false;
+        this.abortController = null; // Cancels the in-flight /api/chat request
         this.mode = 'local'; // Will be updated from server config
+        this.backends = []; // Ollama backends from server config
+        this.markdown = new MarkdownRenderer();
+        this.pendingRenders = new Map(); // messageId -> latest { content, sources } waiting to be rendered
+        this.renderFrame = null;
         
         this.initializeElements();
+        this.modelManager = new ModelManager({
+            onModelsChanged: () => this.loadModels(),
+            setStatus: (message, type) => this.setStatus(message, type)
+        });
+        this.settingsDrawer = new SettingsDrawer({
+            getConversationId: () => this.conversationId,
+            setStatus: (message, type) => this.setStatus(message, type)
+        });
+        this.attachments = new ImageAttachments({
+            dropZone: document.querySelector('.container'),
+            pasteTarget: this.messageInput,
+            getModel: () => this.modelSelect.value || this.currentModel,
+            setStatus: (message, type) => this.setStatus(message, type)
+        });
+        this.documentLibrary = new DocumentLibrary({
+            onCollectionsChanged: (collections) => this.settingsDrawer.setCollections(collections),
+            setStatus: (message, type) => this.setStatus(message, type)
+        });
+        this.arena = new ArenaView({
+            chatContainer: this.chatContainer,
+            renderAnswer: (content, sources) => this.renderAnswer(content, sources),
+            onActiveChanged: (active) => {
+                this.messageInput.placeholder = active
+                    ? `Compare ${this.arena.getSelectedModels().join(', ')}... (Press Enter to send, Shift+Enter for new line)`
+                    : this.defaultPlaceholder;
+            },
+            setStatus: (message, type) => this.setStatus(message, type)
+        });
+        this.sharing = new SharePanel({
+            getConversationId: () => this.conversationId,
+            onImported: (conversation) => {
+                this.loadConversations();
+                this.openConversation(conversation.id);
+            },
+            setStatus: (message, type) => this.setStatus(message, type)
+        });
+        this.account = new AccountManager({
+            onUserChanged: (user) => this.modelManager.setCanManage(user.role === 'admin'),
+            setStatus: (message, type) => this.setStatus(message, type)
+        });
         this.attachEventListeners();
+        this.start();
+    }
+
+    // Load everything once the user is signed in (immediately when accounts are turned off)
+    async start() {
+        await this.account.ensureSignedIn();
         this.loadConfig();
+        this.documentLibrary.refresh();
+        this.loadConversations();
+        if (this.conversationId) {
+            this.openConversation(this.conversationId);
+        }
     }
 
     initializeElements() {
         this.chatContainer = document.getElementById('chatContainer');
         this.messageInput = document.getElementById('messageInput');
+        this.defaultPlaceholder = this.messageInput.placeholder;
         this.sendButton = document.getElementById('sendButton');
+        this.stopButton = document.getElementById('stopButton');
+        this.searchModeSelect = document.getElementById('searchModeSelect');
+        this.searchModeSelect.value = localStorage.getItem('searchMode') || 'auto';
         this.modelSelect = document.getElementById('modelSelect');
         this.refreshButton = document.getElementById('refreshModels');
         this.status = document.getElementById('status');
+        this.newChatButton = document.getElementById('newChatButton');
+        this.conversationList = document.getElementById('conversationList');
     }
 
     attachEventListeners() {
         this.sendButton.addEventListener('click', () => this.sendMessage());
+        this.stopButton.addEventListener('click', () => this.stopGeneration());
+        // auto: the model decides; always: search every time; never: no search; results: search results with a short summary
+        this.searchModeSelect.addEventListener('change', () => localStorage.setItem('searchMode', this.searchModeSelect.value));
         
         this.messageInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -38,6 +105,7 @@ class Chatbot {
         this.modelSelect.addEventListener('change', (e) => {
             this.currentModel = e.target.value;
             console.log('Model changed to:', this.currentModel);
+            this.attachments.updateVisionWarning();
             this.setStatus(`Model set to: ${this.currentModel}`, 'info');
             setTimeout(() => {
                 if (this.status.textContent.includes('Model set to:')) {
@@ -48,6 +116,8 @@ class Chatbot {
         });
 
         this.refreshButton.addEventListener('click', () => this.loadModels());
+
+        this.newChatButton.addEventListener('click', () => this.startNewConversation());
     }
 
     async loadConfig() {
@@ -56,6 +126,10 @@ class Chatbot {
             const data = await response.json();
             
             this.mode = data.mode || 'local';
+            this.modelManager.setMode(this.mode);
+            this.backends = data.backends || [];
+            this.modelManager.setBackends(this.backends);
+            this.attachments.setLimits(data.imageLimits);
             
             // Only set default model if provided (cloud mode) or if we have one from server
             // For local mode, we'll get the model from the models list
@@ -70,15 +144,7 @@ class Chatbot {
             console.log('Loaded config:', { mode: this.mode, defaultModel: data.defaultModel });
             
             // Update welcome message based on mode
-            const welcomeMessage = this.chatContainer.querySelector('.welcome-message');
-            if (welcomeMessage) {
-                const hint = welcomeMessage.querySelector('.hint');
-                if (hint) {
-                    hint.textContent = this.mode === 'cloud' 
-                        ? 'Using Ollama Cloud - no local installation required!'
-                        : 'Using local Ollama - make sure Ollama is running!';
-                }
-            }
+            this.updateWelcomeHint();
             
             // For cloud mode, set the default model in dropdown
             // For local mode, wait for models list to load
@@ -118,6 +184,8 @@ class Chatbot {
             
             const data = await response.json();
             
+            this.arena.setModels(data.models || []);
+            
             if (data.models && data.models.length > 0) {
                 this.modelSelect.innerHTML = '';
                 let foundCurrentModel = false;
@@ -129,7 +197,8 @@ class Chatbot {
                 data.models.forEach(model => {
                     const option = document.createElement('option');
                     option.value = model.name;
-                    option.textContent = model.name;
+                    // With several backends, show where each model lives
+                    option.textContent = this.backends.length > 1 && model.backends ? `${model.name} (${model.backends.join(', ')})` : model.name;
                     
                     // For cloud mode, prioritize gpt-oss:120b-cloud
                     if (this.mode === 'cloud' && model.name === cloudDefaultModel) {
@@ -138,7 +207,7 @@ class Chatbot {
                         foundCurrentModel = true;
                     }
                     // For local mode, select first model if no currentModel is set
-                    else if (this.mode === 'local' && !this.currentModel && !foundCurrentModel) {
+                    else if (this.mode !== 'cloud' && !this.currentModel && !foundCurrentModel) {
                         option.selected = true;
                         this.currentModel = model.name;
                         foundCurrentModel = true;
@@ -216,30 +285,61 @@ class Chatbot {
             return;
         }
         
+        // Compare mode: the models ticked in ⚖️ answer instead of the selected one
+        if (this.arena.isActive()) {
+            return this.sendComparison(message);
+        }
+        
         // Check if a model is selected
         if (!this.currentModel || !this.modelSelect.value) {
             this.setStatus('Please select a model first.', 'error');
             return;
         }
 
-        // Add user message to UI
-        this.addMessage('user', message);
+        const images = this.attachments.getDataUrls();
+        this.attachments.clear();
         this.messageInput.value = '';
         this.messageInput.style.height = 'auto';
         
+        // Continue the branch on screen
+        await this.streamTurn({ message, images, turn: { parentId: this.currentId } });
+    }
+
+    // Send one turn to /api/chat and stream the answer. `turn` says where it goes in the
+    // conversation's tree: { parentId }, { editOf } or { regenerate } (see the API docs).
+    // A regenerated answer has no new question to show; an edited one shows `displayImages`,
+    // the images it keeps from the original.
+    async streamTurn({ message, images = [], displayImages = images, turn }) {
+        if (!this.currentModel || !this.modelSelect.value) {
+            this.setStatus('Please select a model first.', 'error');
+            return;
+        }
+
+        // Add user message to UI
+        let userMessageId = null;
+        if (!turn.regenerate) {
+            userMessageId = this.addMessage('user', message);
+            this.renderMessageImages(userMessageId, displayImages);
+        }
+        
         // Disable input while streaming
         this.setStreaming(true);
         this.setStatus('Thinking...', 'info');
+        this.abortController = new AbortController();
+        let assistantMessageId = null;
+        let typingId = null;
+        let statusMessageId = null;
 
         try {
             // Ensure we're using the currently selected model
             const selectedModel = this.modelSelect.value || this.currentModel;
             this.currentModel = selectedModel;
+            const searchMode = this.searchModeSelect.value;
             
             console.log('Sending message with model:', this.currentModel);
             
             // Create typing indicator
-            const typingId = this.addTypingIndicator();
+            typingId = this.addTypingIndicator();
 
             // Stream the response
             const response = await fetch('/api/chat', {
@@ -250,26 +350,36 @@ class Chatbot {
                 body: JSON.stringify({
                     message: message,
                     model: this.currentModel,
-                    conversationHistory: this.conversationHistory
-                })
+                    conversationId: this.conversationId,
+                    images: images.length > 0 ? images : undefined,
+                    searchMode,
+                    ...turn,
+                    ...this.settingsDrawer.getSettings()
+                }),
+                signal: this.abortController.signal
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                // The stored conversation is gone (e.g. deleted in another tab) - start fresh next time
+                if (response.status === 404) {
+                    this.setConversationId(null);
+                }
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
             }
 
             // Remove typing indicator
             this.removeTypingIndicator(typingId);
 
             // Create assistant message element
-            const assistantMessageId = this.addMessage('assistant', '');
+            assistantMessageId = this.addMessage('assistant', '');
 
             // Read the stream
             const reader = response.body.getReader();
             const decoder = new TextDecoder();
             let buffer = '';
             let fullResponse = '';
-            let statusMessageId = null;
+            let sources = [];
 
             while (true) {
                 const { done, value } = await reader.read();
@@ -285,6 +395,34 @@ class Chatbot {
                         try {
                             const data = JSON.parse(line.slice(6));
                             
+                            // Server tells us which stored conversation this exchange belongs to
+                            // (null when a new conversation was dropped because its first request failed)
+                            if (data.type === 'conversation') {
+                                this.setConversationId(data.conversationId || null);
+                                continue;
+                            }
+                            
+                            // Search results the answer can cite as [n]
+                            if (data.type === 'sources' && Array.isArray(data.sources)) {
+                                sources = data.sources;
+                                this.renderSources(assistantMessageId, sources);
+                                // The results are what was asked for: show the list expanded
+                                if (searchMode === 'results') {
+                                    document.getElementById(assistantMessageId)?.querySelector('.message-sources')?.setAttribute('open', '');
+                                }
+                                this.updateMessage(assistantMessageId, fullResponse, sources);
+                                continue;
+                            }
+                            
+                            // The streamed draft did not pass the self-check: keep it, marked as superseded,
+                            // and stream the search-grounded answer into a new message below it
+                            if (data.type === 'revise') {
+                                this.markSuperseded(assistantMessageId);
+                                assistantMessageId = this.addMessage('assistant', '');
+                                fullResponse = '';
+                                sources = [];
+                            }
+                            
                             if (data.done) {
                                 // Remove status message if it exists
                                 if (statusMessageId) {
@@ -292,11 +430,11 @@ class Chatbot {
                                     if (statusMsg) statusMsg.remove();
                                 }
                                 
-                                // Add to conversation history
-                                this.conversationHistory.push(
-                                    { role: 'user', content: message },
-                                    { role: 'assistant', content: fullResponse }
-                                );
+                                // The exchange is stored server-side; refresh the sidebar and the message tree
+                                this.loadConversations();
+                                await this.loadTree();
+                                this.addMessageControls(userMessageId, data.userMessageId);
+                                this.addMessageControls(assistantMessageId, data.assistantMessageId);
                                 this.setStatus('Ready', 'success');
                                 break;
                             }
@@ -315,8 +453,11 @@ class Chatbot {
                                 statusMessageId = 'status-' + Date.now();
                                 statusDiv.id = statusMessageId;
                                 
-                                const icon = data.type === 'search' ? '🔍' : data.type === 'reasoning' ? '🤔' : '💭';
-                                statusDiv.innerHTML = `<div class="message-content">${icon} ${data.message}</div>`;
+                                const icon = data.type === 'search' ? '🔍' : data.type === 'documents' ? '📄' : data.type === 'reasoning' ? '🤔' : data.type === 'context' ? '🗜️' : data.type === 'queued' ? '⏳' : data.type === 'cache' ? '⚡' : data.type === 'decision_error' ? '⚠️' : data.type === 'revise' ? '🔄' : data.type === 'failover' ? '🔀' : '💭';
+                                const statusContent = document.createElement('div');
+                                statusContent.className = 'message-content';
+                                statusContent.textContent = `${icon} ${data.message}`;
+                                statusDiv.appendChild(statusContent);
                                 
                                 const assistantMsg = document.getElementById(assistantMessageId);
                                 if (assistantMsg && assistantMsg.parentNode) {
@@ -328,8 +469,13 @@ class Chatbot {
                                 this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
                             }
                             
-                            // Handle error messages
-                            if (data.type === 'error' && data.message) {
+                            // Waiting for a free slot on the Ollama host
+                            if (data.type === 'queued') {
+                                this.setStatus(data.position > 0 ? data.message : 'Thinking...', 'info');
+                            }
+                            
+                            // Handle error messages (a failed search decision is reported, the answer still follows)
+                            if ((data.type === 'error' || data.type === 'decision_error') && data.message) {
                                 this.setStatus(data.message, 'error');
                             }
                             
@@ -345,7 +491,7 @@ class Chatbot {
                                 }
                                 
                                 fullResponse += data.content;
-                                this.updateMessage(assistantMessageId, fullResponse);
+                                this.updateMessage(assistantMessageId, fullResponse, sources);
                             }
                         } catch (e) {
                             console.error('Error parsing SSE data:', e);
@@ -355,6 +501,25 @@ class Chatbot {
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                // Stopped by the user: keep whatever was streamed so far
+                this.removeTypingIndicator(typingId);
+                if (statusMessageId) {
+                    const statusMsg = document.getElementById(statusMessageId);
+                    if (statusMsg) statusMsg.remove();
+                }
+                if (assistantMessageId) {
+                    this.markStopped(assistantMessageId);
+                }
+                this.setStatus('Generation stopped', 'info');
+                // The server saves the partial answer once it notices the disconnect
+                setTimeout(() => {
+                    this.loadConversations();
+                    if (this.conversationId) this.openConversation(this.conversationId);
+                }, 500);
+                return;
+            }
+            
             console.error('Error sending message:', error);
             const errorMsg = this.mode === 'cloud' 
                 ? `Error: ${error.message}. Make sure your API key is valid and you have access to Ollama Cloud.`
@@ -362,11 +527,480 @@ class Chatbot {
             this.addMessage('assistant', errorMsg);
             this.setStatus('Error: ' + error.message, 'error');
         } finally {
+            this.abortController = null;
+            this.setStreaming(false);
+        }
+    }
+
+    // Send a message to the models ticked in the compare panel; the answers stream side by side
+    async sendComparison(message) {
+        const images = this.attachments.getDataUrls();
+        const userMessageId = this.addMessage('user', message);
+        this.renderMessageImages(userMessageId, images);
+        this.attachments.clear();
+        this.messageInput.value = '';
+        this.messageInput.style.height = 'auto';
+
+        this.setStreaming(true);
+        this.setStatus(`Comparing ${this.arena.getSelectedModels().length} models...`, 'info');
+        this.abortController = new AbortController();
+        try {
+            await this.arena.compare({
+                message,
+                images,
+                searchMode: this.searchModeSelect.value,
+                settings: this.settingsDrawer.getSettings(),
+                signal: this.abortController.signal
+            });
+            this.setStatus('Ready', 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.setStatus('Comparison stopped', 'info');
+                return;
+            }
+            console.error('Error comparing models:', error);
+            this.setStatus('Error: ' + error.message, 'error');
+        } finally {
+            this.abortController = null;
             this.setStreaming(false);
         }
     }
 
-    addMessage(role, content) {
+    stopGeneration() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    // Thumbnails of the images attached to a user message; click to open full size
+    renderMessageImages(messageId, sources) {
+        const messageDiv = document.getElementById(messageId);
+        if (!messageDiv || sources.length === 0) return;
+
+        const gallery = document.createElement('div');
+        gallery.className = 'message-images';
+        sources.forEach(src => {
+            const img = document.createElement('img');
+            img.src = src;
+            img.alt = 'Attached image';
+            img.loading = 'lazy';
+            // Browsers refuse to open data: URLs in a new tab, so only stored images get a link
+            if (src.startsWith('data:')) {
+                gallery.appendChild(img);
+                return;
+            }
+            const link = document.createElement('a');
+            link.href = src;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.appendChild(img);
+            gallery.appendChild(link);
+        });
+        messageDiv.insertBefore(gallery, messageDiv.querySelector('.message-content'));
+    }
+
+    markStopped(messageId) {
+        const messageDiv = document.getElementById(messageId);
+        if (!messageDiv || messageDiv.querySelector('.message-stopped')) return;
+
+        const note = document.createElement('div');
+        note.className = 'message-stopped';
+        note.textContent = '⏹ Generation stopped';
+        messageDiv.insertBefore(note, messageDiv.querySelector('.message-time'));
+    }
+
+    markSuperseded(messageId) {
+        const messageDiv = document.getElementById(messageId);
+        if (!messageDiv || messageDiv.classList.contains('superseded')) return;
+
+        messageDiv.classList.add('superseded');
+        const note = document.createElement('div');
+        note.className = 'message-superseded';
+        note.textContent = '↓ Draft answer - superseded by the answer below, written with a web search';
+        messageDiv.insertBefore(note, messageDiv.querySelector('.message-time'));
+    }
+
+    setConversationId(conversationId) {
+        this.conversationId = conversationId;
+        if (conversationId) {
+            localStorage.setItem('conversationId', conversationId);
+        } else {
+            localStorage.removeItem('conversationId');
+            this.messages = [];
+            this.currentId = null;
+        }
+        this.highlightActiveConversation();
+        this.sharing.conversationChanged();
+    }
+
+    async loadConversations() {
+        try {
+            const response = await fetch('/api/conversations');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.renderConversationList(data.conversations || []);
+        } catch (error) {
+            console.error('Error loading conversations:', error);
+        }
+    }
+
+    renderConversationList(conversations) {
+        this.conversationList.innerHTML = '';
+
+        if (conversations.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'conversation-empty';
+            empty.textContent = 'No saved chats yet';
+            this.conversationList.appendChild(empty);
+            return;
+        }
+
+        conversations.forEach(conversation => {
+            const item = document.createElement('li');
+            item.className = 'conversation-item';
+            item.dataset.id = conversation.id;
+            item.title = `${conversation.title}\n${conversation.messageCount} message(s) · ${new Date(conversation.updatedAt).toLocaleString()}`;
+
+            const title = document.createElement('span');
+            title.className = 'conversation-title';
+            title.textContent = conversation.title;
+
+            const renameButton = document.createElement('button');
+            renameButton.className = 'conversation-action';
+            renameButton.title = 'Rename';
+            renameButton.textContent = '✏️';
+            renameButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.renameConversation(conversation.id, conversation.title);
+            });
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'conversation-action';
+            deleteButton.title = 'Delete';
+            deleteButton.textContent = '🗑️';
+            deleteButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteConversation(conversation.id);
+            });
+
+            item.appendChild(title);
+            item.appendChild(renameButton);
+            item.appendChild(deleteButton);
+            item.addEventListener('click', () => this.openConversation(conversation.id));
+            this.conversationList.appendChild(item);
+        });
+
+        this.highlightActiveConversation();
+    }
+
+    highlightActiveConversation() {
+        this.conversationList.querySelectorAll('.conversation-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.id === this.conversationId);
+        });
+    }
+
+    async openConversation(conversationId) {
+        if (this.isStreaming) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`);
+            if (!response.ok) {
+                throw new Error(response.status === 404 ? 'Conversation not found' : `HTTP ${response.status}`);
+            }
+            const conversation = await response.json();
+
+            this.setConversationId(conversation.id);
+            this.settingsDrawer.load(conversation.settings);
+            this.messages = conversation.messages;
+            this.currentId = conversation.currentId;
+            this.renderBranch();
+
+            // Switch to the conversation's model if it is available
+            if (conversation.model && Array.from(this.modelSelect.options).some(o => o.value === conversation.model)) {
+                this.modelSelect.value = conversation.model;
+                this.currentModel = conversation.model;
+            }
+        } catch (error) {
+            console.error('Error opening conversation:', error);
+            this.setConversationId(null);
+            this.setStatus(`Could not open conversation: ${error.message}`, 'error');
+        }
+    }
+
+    // Messages that follow `parentId` (null for the first questions), oldest first
+    getChildren(parentId) {
+        return this.messages.filter(msg => (msg.parentId ?? null) === parentId);
+    }
+
+    // Messages from the first question to `leafId`
+    getBranch(leafId) {
+        const byId = new Map(this.messages.map(msg => [msg.id, msg]));
+        const branch = [];
+        for (let msg = byId.get(leafId); msg && branch.length < this.messages.length; msg = byId.get(msg.parentId)) {
+            branch.unshift(msg);
+        }
+        return branch;
+    }
+
+    imageUrls(msg) {
+        return (msg.images || []).map(image => `/api/conversations/${encodeURIComponent(this.conversationId)}/images/${encodeURIComponent(image.id)}`);
+    }
+
+    // Show the current branch of the open conversation
+    renderBranch() {
+        this.chatContainer.innerHTML = '';
+        const branch = this.getBranch(this.currentId);
+        branch.forEach(msg => {
+            const messageId = this.addMessage(msg.role, msg.content, msg.createdAt);
+            this.renderMessageImages(messageId, this.imageUrls(msg));
+            if (msg.sources && msg.sources.length > 0) {
+                this.updateMessage(messageId, msg.content, msg.sources);
+                this.renderSources(messageId, msg.sources);
+            }
+            if (msg.stopped) {
+                this.markStopped(messageId);
+            }
+            this.addMessageControls(messageId, msg.id);
+        });
+        if (branch.length === 0) {
+            this.showWelcomeMessage();
+        }
+    }
+
+    // Reload the open conversation's messages after an exchange was stored
+    async loadTree() {
+        if (!this.conversationId) return;
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(this.conversationId)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const conversation = await response.json();
+            this.messages = conversation.messages;
+            this.currentId = conversation.currentId;
+        } catch (error) {
+            console.error('Error loading conversation:', error);
+        }
+    }
+
+    // Edit / regenerate buttons under a stored message, and ‹ n/m › arrows when it has alternatives
+    addMessageControls(messageId, nodeId) {
+        const messageDiv = document.getElementById(messageId);
+        const msg = this.messages.find(m => m.id === nodeId);
+        if (!messageDiv || !msg) return;
+
+        messageDiv.querySelector('.message-actions')?.remove();
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const siblings = this.getChildren(msg.parentId ?? null);
+        if (siblings.length > 1) {
+            const index = siblings.indexOf(msg);
+            const previous = this.createActionButton('‹', 'Previous version', () => this.showBranch(siblings[index - 1].id));
+            previous.disabled = index === 0;
+            const position = document.createElement('span');
+            position.className = 'branch-position';
+            position.textContent = `${index + 1}/${siblings.length}`;
+            const next = this.createActionButton('›', 'Next version', () => this.showBranch(siblings[index + 1].id));
+            next.disabled = index === siblings.length - 1;
+            actions.append(previous, position, next);
+        }
+
+        if (msg.role === 'user') {
+            actions.appendChild(this.createActionButton('✏️', 'Edit this message and answer it again as a new branch', () => this.startEdit(messageId, msg)));
+        } else {
+            actions.appendChild(this.createActionButton('🔄', 'Regenerate this answer as a new branch', () => this.regenerateAnswer(messageId, msg)));
+        }
+        messageDiv.appendChild(actions);
+    }
+
+    createActionButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'message-action';
+        button.title = title;
+        button.textContent = text;
+        button.addEventListener('click', () => {
+            if (!this.isStreaming) onClick();
+        });
+        return button;
+    }
+
+    // Switch to the branch through `messageId`; the server follows its newest replies to the end
+    async showBranch(messageId) {
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(this.conversationId)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ currentId: messageId })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            this.messages = data.messages;
+            this.currentId = data.currentId;
+            this.renderBranch();
+        } catch (error) {
+            console.error('Error switching branch:', error);
+            this.setStatus(`Could not switch branch: ${error.message}`, 'error');
+        }
+    }
+
+    // Remove a message and everything below it from the screen, before it is replaced
+    truncateFrom(messageId) {
+        const messageDiv = document.getElementById(messageId);
+        while (messageDiv && messageDiv.nextSibling) {
+            messageDiv.nextSibling.remove();
+        }
+        messageDiv?.remove();
+    }
+
+    // Edit a question in place; saving sends it as a new branch next to the original
+    startEdit(messageId, msg) {
+        const messageDiv = document.getElementById(messageId);
+        if (!messageDiv || messageDiv.querySelector('.message-edit')) return;
+
+        const form = document.createElement('form');
+        form.className = 'message-edit';
+        const textarea = document.createElement('textarea');
+        textarea.value = msg.content;
+        textarea.rows = Math.min(8, msg.content.split('\n').length + 1);
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'btn-reset';
+        cancel.textContent = 'Cancel';
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'btn-pull';
+        save.textContent = 'Save & send';
+        const buttons = document.createElement('div');
+        buttons.className = 'message-edit-actions';
+        buttons.append(cancel, save);
+        form.append(textarea, buttons);
+
+        const content = messageDiv.querySelector('.message-content');
+        content.hidden = true;
+        messageDiv.insertBefore(form, content);
+        textarea.focus();
+
+        cancel.addEventListener('click', () => {
+            form.remove();
+            content.hidden = false;
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const message = textarea.value.trim();
+            if (!message || this.isStreaming) return;
+            this.truncateFrom(messageId);
+            this.streamTurn({ message, displayImages: this.imageUrls(msg), turn: { editOf: msg.id } });
+        });
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                form.requestSubmit();
+            } else if (e.key === 'Escape') {
+                cancel.click();
+            }
+        });
+    }
+
+    // Answer the same question again; the new answer becomes a branch next to this one
+    regenerateAnswer(messageId, msg) {
+        this.truncateFrom(messageId);
+        this.streamTurn({ turn: { regenerate: msg.id } });
+    }
+
+    startNewConversation() {
+        if (this.isStreaming) {
+            return;
+        }
+        this.setConversationId(null);
+        this.settingsDrawer.load(null);
+        this.chatContainer.innerHTML = '';
+        this.showWelcomeMessage();
+        this.messageInput.focus();
+    }
+
+    async renameConversation(conversationId, currentTitle) {
+        const title = prompt('Rename conversation:', currentTitle);
+        if (!title || !title.trim() || title.trim() === currentTitle) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title: title.trim() })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.loadConversations();
+        } catch (error) {
+            console.error('Error renaming conversation:', error);
+            this.setStatus(`Could not rename conversation: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteConversation(conversationId) {
+        if (!confirm('Delete this conversation?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            if (conversationId === this.conversationId) {
+                this.startNewConversation();
+            }
+            this.loadConversations();
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            this.setStatus(`Could not delete conversation: ${error.message}`, 'error');
+        }
+    }
+
+    showWelcomeMessage() {
+        const welcomeDiv = document.createElement('div');
+        welcomeDiv.className = 'welcome-message';
+
+        const greeting = document.createElement('p');
+        greeting.textContent = '👋 Welcome! Start a conversation with the AI chatbot.';
+
+        const hint = document.createElement('p');
+        hint.className = 'hint';
+
+        welcomeDiv.appendChild(greeting);
+        welcomeDiv.appendChild(hint);
+        this.chatContainer.appendChild(welcomeDiv);
+        this.updateWelcomeHint();
+    }
+
+    updateWelcomeHint() {
+        const welcomeMessage = this.chatContainer.querySelector('.welcome-message');
+        if (welcomeMessage) {
+            const hint = welcomeMessage.querySelector('.hint');
+            if (hint) {
+                hint.textContent = this.mode === 'cloud' 
+                    ? 'Using Ollama Cloud - no local installation required!'
+                    : this.mode === 'mixed'
+                        ? `Using ${this.backends.length} Ollama backends, local and cloud`
+                        : 'Using local Ollama - make sure Ollama is running!';
+            }
+        }
+    }
+
+    addMessage(role, content, timestamp = null) {
         // Remove welcome message if it exists
         const welcomeMessage = this.chatContainer.querySelector('.welcome-message');
         if (welcomeMessage) {
@@ -380,11 +1014,17 @@ class Chatbot {
 
         const contentDiv = document.createElement('div');
         contentDiv.className = 'message-content';
-        contentDiv.textContent = content;
+        if (role === 'assistant') {
+            // Assistant answers are Markdown; user messages are shown exactly as typed
+            contentDiv.classList.add('markdown');
+            contentDiv.replaceChildren(this.markdown.render(content));
+        } else {
+            contentDiv.textContent = content;
+        }
 
         const timeDiv = document.createElement('div');
         timeDiv.className = 'message-time';
-        timeDiv.textContent = new Date().toLocaleTimeString();
+        timeDiv.textContent = (timestamp ? new Date(timestamp) : new Date()).toLocaleTimeString();
 
         messageDiv.appendChild(contentDiv);
         messageDiv.appendChild(timeDiv);
@@ -396,16 +1036,153 @@ class Chatbot {
         return messageId;
     }
 
-    updateMessage(messageId, content) {
-        const messageDiv = document.getElementById(messageId);
-        if (messageDiv) {
-            const contentDiv = messageDiv.querySelector('.message-content');
-            if (contentDiv) {
-                contentDiv.textContent = content;
-                // Scroll to bottom as content updates
-                this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
+    // Re-render an assistant message. While streaming this is called for every chunk, so
+    // rendering is batched to once per animation frame using the latest content.
+    updateMessage(messageId, content, sources = []) {
+        this.pendingRenders.set(messageId, { content, sources });
+        if (!this.renderFrame) {
+            this.renderFrame = requestAnimationFrame(() => this.flushRenders());
+        }
+    }
+
+    flushRenders() {
+        this.renderFrame = null;
+        for (const [messageId, { content, sources }] of this.pendingRenders) {
+            const messageDiv = document.getElementById(messageId);
+            const contentDiv = messageDiv && messageDiv.querySelector('.message-content');
+            if (!contentDiv) continue;
+
+            contentDiv.replaceChildren(this.renderAnswer(content, sources));
+        }
+        this.pendingRenders.clear();
+        // Scroll to bottom as content updates
+        this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
+    }
+
+    // Rendered Markdown of an answer with its [n] citations linked to `sources`
+    renderAnswer(content, sources = []) {
+        const fragment = this.markdown.render(content);
+        if (sources.length > 0) {
+            this.linkCitationsIn(fragment, sources);
+        }
+        return fragment;
+    }
+
+    // Replace [n] markers in rendered text (outside code and existing links) with source links
+    linkCitationsIn(root, sources) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement && node.parentElement.closest('code, pre, a')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const textNodes = [];
+        while (walker.nextNode()) {
+            if (/\[\d+\]/.test(walker.currentNode.nodeValue)) {
+                textNodes.push(walker.currentNode);
+            }
+        }
+        textNodes.forEach(node => node.replaceWith(...this.linkCitations(node.nodeValue, sources)));
+    }
+
+    // Only http(s) links from search results are turned into anchors
+    isSafeUrl(url) {
+        return typeof url === 'string' && /^https?:\/\//i.test(url);
+    }
+
+    // Split text on [n] markers and turn the ones matching a source into links.
+    // Document passages have nowhere to link to; their marker shows the file and chunk on hover.
+    linkCitations(text, sources) {
+        const byIndex = new Map(sources.map(source => [String(source.index), source]));
+        const nodes = [];
+        let lastIndex = 0;
+
+        for (const match of text.matchAll(/\[(\d+)\]/g)) {
+            const source = byIndex.get(match[1]);
+            if (!source || (!source.document && !this.isSafeUrl(source.link))) continue;
+
+            if (match.index > lastIndex) {
+                nodes.push(document.createTextNode(text.slice(lastIndex, match.index)));
+            }
+            let link;
+            if (source.document) {
+                link = document.createElement('span');
+                link.title = `${source.document.file}, chunk ${source.document.chunk}`;
+            } else {
+                link = document.createElement('a');
+                link.href = source.link;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.title = source.title;
             }
+            link.className = 'citation';
+            link.textContent = `[${match[1]}]`;
+            nodes.push(link);
+            lastIndex = match.index + match[0].length;
+        }
+
+        if (lastIndex < text.length) {
+            nodes.push(document.createTextNode(text.slice(lastIndex)));
         }
+        return nodes;
+    }
+
+    // Collapsible list of sources under an assistant message
+    renderSources(messageId, sources) {
+        const messageDiv = document.getElementById(messageId);
+        if (!messageDiv) return;
+
+        let details = messageDiv.querySelector('.message-sources');
+        if (!details) {
+            details = document.createElement('details');
+            details.className = 'message-sources';
+            const timeDiv = messageDiv.querySelector('.message-time');
+            messageDiv.insertBefore(details, timeDiv);
+        }
+
+        const summary = document.createElement('summary');
+        summary.textContent = `📚 Sources (${sources.length})`;
+
+        const list = document.createElement('ol');
+        sources.forEach(source => {
+            const item = document.createElement('li');
+            item.value = source.index;
+
+            if (source.document) {
+                const file = document.createElement('span');
+                file.className = 'source-document';
+                file.textContent = `📄 ${source.document.file}`;
+                item.appendChild(file);
+
+                const location = document.createElement('span');
+                location.className = 'source-domain';
+                location.textContent = `chunk ${source.document.chunk} · ${source.document.collection}`;
+                item.appendChild(location);
+            } else if (this.isSafeUrl(source.link)) {
+                const link = document.createElement('a');
+                link.href = source.link;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = source.title || source.link;
+                item.appendChild(link);
+
+                const domain = document.createElement('span');
+                domain.className = 'source-domain';
+                domain.textContent = new URL(source.link).hostname;
+                item.appendChild(domain);
+            } else {
+                item.textContent = source.title || source.link || 'Untitled source';
+            }
+
+            if (source.snippet) {
+                const snippet = document.createElement('div');
+                snippet.className = 'source-snippet';
+                snippet.textContent = source.snippet;
+                item.appendChild(snippet);
+            }
+            list.appendChild(item);
+        });
+
+        details.replaceChildren(summary, list);
     }
 
     addTypingIndicator() {
@@ -435,6 +1212,8 @@ class Chatbot {
     setStreaming(streaming) {
         this.isStreaming = streaming;
         this.sendButton.disabled = streaming;
+        this.sendButton.hidden = streaming;
+        this.stopButton.hidden = !streaming;
         this.messageInput.disabled = streaming;
         if (streaming) {
             this.sendButton.textContent = 'Sending...';
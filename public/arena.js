@@ -0,0 +1,346 @@
+// Model comparison (arena) panel
+// Tick 2 to 4 models to turn compare mode on: each message is then answered by all of them at
+// once, streamed into side-by-side columns with latency and token stats. Voting for the better
+// answer feeds the leaderboard in the panel. Comparisons are kept apart from the conversation.
+class ArenaView {
+    static MIN_MODELS = 2;
+    static MAX_MODELS = 4;
+
+    constructor({ chatContainer, renderAnswer, onActiveChanged, setStatus }) {
+        this.chatContainer = chatContainer;
+        this.renderAnswer = renderAnswer; // (content, sources) -> DocumentFragment
+        this.onActiveChanged = onActiveChanged;
+        this.setStatus = setStatus;
+        this.models = [];
+        this.selected = JSON.parse(localStorage.getItem('arenaModels') || '[]');
+        this.renderFrame = null;
+        this.pendingColumns = new Set();
+
+        this.toggleButton = document.getElementById('compareModels');
+        this.panel = document.getElementById('arenaPanel');
+        this.closeButton = document.getElementById('closeArenaPanel');
+        this.modelOptions = document.getElementById('arenaModelOptions');
+        this.leaderboard = document.getElementById('arenaLeaderboard');
+        this.leaderboardHint = document.getElementById('arenaLeaderboardHint');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.closeButton.addEventListener('click', () => this.toggle(false));
+        this.modelOptions.addEventListener('change', () => {
+            this.selected = Array.from(this.modelOptions.querySelectorAll('input:checked')).map(input => input.value);
+            localStorage.setItem('arenaModels', JSON.stringify(this.selected));
+            this.renderModelOptions();
+        });
+    }
+
+    toggle(open = this.panel.hidden) {
+        this.panel.hidden = !open;
+        this.toggleButton.classList.toggle('active', open);
+        if (open) {
+            this.refreshLeaderboard();
+        }
+    }
+
+    async fetchJson(url, options) {
+        const response = await fetch(url, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    // Models from /api/models; ticked models that are gone are dropped
+    setModels(models) {
+        this.models = models.map(model => model.name);
+        this.selected = this.selected.filter(name => this.models.includes(name));
+        this.renderModelOptions();
+    }
+
+    isActive() {
+        return this.selected.length >= ArenaView.MIN_MODELS;
+    }
+
+    getSelectedModels() {
+        return [...this.selected];
+    }
+
+    renderModelOptions() {
+        this.modelOptions.innerHTML = '';
+        if (this.models.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'settings-hint';
+            hint.textContent = 'No models available.';
+            this.modelOptions.appendChild(hint);
+        }
+        const full = this.selected.length >= ArenaView.MAX_MODELS;
+        this.models.forEach(name => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = name;
+            checkbox.checked = this.selected.includes(name);
+            checkbox.disabled = full && !checkbox.checked;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(name));
+            this.modelOptions.appendChild(label);
+        });
+
+        const active = this.isActive();
+        this.toggleButton.classList.toggle('customized', active);
+        this.toggleButton.title = active ? `Compare models (on: ${this.selected.length} models)` : 'Compare models';
+        this.onActiveChanged(active);
+    }
+
+    async refreshLeaderboard() {
+        try {
+            const data = await this.fetchJson('/api/arena/leaderboard');
+            this.renderLeaderboard(data);
+        } catch (error) {
+            console.error('Error loading leaderboard:', error);
+            this.leaderboardHint.textContent = `Could not load the leaderboard: ${error.message}`;
+        }
+    }
+
+    formatSeconds(ms) {
+        return `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    renderLeaderboard({ models = [], votes = 0 }) {
+        this.leaderboard.innerHTML = '';
+        this.leaderboardHint.textContent = votes > 0
+            ? `Elo rating from ${votes} vote(s); every model starts at 1000.`
+            : 'No votes yet - compare some models and vote for the better answer.';
+
+        models.forEach((standing, index) => {
+            const item = document.createElement('li');
+            item.className = 'model-item';
+
+            const name = document.createElement('span');
+            name.className = 'model-name';
+            name.textContent = `${index + 1}. ${standing.model}`;
+
+            const rating = document.createElement('span');
+            rating.className = 'arena-rating';
+            rating.textContent = standing.rating;
+
+            const meta = document.createElement('span');
+            meta.className = 'model-meta';
+            const parts = [
+                `${standing.wins} won · ${standing.losses} lost · ${standing.ties} tied · ${standing.bothBad} both bad`,
+                `${standing.comparisons} comparison(s)`
+            ];
+            if (standing.avgLatencyMs !== null) parts.push(`avg ${this.formatSeconds(standing.avgLatencyMs)}`);
+            if (standing.avgTokensPerSecond !== null) parts.push(`${standing.avgTokensPerSecond} tok/s`);
+            if (standing.errors > 0) parts.push(`${standing.errors} failed`);
+            meta.textContent = parts.join(' · ');
+
+            item.appendChild(name);
+            item.appendChild(rating);
+            item.appendChild(meta);
+            this.leaderboard.appendChild(item);
+        });
+    }
+
+    // One column per model under the prompt
+    createRow(models) {
+        this.chatContainer.querySelector('.welcome-message')?.remove();
+        const row = document.createElement('div');
+        row.className = 'arena-row';
+
+        const columns = models.map(model => {
+            const root = document.createElement('div');
+            root.className = 'arena-column';
+
+            const header = document.createElement('div');
+            header.className = 'arena-column-header';
+            header.textContent = model;
+
+            const status = document.createElement('div');
+            status.className = 'arena-status';
+            status.textContent = 'Waiting...';
+
+            const answer = document.createElement('div');
+            answer.className = 'arena-answer markdown';
+
+            const stats = document.createElement('div');
+            stats.className = 'arena-stats';
+
+            const voteButton = document.createElement('button');
+            voteButton.type = 'button';
+            voteButton.className = 'btn-reset arena-vote';
+            voteButton.textContent = '👍 Better';
+            voteButton.hidden = true;
+
+            root.append(header, status, answer, stats, voteButton);
+            row.appendChild(root);
+            return { model, root, header, status, answer, stats, voteButton, content: '', sources: [], failed: false };
+        });
+
+        const footer = document.createElement('div');
+        footer.className = 'arena-votes';
+        footer.hidden = true;
+        row.appendChild(footer);
+
+        this.chatContainer.appendChild(row);
+        this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
+        return { row, columns, footer };
+    }
+
+    // Re-render streamed answers once per animation frame, like Chatbot.updateMessage
+    scheduleRender(column) {
+        this.pendingColumns.add(column);
+        if (!this.renderFrame) {
+            this.renderFrame = requestAnimationFrame(() => {
+                this.renderFrame = null;
+                this.pendingColumns.forEach(pending => pending.answer.replaceChildren(this.renderAnswer(pending.content, pending.sources)));
+                this.pendingColumns.clear();
+                this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
+            });
+        }
+    }
+
+    describeStats(event) {
+        const parts = [];
+        if (event.backend) parts.push(event.backend);
+        parts.push(`⏱ ${this.formatSeconds(event.latencyMs)}`);
+        if (event.firstTokenMs !== null) parts.push(`first token ${this.formatSeconds(event.firstTokenMs)}`);
+        parts.push(`${event.promptTokens} → ${event.completionTokens} tokens`);
+        if (event.tokensPerSecond) parts.push(`${event.tokensPerSecond} tok/s`);
+        return parts.join(' · ');
+    }
+
+    // Send `message` to the ticked models and stream the answers into a new row.
+    // Rejects with an AbortError when `signal` aborts, like fetch.
+    async compare({ message, images = [], searchMode, settings, signal }) {
+        const models = this.getSelectedModels();
+        const response = await fetch('/api/arena', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message,
+                models,
+                images: images.length > 0 ? images : undefined,
+                searchMode,
+                ...settings
+            }),
+            signal
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+
+        const view = this.createRow(models);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || '';
+
+                for (const line of lines) {
+                    if (!line.startsWith('data: ')) continue;
+                    let data;
+                    try {
+                        data = JSON.parse(line.slice(6));
+                    } catch (e) {
+                        console.error('Error parsing SSE data:', e);
+                        continue;
+                    }
+
+                    if (data.done) {
+                        if (data.comparisonId) this.showVoting(view, data.comparisonId);
+                        return;
+                    }
+
+                    const column = view.columns[data.slot];
+                    if (!column) {
+                        // An error before any model started, e.g. every backend down
+                        if (data.type === 'error') throw new Error(data.message);
+                        continue;
+                    }
+
+                    if (data.type === 'sources' && Array.isArray(data.sources)) {
+                        column.sources = data.sources;
+                        this.scheduleRender(column);
+                    } else if (data.type === 'revise') {
+                        // The draft failed the self-check; the search-grounded answer replaces it
+                        column.content = '';
+                        column.sources = [];
+                        this.scheduleRender(column);
+                    } else if (data.type === 'stats') {
+                        column.status.textContent = '';
+                        column.stats.textContent = this.describeStats(data);
+                    } else if (data.type === 'error') {
+                        column.failed = true;
+                        column.root.classList.add('arena-failed');
+                        column.status.textContent = `⚠️ ${data.message}`;
+                    }
+
+                    if (data.type && data.message && data.type !== 'error') {
+                        column.status.textContent = data.message;
+                    }
+
+                    if (data.content) {
+                        column.status.textContent = '';
+                        column.content += data.content;
+                        this.scheduleRender(column);
+                    }
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                view.columns.forEach(column => {
+                    if (!column.stats.textContent && !column.failed) column.status.textContent = '⏹ Stopped';
+                });
+            }
+            throw error;
+        }
+    }
+
+    // Vote buttons under a finished comparison; the vote can be changed until the row is gone
+    showVoting({ columns, footer }, comparisonId) {
+        const answered = columns.filter(column => !column.failed);
+        if (answered.length < ArenaView.MIN_MODELS) return;
+
+        const buttons = [];
+        const vote = async (winner, button) => {
+            try {
+                await this.fetchJson(`/api/arena/${encodeURIComponent(comparisonId)}/vote`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ winner })
+                });
+                buttons.forEach(other => other.classList.toggle('voted', other === button));
+                columns.forEach(column => column.root.classList.toggle('arena-winner', column.model === winner));
+                this.setStatus('Vote recorded', 'success');
+                if (!this.panel.hidden) this.refreshLeaderboard();
+            } catch (error) {
+                console.error('Error recording vote:', error);
+                this.setStatus(`Could not record the vote: ${error.message}`, 'error');
+            }
+        };
+
+        answered.forEach(column => {
+            column.voteButton.hidden = false;
+            column.voteButton.addEventListener('click', () => vote(column.model, column.voteButton));
+            buttons.push(column.voteButton);
+        });
+        [['tie', '🤝 Tie'], ['both_bad', '👎 Both bad']].forEach(([winner, text]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-reset';
+            button.textContent = text;
+            button.addEventListener('click', () => vote(winner, button));
+            footer.appendChild(button);
+            buttons.push(button);
+        });
+        footer.hidden = false;
+    }
+}
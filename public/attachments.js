@@ -0,0 +1,170 @@
+// Image attachments for the next message
+// Images can be dropped onto the chat, pasted into the input or picked with the 📎 button.
+// They are checked against the server's limits, shown as thumbnails above the input, and a
+// warning appears when the selected model has no vision capability.
+class ImageAttachments {
+    constructor({ dropZone, pasteTarget, getModel, setStatus }) {
+        this.getModel = getModel;
+        this.setStatus = setStatus;
+        this.images = []; // { name, mimeType, size, dataUrl }
+        this.limits = { maxBytes: 5 * 1024 * 1024, maxCount: 4, types: ['image/png', 'image/jpeg', 'image/webp'] };
+        this.capabilities = new Map(); // model -> capabilities from /api/models/show
+
+        this.tray = document.getElementById('attachmentTray');
+        this.thumbnails = document.getElementById('attachmentThumbnails');
+        this.warning = document.getElementById('visionWarning');
+        this.attachButton = document.getElementById('attachButton');
+        this.fileInput = document.getElementById('imageInput');
+
+        this.attachButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            this.addFiles(Array.from(this.fileInput.files));
+            this.fileInput.value = '';
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', (e) => {
+            if (!dropZone.contains(e.relatedTarget)) {
+                dropZone.classList.remove('drag-over');
+            }
+        });
+        dropZone.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.files.length) return;
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            this.addFiles(Array.from(e.dataTransfer.files));
+        });
+
+        pasteTarget.addEventListener('paste', (e) => {
+            const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+            if (files.length > 0) {
+                e.preventDefault();
+                this.addFiles(files);
+            }
+        });
+    }
+
+    setLimits(limits) {
+        if (limits) {
+            this.limits = limits;
+            this.fileInput.accept = limits.types.join(',');
+        }
+    }
+
+    hasImages() {
+        return this.images.length > 0;
+    }
+
+    // Data URLs as sent in the /api/chat `images` field
+    getDataUrls() {
+        return this.images.map(image => image.dataUrl);
+    }
+
+    clear() {
+        this.images = [];
+        this.render();
+    }
+
+    readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async addFiles(files) {
+        for (const file of files) {
+            if (this.images.length >= this.limits.maxCount) {
+                this.setStatus(`At most ${this.limits.maxCount} images can be attached to a message`, 'error');
+                break;
+            }
+            if (!this.limits.types.includes(file.type)) {
+                this.setStatus(`${file.name || 'Image'}: only PNG, JPEG and WebP images are supported`, 'error');
+                continue;
+            }
+            if (file.size > this.limits.maxBytes) {
+                this.setStatus(`${file.name || 'Image'} is larger than ${Math.floor(this.limits.maxBytes / (1024 * 1024))} MB`, 'error');
+                continue;
+            }
+            try {
+                const dataUrl = await this.readAsDataUrl(file);
+                this.images.push({ name: file.name || 'pasted image', mimeType: file.type, size: file.size, dataUrl });
+            } catch (error) {
+                console.error('Error reading image:', error);
+                this.setStatus(`Could not read ${file.name || 'image'}`, 'error');
+            }
+        }
+        this.render();
+    }
+
+    remove(index) {
+        this.images.splice(index, 1);
+        this.render();
+    }
+
+    render() {
+        this.thumbnails.innerHTML = '';
+        this.images.forEach((image, index) => {
+            const item = document.createElement('div');
+            item.className = 'attachment-thumbnail';
+            item.title = image.name;
+
+            const img = document.createElement('img');
+            img.src = image.dataUrl;
+            img.alt = image.name;
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'attachment-remove';
+            removeButton.title = 'Remove';
+            removeButton.textContent = '✕';
+            removeButton.addEventListener('click', () => this.remove(index));
+
+            item.appendChild(img);
+            item.appendChild(removeButton);
+            this.thumbnails.appendChild(item);
+        });
+        this.tray.hidden = this.images.length === 0;
+        this.updateVisionWarning();
+    }
+
+    async getCapabilities(model) {
+        if (!this.capabilities.has(model)) {
+            const response = await fetch('/api/models/show', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const info = await response.json();
+            this.capabilities.set(model, info.capabilities || []);
+        }
+        return this.capabilities.get(model);
+    }
+
+    // Called when attachments or the selected model change
+    async updateVisionWarning() {
+        const model = this.getModel();
+        if (!this.hasImages() || !model) {
+            this.warning.hidden = true;
+            return;
+        }
+        try {
+            const capabilities = await this.getCapabilities(model);
+            const lacksVision = capabilities.length > 0 && !capabilities.includes('vision');
+            this.warning.textContent = `⚠️ ${model} has no vision capability - images will not be sent. Pick a vision model such as llava, llama3.2-vision or gemma3.`;
+            this.warning.hidden = !lacksVision || model !== this.getModel() || !this.hasImages();
+        } catch (error) {
+            console.error('Error checking model capabilities:', error);
+            this.warning.hidden = true;
+        }
+    }
+}
@@ -0,0 +1,243 @@
+// Document library panel
+// Create named collections and upload text, Markdown or PDF files into them. The server chunks and
+// embeds each file; chats use a collection once it is ticked in the generation settings.
+class DocumentLibrary {
+    constructor({ onCollectionsChanged, setStatus }) {
+        this.onCollectionsChanged = onCollectionsChanged;
+        this.setStatus = setStatus;
+        this.collections = [];
+        this.limits = { maxBytes: 10 * 1024 * 1024, extensions: ['.txt', '.text', '.md', '.markdown', '.pdf'] };
+        this.uploadTarget = null; // Collection the picked files go to
+        this.uploading = false;
+
+        this.toggleButton = document.getElementById('manageDocuments');
+        this.panel = document.getElementById('documentLibrary');
+        this.closeButton = document.getElementById('closeDocumentLibrary');
+        this.createForm = document.getElementById('createCollectionForm');
+        this.nameInput = document.getElementById('collectionNameInput');
+        this.statusLine = document.getElementById('documentStatus');
+        this.embedModelHint = document.getElementById('embedModelHint');
+        this.list = document.getElementById('collectionList');
+        this.fileInput = document.getElementById('documentInput');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.closeButton.addEventListener('click', () => this.toggle(false));
+        this.createForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createCollection(this.nameInput.value.trim());
+        });
+        this.fileInput.addEventListener('change', () => {
+            const files = Array.from(this.fileInput.files);
+            this.fileInput.value = '';
+            this.uploadFiles(this.uploadTarget, files);
+        });
+    }
+
+    toggle(open = this.panel.hidden) {
+        this.panel.hidden = !open;
+        this.toggleButton.classList.toggle('active', open);
+        if (open) {
+            this.refresh();
+        }
+    }
+
+    async fetchJson(url, options) {
+        const response = await fetch(url, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    async refresh() {
+        try {
+            const data = await this.fetchJson('/api/collections');
+            this.collections = data.collections || [];
+            if (data.limits) {
+                this.limits = data.limits;
+                this.fileInput.accept = data.limits.extensions.join(',');
+            }
+            this.embedModelHint.textContent = `New collections are embedded with ${data.embedModel}. Tick a collection in ⚙️ Generation settings to use it in a chat.`;
+            this.render();
+            this.onCollectionsChanged(this.collections);
+        } catch (error) {
+            console.error('Error loading collections:', error);
+            this.renderEmpty(`Could not load collections: ${error.message}`);
+        }
+    }
+
+    renderEmpty(text) {
+        this.list.innerHTML = '';
+        const empty = document.createElement('li');
+        empty.className = 'model-empty';
+        empty.textContent = text;
+        this.list.appendChild(empty);
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'model-action';
+        button.type = 'button';
+        button.title = title;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    render() {
+        if (this.collections.length === 0) {
+            this.renderEmpty('No collections yet');
+            return;
+        }
+
+        this.list.innerHTML = '';
+        this.collections.forEach(collection => {
+            const item = document.createElement('li');
+            item.className = 'collection-item';
+
+            const header = document.createElement('div');
+            header.className = 'model-item';
+
+            const name = document.createElement('span');
+            name.className = 'model-name';
+            name.textContent = collection.name;
+
+            const meta = document.createElement('span');
+            meta.className = 'model-meta';
+            meta.textContent = `${collection.id} · ${collection.documents.length} document(s) · ${collection.embedModel}`;
+
+            header.appendChild(name);
+            header.appendChild(meta);
+            header.appendChild(this.createButton('📤', 'Upload documents', () => {
+                this.uploadTarget = collection.id;
+                this.fileInput.click();
+            }));
+            header.appendChild(this.createButton('🗑️', 'Delete collection', () => this.deleteCollection(collection)));
+            item.appendChild(header);
+
+            const documents = document.createElement('ul');
+            documents.className = 'model-list document-list';
+            collection.documents.forEach(doc => {
+                const docItem = document.createElement('li');
+                docItem.className = 'model-item';
+
+                const docName = document.createElement('span');
+                docName.className = 'model-name';
+                docName.textContent = `📄 ${doc.name}`;
+
+                const docMeta = document.createElement('span');
+                docMeta.className = 'model-meta';
+                docMeta.textContent = `${doc.chunks} chunk(s) · ${this.formatBytes(doc.size)}`;
+
+                docItem.appendChild(docName);
+                docItem.appendChild(docMeta);
+                docItem.appendChild(this.createButton('🗑️', 'Delete document', () => this.deleteDocument(collection, doc)));
+                documents.appendChild(docItem);
+            });
+            item.appendChild(documents);
+
+            this.list.appendChild(item);
+        });
+    }
+
+    async createCollection(name) {
+        if (!name) return;
+        try {
+            await this.fetchJson('/api/collections', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            this.nameInput.value = '';
+            this.setStatus(`Created collection ${name}`, 'success');
+            this.refresh();
+        } catch (error) {
+            console.error('Error creating collection:', error);
+            this.setStatus(`Could not create collection: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteCollection(collection) {
+        if (!confirm(`Delete the collection "${collection.name}" and its ${collection.documents.length} document(s)?`)) {
+            return;
+        }
+        try {
+            await this.fetchJson(`/api/collections/${encodeURIComponent(collection.id)}`, { method: 'DELETE' });
+            this.setStatus(`Deleted collection ${collection.name}`, 'success');
+            this.refresh();
+        } catch (error) {
+            console.error('Error deleting collection:', error);
+            this.setStatus(`Could not delete collection: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteDocument(collection, doc) {
+        if (!confirm(`Remove ${doc.name} from "${collection.name}"?`)) {
+            return;
+        }
+        try {
+            await this.fetchJson(`/api/collections/${encodeURIComponent(collection.id)}/documents/${encodeURIComponent(doc.id)}`, { method: 'DELETE' });
+            this.setStatus(`Removed ${doc.name}`, 'success');
+            this.refresh();
+        } catch (error) {
+            console.error('Error deleting document:', error);
+            this.setStatus(`Could not remove ${doc.name}: ${error.message}`, 'error');
+        }
+    }
+
+    readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Upload one file at a time; each request returns once the file is chunked and embedded
+    async uploadFiles(collectionId, files) {
+        if (!collectionId || files.length === 0 || this.uploading) return;
+        this.uploading = true;
+        let added = 0;
+
+        for (const file of files) {
+            const extension = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+            if (!this.limits.extensions.includes(extension)) {
+                this.setStatus(`${file.name}: only ${this.limits.extensions.join(', ')} files are supported`, 'error');
+                continue;
+            }
+            if (file.size > this.limits.maxBytes) {
+                this.setStatus(`${file.name} is larger than ${Math.floor(this.limits.maxBytes / (1024 * 1024))} MB`, 'error');
+                continue;
+            }
+
+            this.statusLine.textContent = `Reading and embedding ${file.name}...`;
+            try {
+                const data = await this.readAsDataUrl(file);
+                await this.fetchJson(`/api/collections/${encodeURIComponent(collectionId)}/documents`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name: file.name, data })
+                });
+                added++;
+            } catch (error) {
+                console.error('Error uploading document:', error);
+                this.setStatus(`Could not add ${file.name}: ${error.message}`, 'error');
+            }
+        }
+
+        this.statusLine.textContent = '';
+        this.uploading = false;
+        if (added > 0) {
+            this.setStatus(`Added ${added} document(s)`, 'success');
+        }
+        this.refresh();
+    }
+}
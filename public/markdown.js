@@ -0,0 +1,128 @@
+// Markdown rendering for assistant messages
+// Uses marked (GFM tables, lists, links), KaTeX for math, highlight.js for code,
+// and DOMPurify so nothing the model writes can inject markup or scripts.
+class MarkdownRenderer {
+    constructor() {
+        this.available = typeof window.marked !== 'undefined' && typeof window.DOMPurify !== 'undefined';
+        if (!this.available) {
+            console.warn('Markdown libraries not loaded - falling back to plain text');
+            return;
+        }
+
+        const extensions = typeof window.katex !== 'undefined' ? [this.blockMathExtension(), this.inlineMathExtension()] : [];
+        this.marked = new window.marked.Marked({ gfm: true, breaks: true, extensions });
+
+        // Links open in a new tab and never get access to this page
+        window.DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+            if (node.tagName === 'A' && node.getAttribute('href')) {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    }
+
+    renderMath(tex, displayMode) {
+        return window.katex.renderToString(tex, { displayMode, throwOnError: false, output: 'htmlAndMathml' });
+    }
+
+    // $$...$$ and \[...\] on their own block
+    blockMathExtension() {
+        return {
+            name: 'blockMath',
+            level: 'block',
+            start: (src) => {
+                const match = src.match(/\$\$|\\\[/);
+                return match ? match.index : undefined;
+            },
+            tokenizer: (src) => {
+                const match = /^(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n|$)/.exec(src);
+                if (match) {
+                    return { type: 'blockMath', raw: match[0], text: (match[1] || match[2]).trim() };
+                }
+            },
+            renderer: (token) => `<div class="math-block">${this.renderMath(token.text, true)}</div>`
+        };
+    }
+
+    // $...$ and \(...\) inside a paragraph; "$5 and $10" is left alone
+    inlineMathExtension() {
+        return {
+            name: 'inlineMath',
+            level: 'inline',
+            start: (src) => {
+                const match = src.match(/\$|\\\(/);
+                return match ? match.index : undefined;
+            },
+            tokenizer: (src) => {
+                const match = /^(?:\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)|\\\(([\s\S]+?)\\\))/.exec(src);
+                if (match) {
+                    return { type: 'inlineMath', raw: match[0], text: (match[1] || match[2]).trim() };
+                }
+            },
+            renderer: (token) => this.renderMath(token.text, false)
+        };
+    }
+
+    // Render Markdown to a sanitized DocumentFragment. Works on partial text while streaming:
+    // an unclosed code fence simply renders as a code block up to the end of the text.
+    render(text) {
+        if (!this.available) {
+            const fragment = document.createDocumentFragment();
+            fragment.appendChild(document.createTextNode(text));
+            return fragment;
+        }
+
+        const html = this.marked.parse(text);
+        const fragment = window.DOMPurify.sanitize(html, { RETURN_DOM_FRAGMENT: true });
+        this.enhanceCodeBlocks(fragment);
+        return fragment;
+    }
+
+    // Syntax highlighting plus a header with the language and a copy button
+    enhanceCodeBlocks(fragment) {
+        fragment.querySelectorAll('pre > code').forEach(code => {
+            const pre = code.parentElement;
+            const languageClass = Array.from(code.classList).find(c => c.startsWith('language-'));
+            const language = languageClass ? languageClass.slice('language-'.length) : '';
+
+            if (typeof window.hljs !== 'undefined') {
+                if (language && window.hljs.getLanguage(language)) {
+                    code.innerHTML = window.hljs.highlight(code.textContent, { language, ignoreIllegals: true }).value;
+                } else {
+                    code.innerHTML = window.hljs.highlightAuto(code.textContent).value;
+                }
+                code.classList.add('hljs');
+            }
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'code-block';
+
+            const header = document.createElement('div');
+            header.className = 'code-block-header';
+
+            const label = document.createElement('span');
+            label.textContent = language || 'code';
+
+            const copyButton = document.createElement('button');
+            copyButton.className = 'btn-copy-code';
+            copyButton.type = 'button';
+            copyButton.textContent = 'Copy';
+            copyButton.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(code.textContent);
+                    copyButton.textContent = 'Copied!';
+                } catch (error) {
+                    console.error('Copy failed:', error);
+                    copyButton.textContent = 'Copy failed';
+                }
+                setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+            });
+
+            header.appendChild(label);
+            header.appendChild(copyButton);
+            pre.replaceWith(wrapper);
+            wrapper.appendChild(header);
+            wrapper.appendChild(pre);
+        });
+    }
+}
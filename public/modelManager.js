@@ -0,0 +1,390 @@
+// Model manager panel
+// Pull (with live progress), delete and inspect models, and see which ones are loaded in memory.
+// Pulling and deleting are only offered for local backends, and only to admins when accounts are on.
+// With several backends, models are tagged with the backends that have them.
+class ModelManager {
+    constructor({ onModelsChanged, setStatus }) {
+        this.onModelsChanged = onModelsChanged;
+        this.setStatus = setStatus;
+        this.mode = 'local';
+        this.canManage = true; // False for non-admin accounts
+        this.pullController = null; // Cancels the in-flight pull
+        this.selectedModel = null;
+        this.backends = []; // [{ name, cloud, healthy }] from /api/config
+
+        this.toggleButton = document.getElementById('manageModels');
+        this.panel = document.getElementById('modelManager');
+        this.closeButton = document.getElementById('closeModelManager');
+        this.pullForm = document.getElementById('pullModelForm');
+        this.pullInput = document.getElementById('pullModelInput');
+        this.pullBackendSelect = document.getElementById('pullBackendSelect');
+        this.pullButton = document.getElementById('pullModelButton');
+        this.pullProgress = document.getElementById('pullProgress');
+        this.pullStatus = document.getElementById('pullStatus');
+        this.installedList = document.getElementById('installedModels');
+        this.runningList = document.getElementById('runningModels');
+        this.details = document.getElementById('modelDetails');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.closeButton.addEventListener('click', () => this.toggle(false));
+        this.pullForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.pullController) {
+                this.pullController.abort();
+            } else {
+                this.pullModel(this.pullInput.value.trim());
+            }
+        });
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.pullForm.hidden = !this.canModify();
+    }
+
+    // Pulls go to a local backend; the choice is only shown when there is more than one
+    setBackends(backends) {
+        this.backends = backends;
+        const local = backends.filter(backend => !backend.cloud);
+        this.pullBackendSelect.innerHTML = '';
+        local.forEach(backend => {
+            const option = document.createElement('option');
+            option.value = backend.name;
+            option.textContent = backend.healthy ? backend.name : `${backend.name} (unreachable)`;
+            this.pullBackendSelect.appendChild(option);
+        });
+        this.pullBackendSelect.hidden = local.length < 2;
+    }
+
+    // "gpu1, gpu2" when models can live on more than one backend
+    describeBackends(names) {
+        return this.backends.length > 1 && names?.length ? names.join(', ') : null;
+    }
+
+    setCanManage(canManage) {
+        this.canManage = canManage;
+        this.pullForm.hidden = !this.canModify();
+    }
+
+    canModify() {
+        return this.mode !== 'cloud' && this.canManage;
+    }
+
+    toggle(open = this.panel.hidden) {
+        this.panel.hidden = !open;
+        this.toggleButton.classList.toggle('active', open);
+        if (open) {
+            this.refresh();
+        }
+    }
+
+    async refresh() {
+        await Promise.all([this.loadInstalled(), this.loadRunning()]);
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+    }
+
+    async fetchJson(url, options) {
+        const response = await fetch(url, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    async loadInstalled() {
+        try {
+            const data = await this.fetchJson('/api/models');
+            this.renderInstalled(data.models || []);
+        } catch (error) {
+            console.error('Error loading installed models:', error);
+            this.renderEmpty(this.installedList, `Could not load models: ${error.message}`);
+        }
+    }
+
+    async loadRunning() {
+        try {
+            const data = await this.fetchJson('/api/models/running');
+            this.renderRunning(data.models || []);
+        } catch (error) {
+            console.error('Error loading running models:', error);
+            this.renderEmpty(this.runningList, `Could not load running models: ${error.message}`);
+        }
+    }
+
+    renderEmpty(list, text) {
+        list.innerHTML = '';
+        const empty = document.createElement('li');
+        empty.className = 'model-empty';
+        empty.textContent = text;
+        list.appendChild(empty);
+    }
+
+    renderInstalled(models) {
+        if (models.length === 0) {
+            this.renderEmpty(this.installedList, 'No models installed');
+            return;
+        }
+
+        this.installedList.innerHTML = '';
+        models.forEach(model => {
+            const item = document.createElement('li');
+            item.className = 'model-item';
+            item.classList.toggle('active', model.name === this.selectedModel);
+
+            const name = document.createElement('span');
+            name.className = 'model-name';
+            name.textContent = model.name;
+
+            const meta = document.createElement('span');
+            meta.className = 'model-meta';
+            meta.textContent = [model.details?.parameter_size, model.details?.quantization_level, this.formatBytes(model.size), this.describeBackends(model.backends)]
+                .filter(Boolean)
+                .join(' · ');
+
+            const infoButton = document.createElement('button');
+            infoButton.className = 'model-action';
+            infoButton.type = 'button';
+            infoButton.title = 'Show details';
+            infoButton.textContent = 'ℹ️';
+            infoButton.addEventListener('click', () => this.showDetails(model.name));
+
+            item.appendChild(name);
+            item.appendChild(meta);
+            item.appendChild(infoButton);
+
+            if (this.canModify()) {
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'model-action';
+                deleteButton.type = 'button';
+                deleteButton.title = 'Delete model';
+                deleteButton.textContent = '🗑️';
+                deleteButton.addEventListener('click', () => this.deleteModel(model.name));
+                item.appendChild(deleteButton);
+            }
+
+            this.installedList.appendChild(item);
+        });
+    }
+
+    renderRunning(models) {
+        if (models.length === 0) {
+            this.renderEmpty(this.runningList, 'No models loaded in memory');
+            return;
+        }
+
+        this.runningList.innerHTML = '';
+        models.forEach(model => {
+            const item = document.createElement('li');
+            item.className = 'model-item';
+
+            const name = document.createElement('span');
+            name.className = 'model-name';
+            name.textContent = model.name;
+
+            const meta = document.createElement('span');
+            meta.className = 'model-meta';
+            const usage = [`${this.formatBytes(model.sizeVram)} VRAM`, `${this.formatBytes(model.sizeRam)} RAM`];
+            if (this.describeBackends([model.backend])) {
+                usage.unshift(model.backend);
+            }
+            if (model.expiresAt) {
+                usage.push(`unloads ${new Date(model.expiresAt).toLocaleTimeString()}`);
+            }
+            meta.textContent = usage.join(' · ');
+
+            item.appendChild(name);
+            item.appendChild(meta);
+            this.runningList.appendChild(item);
+        });
+    }
+
+    async showDetails(modelName) {
+        this.selectedModel = modelName;
+        this.installedList.querySelectorAll('.model-item').forEach(item => {
+            item.classList.toggle('active', item.querySelector('.model-name')?.textContent === modelName);
+        });
+        this.details.hidden = false;
+        this.details.textContent = 'Loading details...';
+
+        try {
+            const info = await this.fetchJson('/api/models/show', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: modelName })
+            });
+            this.renderDetails(info);
+        } catch (error) {
+            console.error('Error loading model details:', error);
+            this.details.textContent = `Could not load details: ${error.message}`;
+        }
+    }
+
+    renderDetails(info) {
+        this.details.innerHTML = '';
+
+        const title = document.createElement('h4');
+        title.textContent = info.model;
+        this.details.appendChild(title);
+
+        const facts = document.createElement('dl');
+        const addFact = (label, value) => {
+            if (value === null || value === undefined || value === '') return;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            facts.appendChild(term);
+            facts.appendChild(description);
+        };
+        addFact('Family', info.details.family);
+        addFact('Parameters', info.details.parameter_size);
+        addFact('Quantization', info.details.quantization_level);
+        addFact('Context length', info.contextLength ? info.contextLength.toLocaleString() : null);
+        addFact('num_ctx', info.numCtx ? info.numCtx.toLocaleString() : null);
+        addFact('Capabilities', info.capabilities.join(', '));
+        this.details.appendChild(facts);
+
+        const addBlock = (label, text) => {
+            if (!text) return;
+            const block = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = label;
+            const pre = document.createElement('pre');
+            pre.textContent = text;
+            block.appendChild(summary);
+            block.appendChild(pre);
+            this.details.appendChild(block);
+        };
+        addBlock('Parameters', info.parameters);
+        addBlock('Template', info.template);
+        addBlock('System prompt', info.system);
+    }
+
+    async deleteModel(modelName) {
+        if (!confirm(`Delete ${modelName} from the Ollama host(s) that have it? It will have to be pulled again to use it.`)) {
+            return;
+        }
+
+        try {
+            await this.fetchJson('/api/models', {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: modelName })
+            });
+            if (this.selectedModel === modelName) {
+                this.selectedModel = null;
+                this.details.hidden = true;
+            }
+            this.setStatus(`Deleted ${modelName}`, 'success');
+            this.refresh();
+            this.onModelsChanged();
+        } catch (error) {
+            console.error('Error deleting model:', error);
+            this.setStatus(`Could not delete ${modelName}: ${error.message}`, 'error');
+        }
+    }
+
+    setPulling(pulling) {
+        this.pullInput.disabled = pulling;
+        this.pullBackendSelect.disabled = pulling;
+        this.pullButton.textContent = pulling ? 'Cancel' : 'Pull';
+        this.pullProgress.hidden = !pulling;
+        if (pulling) {
+            this.pullProgress.removeAttribute('value');
+        }
+    }
+
+    // Progress arrives as SSE: { type: 'progress', status, digest, total, completed } per layer,
+    // then a final { done: true } with type 'success' or 'error'
+    async pullModel(modelName) {
+        if (!modelName) {
+            this.pullStatus.textContent = 'Enter a model name, e.g. llama3.2 or qwen2.5:7b';
+            return;
+        }
+
+        this.pullController = new AbortController();
+        this.setPulling(true);
+        this.pullStatus.textContent = `Pulling ${modelName}...`;
+        let failed = null;
+
+        try {
+            const response = await fetch('/api/models/pull', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model: modelName,
+                    backend: this.pullBackendSelect.hidden ? undefined : this.pullBackendSelect.value
+                }),
+                signal: this.pullController.signal
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || '';
+
+                for (const line of lines) {
+                    if (!line.startsWith('data: ')) continue;
+                    let data;
+                    try {
+                        data = JSON.parse(line.slice(6));
+                    } catch (e) {
+                        console.error('Error parsing pull progress:', e);
+                        continue;
+                    }
+
+                    if (data.type === 'progress') {
+                        if (data.total) {
+                            this.pullProgress.max = data.total;
+                            this.pullProgress.value = data.completed || 0;
+                            const percent = Math.floor(((data.completed || 0) / data.total) * 100);
+                            this.pullStatus.textContent = `${data.status} - ${this.formatBytes(data.completed || 0)} / ${this.formatBytes(data.total)} (${percent}%)`;
+                        } else {
+                            this.pullProgress.removeAttribute('value');
+                            this.pullStatus.textContent = data.status;
+                        }
+                    } else if (data.type === 'error') {
+                        failed = data.message;
+                    }
+                }
+            }
+
+            if (failed) {
+                throw new Error(failed);
+            }
+            this.pullStatus.textContent = `✅ ${modelName} is ready`;
+            this.pullInput.value = '';
+            this.setStatus(`Pulled ${modelName}`, 'success');
+            this.refresh();
+            this.onModelsChanged();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.pullStatus.textContent = `Pull of ${modelName} cancelled`;
+            } else {
+                console.error('Error pulling model:', error);
+                this.pullStatus.textContent = `❌ ${error.message}`;
+            }
+        } finally {
+            this.pullController = null;
+            this.setPulling(false);
+        }
+    }
+}
@@ -0,0 +1,148 @@
+// Generation settings drawer
+// Edits the current conversation's model options, system prompt and document collections. Settings
+// are stored with the conversation on the server and sent along with every message; a new chat
+// starts from the defaults.
+class SettingsDrawer {
+    // Numeric option fields, in the order they appear in the drawer
+    static OPTION_FIELDS = ['temperature', 'top_p', 'top_k', 'num_ctx', 'seed', 'repeat_penalty', 'num_predict'];
+
+    constructor({ getConversationId, setStatus }) {
+        this.getConversationId = getConversationId;
+        this.setStatus = setStatus;
+
+        this.toggleButton = document.getElementById('openSettings');
+        this.drawer = document.getElementById('settingsDrawer');
+        this.form = document.getElementById('settingsForm');
+        this.closeButton = document.getElementById('closeSettings');
+        this.resetButton = document.getElementById('resetSettings');
+        this.systemPromptInput = document.getElementById('systemPromptInput');
+        this.stopInput = document.getElementById('option-stop');
+        this.error = document.getElementById('settingsError');
+        this.collectionOptions = document.getElementById('collectionOptions');
+        this.collections = null; // Available collections, once the document library has loaded them
+        this.selectedCollections = [];
+        this.optionInputs = Object.fromEntries(
+            SettingsDrawer.OPTION_FIELDS.map(name => [name, document.getElementById(`option-${name}`)])
+        );
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.closeButton.addEventListener('click', () => this.toggle(false));
+        this.resetButton.addEventListener('click', () => {
+            this.load(null);
+            this.save();
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+    }
+
+    toggle(open = this.drawer.hidden) {
+        this.drawer.hidden = !open;
+        this.toggleButton.classList.toggle('active', open);
+    }
+
+    // Fill the form from stored settings (null = defaults)
+    load(settings) {
+        const options = settings?.options || {};
+        SettingsDrawer.OPTION_FIELDS.forEach(name => {
+            this.optionInputs[name].value = options[name] ?? '';
+        });
+        this.stopInput.value = (options.stop || []).join('\n');
+        this.systemPromptInput.value = settings?.systemPrompt || '';
+        this.selectedCollections = settings?.collections || [];
+        this.renderCollections();
+        this.error.textContent = '';
+        this.updateIndicator();
+    }
+
+    // Called by the document library whenever its list of collections changes
+    setCollections(collections) {
+        this.selectedCollections = this.getSelectedCollections();
+        this.collections = collections;
+        this.renderCollections();
+    }
+
+    renderCollections() {
+        this.collectionOptions.innerHTML = '';
+        if (!this.collections || this.collections.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'settings-hint';
+            hint.textContent = this.collections ? 'No collections yet - create one with 📚.' : 'Loading collections...';
+            this.collectionOptions.appendChild(hint);
+            return;
+        }
+
+        this.collections.forEach(collection => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = collection.id;
+            checkbox.checked = this.selectedCollections.includes(collection.id);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(`${collection.name} (${collection.documents.length})`));
+            this.collectionOptions.appendChild(label);
+        });
+    }
+
+    // Ticked collections; until the list has loaded, the stored selection is kept as is
+    getSelectedCollections() {
+        if (!this.collections) {
+            return this.selectedCollections;
+        }
+        return Array.from(this.collectionOptions.querySelectorAll('input[type="checkbox"]:checked'), input => input.value);
+    }
+
+    // Current form values; blank fields are left out so the model default applies
+    getSettings() {
+        const options = {};
+        SettingsDrawer.OPTION_FIELDS.forEach(name => {
+            const value = this.optionInputs[name].value.trim();
+            if (value !== '') {
+                options[name] = Number(value);
+            }
+        });
+        const stop = this.stopInput.value.split('\n').filter(s => s.trim() !== '');
+        if (stop.length > 0) {
+            options.stop = stop;
+        }
+        return { options, systemPrompt: this.systemPromptInput.value.trim(), collections: this.getSelectedCollections() };
+    }
+
+    // Highlight the gear button while the chat uses anything but the defaults
+    updateIndicator() {
+        const { options, systemPrompt, collections } = this.getSettings();
+        const customized = Object.keys(options).length > 0 || systemPrompt !== '' || collections.length > 0;
+        this.toggleButton.classList.toggle('customized', customized);
+        this.toggleButton.title = customized ? 'Generation settings (customized)' : 'Generation settings';
+    }
+
+    // Store the settings with the current conversation; before the first message they are
+    // simply sent along with it
+    async save() {
+        this.error.textContent = '';
+        this.updateIndicator();
+
+        const conversationId = this.getConversationId();
+        if (!conversationId) {
+            this.setStatus('Settings will apply to this new chat', 'success');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ settings: this.getSettings() })
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+            this.setStatus('Settings saved for this conversation', 'success');
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.error.textContent = error.message;
+        }
+    }
+}
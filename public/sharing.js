@@ -0,0 +1,152 @@
+// Export, import and share panel
+// Downloads the open conversation as Markdown, HTML or JSON, restores a JSON export as a new
+// conversation, and creates or revokes the conversation's read-only share link.
+class SharePanel {
+    static FORMATS = ['markdown', 'html', 'json'];
+
+    constructor({ getConversationId, onImported, setStatus }) {
+        this.getConversationId = getConversationId;
+        this.onImported = onImported;
+        this.setStatus = setStatus;
+
+        this.toggleButton = document.getElementById('shareConversation');
+        this.panel = document.getElementById('sharePanel');
+        this.closeButton = document.getElementById('closeSharePanel');
+        this.hint = document.getElementById('shareHint');
+        this.conversationSection = document.getElementById('shareConversationSection');
+        this.exportLinks = Object.fromEntries(
+            SharePanel.FORMATS.map(format => [format, document.getElementById(`export-${format}`)])
+        );
+        this.importButton = document.getElementById('importConversation');
+        this.importInput = document.getElementById('importInput');
+        this.shareUrl = document.getElementById('shareUrl');
+        this.createButton = document.getElementById('createShareLink');
+        this.copyButton = document.getElementById('copyShareLink');
+        this.revokeButton = document.getElementById('revokeShareLink');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.closeButton.addEventListener('click', () => this.toggle(false));
+        this.importButton.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) this.importFile(file);
+        });
+        this.createButton.addEventListener('click', () => this.createShare());
+        this.copyButton.addEventListener('click', () => this.copyShareUrl());
+        this.revokeButton.addEventListener('click', () => this.revokeShare());
+    }
+
+    toggle(open = this.panel.hidden) {
+        this.panel.hidden = !open;
+        this.toggleButton.classList.toggle('active', open);
+        if (open) {
+            this.refresh();
+        }
+    }
+
+    async fetchJson(url, options) {
+        const response = await fetch(url, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    conversationUrl(path = '') {
+        return `/api/conversations/${encodeURIComponent(this.getConversationId())}${path}`;
+    }
+
+    // Called when another conversation is opened or a new chat is started
+    conversationChanged() {
+        if (!this.panel.hidden) {
+            this.refresh();
+        }
+    }
+
+    async refresh() {
+        const conversationId = this.getConversationId();
+        this.conversationSection.hidden = !conversationId;
+        this.hint.textContent = conversationId
+            ? 'Markdown and HTML hold the branch on screen; JSON keeps every branch and the images, and can be imported again.'
+            : 'Open a saved chat to export or share it.';
+        if (!conversationId) return;
+
+        SharePanel.FORMATS.forEach(format => {
+            this.exportLinks[format].href = this.conversationUrl(`/export?format=${format}`);
+        });
+        try {
+            const data = await this.fetchJson(this.conversationUrl('/share'));
+            this.renderShare(data.share);
+        } catch (error) {
+            console.error('Error loading share link:', error);
+            this.setStatus(`Could not load the share link: ${error.message}`, 'error');
+        }
+    }
+
+    renderShare(share) {
+        this.shareUrl.value = share ? new URL(share.url, window.location.origin).href : '';
+        this.shareUrl.hidden = !share;
+        this.copyButton.hidden = !share;
+        this.revokeButton.hidden = !share;
+        this.createButton.hidden = Boolean(share);
+    }
+
+    async createShare() {
+        try {
+            const data = await this.fetchJson(this.conversationUrl('/share'), { method: 'POST' });
+            this.renderShare(data.share);
+            this.copyShareUrl();
+        } catch (error) {
+            console.error('Error sharing conversation:', error);
+            this.setStatus(`Could not share the conversation: ${error.message}`, 'error');
+        }
+    }
+
+    async copyShareUrl() {
+        try {
+            await navigator.clipboard.writeText(this.shareUrl.value);
+            this.setStatus('Share link copied', 'success');
+        } catch {
+            // The clipboard API needs a secure context; leave the link selected for a manual copy
+            this.shareUrl.select();
+            this.setStatus('Share link ready - copy it from the panel', 'success');
+        }
+    }
+
+    async revokeShare() {
+        if (!confirm('Stop sharing? The link will stop working.')) {
+            return;
+        }
+        try {
+            await this.fetchJson(this.conversationUrl('/share'), { method: 'DELETE' });
+            this.renderShare(null);
+            this.setStatus('Conversation is no longer shared', 'success');
+        } catch (error) {
+            console.error('Error revoking share link:', error);
+            this.setStatus(`Could not stop sharing: ${error.message}`, 'error');
+        }
+    }
+
+    async importFile(file) {
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch {
+                throw new Error(`${file.name} is not a JSON file`);
+            }
+            const conversation = await this.fetchJson('/api/conversations/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+            });
+            this.setStatus(`Imported "${conversation.title}"`, 'success');
+            this.onImported(conversation);
+        } catch (error) {
+            console.error('Error importing conversation:', error);
+            this.setStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+}
@@ -1,14 +1,131 @@
+import './lib/env.js';
 import express from 'express';
-import { Ollama } from 'ollama';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import dotenv from 'dotenv';
+import {
+  listConversations,
+  getConversation,
+  createConversation,
+  renameConversation,
+  deleteConversation,
+  appendExchange,
+  toChatHistory,
+  updateConversationSettings,
+  getConversationSettings,
+  isValidMessageId,
+  getMessage,
+  selectBranch,
+  getBranchSummary,
+  importConversation
+} from './lib/conversationStore.js';
+import { EXPORT_TYPES, HTML_CONTENT_SECURITY_POLICY, exportConversation, exportFilename, toHtml, parseImport } from './lib/conversationExport.js';
+import { getShare, findShare, createShare, deleteShare } from './lib/shareStore.js';
+import { normalizeSettings, normalizeOptions, mergeSettings, defaultSettings } from './lib/chatSettings.js';
+import { getSearchProvider } from './lib/searchProviders.js';
+import { isPageFetchEnabled, readPages } from './lib/pageReader.js';
+import {
+  isContextManagementEnabled,
+  getDefaultNumCtx,
+  getSummaryMaxTokens,
+  estimateMessagesTokens,
+  historyBudget,
+  withSummary,
+  planHistory,
+  batchMessages
+} from './lib/contextWindow.js';
+import { getImageLimits, getJsonBodyLimit, parseImages, saveImages, loadImage, resolveHistoryImages } from './lib/imageStore.js';
+import {
+  getEmbedModel,
+  getDocumentLimits,
+  getDocumentBodyLimit,
+  listCollections,
+  getCollection,
+  createCollection,
+  deleteCollection,
+  extractDocument,
+  addDocument,
+  deleteDocument,
+  searchCollections
+} from './lib/documentStore.js';
+import {
+  isAuthEnabled,
+  isRegistrationOpen,
+  countUsers,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyCredentials,
+  createSession,
+  deleteSession,
+  listApiTokens,
+  createApiToken,
+  deleteApiToken,
+  recordUsage,
+  seedAdminFromEnv,
+  toPublicUser
+} from './lib/userStore.js';
+import { getComparison, createComparison, recordVote, getLeaderboard, createAnswerTimer, MIN_ARENA_MODELS, MAX_ARENA_MODELS } from './lib/arenaStore.js';
+import { requireUser, requireAdmin, canAccess, setSessionCookie, clearSessionCookie, getSessionToken, authenticate } from './lib/auth.js';
+import { getQueueLimits, isQueueFullError } from './lib/requestQueue.js';
+import {
+  loadBackends,
+  getBackends,
+  getBackend,
+  getBackendMode,
+  createBackendClient,
+  selectBackend,
+  findBackend,
+  listModels,
+  isBackendUnreachable,
+  isNoBackendError,
+  markUnhealthy,
+  checkBackend,
+  startHealthChecks,
+  describeBackends
+} from './lib/backends.js';
+import { chatLimiter, searchLimiter, rateLimit, getClientKey, describeLimit } from './lib/rateLimiter.js';
+import { searchCache, decisionCache, normalizeQuery, isCacheEnabled, getCache, listCaches, loadCaches, describeCacheConfig } from './lib/cache.js';
+import { createLogger, requestIdMiddleware, getLogConfig, truncate } from './lib/logger.js';
+import { loadTemplates, watchTemplates, renderPrompt, describeTemplates } from './lib/promptTemplates.js';
+import { requestDecision, isInvalidDecisionError, SEARCH_DECISION_SCHEMA, SOURCE_DECISION_SCHEMA, CONFIRMATION_SCHEMA, SEARCH_QUERY_SCHEMA } from './lib/decisions.js';
+import {
+  requestsTotal,
+  searchedRequestsTotal,
+  searchesTotal,
+  countError,
+  timeStage,
+  stageDuration,
+  recordGeneration,
+  registerGauge,
+  renderMetrics,
+  getMetricsConfig
+} from './lib/metrics.js';
 
-dotenv.config({ override: true });
+const serverLog = createLogger('server');
+const httpLog = createLogger('http');
+const chatLog = createLogger('chat');
+const reasoningLog = createLogger('reasoning');
+const confirmationLog = createLogger('confirmation');
+const searchLog = createLogger('search');
+const docsLog = createLogger('documents');
+const contextLog = createLogger('context');
+const queueLog = createLogger('queue');
+const cacheLog = createLogger('cache');
+const modelsLog = createLogger('models');
+const authLog = createLogger('auth');
+const openaiLog = createLogger('openai');
+const arenaLog = createLogger('arena');
 
-// Google Custom Search API configuration
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-const GOOGLE_CSE_ID = process.env.GOOGLE_CSE_ID;
+// Prompt templates (see lib/promptTemplates.js); a missing or broken default template stops the server here
+loadTemplates();
+// Ollama hosts from OLLAMA_BACKENDS or OLLAMA_HOST (see lib/backends.js); a malformed list stops the server here
+loadBackends();
+
+// Web search configuration (provider selected with SEARCH_PROVIDER, see lib/searchProviders.js)
+const searchProvider = getSearchProvider();
+const SEARCH_MAX_RESULTS = parseInt(process.env.SEARCH_MAX_RESULTS, 10) || 5;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,41 +133,11 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Determine Ollama host and mode
-const ollamaHost = process.env.OLLAMA_HOST || 'http://127.0.0.1:11434';
-let apiKey = process.env.OLLAMA_API_KEY?.trim(); // Trim whitespace
-const isCloudMode = ollamaHost.includes('ollama.com') || ollamaHost.includes('api.ollama.com');
-
-// Validate API key if it's set
-if (apiKey) {
-  // Check if it's still the placeholder value
-  if (apiKey === 'OLLAMA_API_KEY' || apiKey === 'your_api_key_here' || apiKey.length < 10) {
-    console.error('❌ ERROR: OLLAMA_API_KEY appears to be a placeholder value.');
-    console.error('   Please replace it with your actual API key from https://ollama.com/settings/keys');
-    apiKey = null; // Don't use invalid key
-  }
-}
-
-// Initialize Ollama client
-const ollamaConfig = {
-  host: ollamaHost
-};
-
-// Only add API key for cloud mode
-if (isCloudMode && apiKey) {
-  ollamaConfig.headers = {
-    'Authorization': `Bearer ${apiKey}`
-  };
-  console.log('✅ API key found and configured');
-} else if (isCloudMode && !apiKey) {
-  console.error('❌ ERROR: OLLAMA_HOST is set to cloud but OLLAMA_API_KEY is not set or invalid.');
-  console.error('   Please set OLLAMA_API_KEY in your .env file');
-  console.error('   Get your API key from: https://ollama.com/settings/keys');
-  console.error('   Example: OLLAMA_API_KEY=ollama_xxxxxxxxxxxxxxxxxxxx');
+// Behind a reverse proxy, take the client IP (rate limits) and HTTPS (secure cookies) from X-Forwarded-* headers
+if ((process.env.TRUST_PROXY || '').trim().toLowerCase() === 'on') {
+  app.set('trust proxy', 1);
 }
 
-const ollama = new Ollama(ollamaConfig);
-
 // Helper function to get current date in ISO-8601 format with day of week
 function getCurrentDate() {
   const now = new Date();
@@ -75,532 +162,2487 @@ function getCurrentDate() {
   };
 }
 
-// Web search function using Google Custom Search API
-async function performWebSearch(query) {
-  console.log(`[TOOL] 🔍 Web search called with query: "${query}"`);
+// Date variables shared by all prompt templates (see templates/date-context.txt)
+function dateVariables(currentDate) {
+  return {
+    date: currentDate.iso,
+    dayOfWeek: currentDate.dayOfWeek,
+    currentYear: currentDate.currentYear,
+    previousYear: currentDate.previousYear
+  };
+}
+
+// Web search function using the configured search provider
+async function performWebSearch(query, signal) {
+  searchLog.info('Web search started', { query, provider: searchProvider.name });
   
-  if (!GOOGLE_API_KEY || !GOOGLE_CSE_ID) {
-    console.error('[TOOL] ❌ Web search failed: Google API credentials not configured');
-    throw new Error('Google API credentials not configured. Please set GOOGLE_API_KEY and GOOGLE_CSE_ID in .env file');
+  const configError = searchProvider.missingConfig();
+  if (configError) {
+    searchLog.error('Web search provider is not configured', { provider: searchProvider.label });
+    countError('search');
+    throw new Error(configError);
   }
 
   try {
-    const searchUrl = `https://www.googleapis.com/customsearch/v1?key=${GOOGLE_API_KEY}&cx=${GOOGLE_CSE_ID}&q=${encodeURIComponent(query)}&num=5`;
-    console.log(`[TOOL] 📡 Sending request to Google Custom Search API...`);
+    const results = await timeStage('search', () => searchProvider.search(query, { count: SEARCH_MAX_RESULTS, signal }));
     
-    const response = await fetch(searchUrl);
+    searchLog.info('Web search completed', { query, results: results.length });
+    results.forEach((result, idx) => {
+      searchLog.debug('Search result', { index: idx + 1, title: result.title, url: result.link });
+    });
     
-    if (!response.ok) {
-      console.error(`[TOOL] ❌ Google Search API error: ${response.status} ${response.statusText}`);
-      throw new Error(`Google Search API error: ${response.status} ${response.statusText}`);
+    return results;
+  } catch (error) {
+    if (!signal?.aborted) {
+      searchLog.error('Web search failed', { query, error });
+      countError('search');
     }
-    
-    const data = await response.json();
-    
-    if (data.error) {
-      console.error(`[TOOL] ❌ Google Search API error: ${data.error.message}`);
-      throw new Error(`Google Search API error: ${data.error.message}`);
+    throw error;
+  }
+}
+
+// Search the web and, when page fetching is enabled, read the top result pages
+// so the answer can draw on article text rather than just snippets.
+// Results are cached by normalized query; a cache hit is reported with a `cache` event.
+// Searches count against the client's search rate limit; over it the search fails like any other.
+async function searchAndReadPages(query, emit, signal, clientKey) {
+  const cacheKey = `${searchProvider.name}|${SEARCH_MAX_RESULTS}|${normalizeQuery(query)}`;
+  let results = searchCache.get(cacheKey);
+  if (results) {
+    cacheLog.info('Using cached search results', { query });
+    emit({ content: '', type: 'cache', cache: 'search', message: `Using cached search results for "${query}"` });
+  } else {
+    if (clientKey) {
+      const { allowed, retryAfterMs } = searchLimiter.take(clientKey);
+      if (!allowed) {
+        countError('rate_limited');
+        throw new Error(`search limit reached, try again in ${Math.ceil(retryAfterMs / 1000)}s`);
+      }
     }
-    
-    // Format search results
-    const results = (data.items || []).map(item => ({
-      title: item.title,
-      link: item.link,
-      snippet: item.snippet
-    }));
-    
-    console.log(`[TOOL] ✅ Web search completed: Found ${results.length} result(s)`);
+    results = await performWebSearch(query, signal);
     if (results.length > 0) {
-      results.forEach((result, idx) => {
-        console.log(`[TOOL]   [${idx + 1}] ${result.title}`);
-        console.log(`[TOOL]       URL: ${result.link}`);
-      });
+      searchCache.set(cacheKey, results);
     }
-    
+  }
+  if (results.length === 0 || !isPageFetchEnabled()) {
     return results;
-  } catch (error) {
-    console.error('[TOOL] ❌ Web search error:', error);
-    throw error;
   }
+  
+  emit({ content: '', type: 'search', message: 'Reading the top search results...' });
+  return timeStage('page_fetch', () => readPages(results, query, { signal }));
 }
 
-// Function to confirm if response was adequate without web search
-async function confirmResponseAdequacy(userMessage, response, model) {
-  console.log(`[CONFIRMATION] 🔍 Checking if response was adequate without web search...`);
-  
-  const currentDate = getCurrentDate();
-  const confirmationPrompt = `You are a helpful assistant. Review the following question and response to determine if the response adequately answers the question without needing current, real-time, or specific web information.
+// Search results as stored in conversations (page passages are only needed for the prompt)
+function toStoredResults(results) {
+  return results.map(({ title, link, snippet }) => ({ title, link, snippet }));
+}
+
+// Numbered sources matching the [n] markers the model is asked to cite
+function toSources(results, offset = 0) {
+  return results.map(({ title, link, snippet }, idx) => ({ index: offset + idx + 1, title, link, snippet }));
+}
+
+// Embedding function for lib/documentStore.js. Calls go to `backend`, or to a backend that has the
+// embedding model, which need not be the one answering; `signal` cancels them.
+function embedWith({ signal, backend } = {}) {
+  return async (model, texts) => {
+    const target = backend || await selectBackend(model);
+    return (await createBackendClient(target, signal).embed({ model, input: texts })).embeddings;
+  };
+}
 
-IMPORTANT DATE CONTEXT:
-- The current date is ${currentDate.iso}
-- Today is ${currentDate.dayOfWeek}
-- Use the provided current date (${currentDate.iso}) as your anchor for all relative time references (e.g., "tomorrow", "last week", "3 months ago", "next Friday").
-- When the user asks about "today", "now", "current", "recent", or similar time-sensitive terms, they are referring to ${currentDate.iso} (${currentDate.dayOfWeek}).
-- If a user asks for "the latest news" or "recent events," prioritize information from late ${currentDate.previousYear} or early ${currentDate.currentYear}.
+// Look up passages in the selected document collections
+async function searchDocuments(collections, query, signal, emit) {
+  docsLog.info('Document search started', { query, collections: collections.map(c => c.id) });
+  emit({ content: '', type: 'documents', message: `Searching your documents for: "${query}"...` });
+  
+  const passages = await timeStage('documents', () => searchCollections(collections.map(c => c.id), query, embedWith({ signal })));
+  
+  docsLog.info('Document search completed', { query, passages: passages.length });
+  passages.forEach((passage, idx) => {
+    docsLog.debug('Document passage', { index: idx + 1, file: passage.file, chunk: passage.chunk, score: Number(passage.score.toFixed(3)) });
+  });
+  return passages;
+}
 
-Original question: "${userMessage}"
+// Search the documents and record the outcome; failures are reported and yield no passages
+async function runDocumentSearch(collections, query, stage, { emit, signal, searchEvents }) {
+  try {
+    const passages = await searchDocuments(collections, query, signal, emit);
+    searchEvents.push({ query, stage, source: 'documents', results: toStoredPassages(passages), createdAt: new Date().toISOString() });
+    emit({ content: '', type: 'documents', message: passages.length > 0 ? `Found ${passages.length} relevant passage(s)` : 'No relevant passages found in your documents' });
+    return passages;
+  } catch (error) {
+    signal?.throwIfAborted();
+    docsLog.error('Document search failed', { query, error });
+    countError('documents');
+    searchEvents.push({ query, stage, source: 'documents', error: error.message, createdAt: new Date().toISOString() });
+    emit({ content: '', type: 'error', message: `Document search failed: ${error.message}` });
+    return [];
+  }
+}
 
-Generated response: "${response}"
+// Document passages as stored in conversations' search events
+function toStoredPassages(passages) {
+  return passages.map(({ collectionId, file, chunk, score }) => ({ collection: collectionId, file, chunk, score }));
+}
 
-Respond with ONLY a valid JSON object in this exact format (no markdown, no code blocks, just the JSON):
-{
-  "is_adequate": true or false,
-  "needs_search": true or false (opposite of is_adequate),
-  "search_query": "the search query if needs_search is true, otherwise empty string",
-  "reasoning": "brief explanation of why the response is or isn't adequate"
+// Numbered document sources; they continue the numbering of the web results before them
+function toDocumentSources(passages, offset = 0) {
+  return passages.map(({ collectionId, documentId, file, chunk, text }, idx) => ({
+    index: offset + idx + 1,
+    title: `${file} (chunk ${chunk})`,
+    snippet: text.length > 300 ? `${text.substring(0, 297)}...` : text,
+    document: { collection: collectionId, documentId, file, chunk }
+  }));
 }
 
-The response is adequate if:
-- It fully answers the question with general knowledge
-- It doesn't require current and recent events, recent news, real-time data, or specific information not in training data
-- The answer is complete and accurate based on available knowledge
+// Web results first, then document passages, numbered the way the prompt presents them
+function buildSources(results = [], passages = []) {
+  return [...toSources(results), ...toDocumentSources(passages, results.length)];
+}
 
-The response is NOT adequate if:
-- It mentions uncertainty about current information
-- It says "I don't have information about..." for current events
-- The question clearly asks for recent/current information that wasn't provided
-- The answer is incomplete or vague due to missing current data
+// Decision calls only inherit num_ctx: a different context size would make Ollama reload the model
+// between the decision and the answer, while sampling options are meant for the answer itself
+function decisionOptions(options = {}) {
+  return options.num_ctx ? { num_ctx: options.num_ctx } : undefined;
+}
 
-Remember: Only respond with the JSON object, nothing else.`;
+// Function to confirm if response was adequate without web search
+async function confirmResponseAdequacy(userMessage, response, model, client, options = {}) {
+  confirmationLog.info('Checking if the answer is adequate without web search', { model });
+  
+  const variables = { ...dateVariables(getCurrentDate()), question: userMessage, answer: response };
 
   try {
-    console.log(`[CONFIRMATION] 📤 Sending confirmation request to LLM...`);
-    console.log(`[CONFIRMATION] 📅 Current date context: ${currentDate.formatted}`);
-    const response_check = await ollama.chat({
-      model: model,
+    const confirmation = await timeStage('confirmation', () => requestDecision({
+      client,
+      model,
       messages: [
-        { role: 'system', content: `You are a confirmation assistant that validates if responses are adequate. The current date is ${currentDate.iso}. Today is ${currentDate.dayOfWeek}. Use this date as your anchor for all relative time references. Always respond with valid JSON only.` },
-        { role: 'user', content: confirmationPrompt }
+        { role: 'system', content: renderPrompt('confirmation-system', model, variables) },
+        { role: 'user', content: renderPrompt('confirmation', model, variables) }
       ],
-      stream: false,
-    });
-
-    const content = response_check.message.content.trim();
-    console.log(`[CONFIRMATION] 📥 Received LLM confirmation response (raw): ${content.substring(0, 200)}${content.length > 200 ? '...' : ''}`);
-    
-    // Try to extract JSON from the response
-    let jsonStr = content;
-    if (content.includes('```json')) {
-      jsonStr = content.split('```json')[1].split('```')[0].trim();
-    } else if (content.includes('```')) {
-      jsonStr = content.split('```')[1].split('```')[0].trim();
-    }
-    
-    // Remove any leading/trailing whitespace and parse
-    jsonStr = jsonStr.replace(/^[^{]*/, '').replace(/[^}]*$/, '');
-    if (!jsonStr.startsWith('{')) {
-      jsonStr = '{' + jsonStr;
-    }
-    if (!jsonStr.endsWith('}')) {
-      jsonStr = jsonStr + '}';
-    }
-    
-    const confirmation = JSON.parse(jsonStr);
+      schema: CONFIRMATION_SCHEMA,
+      options: decisionOptions(options),
+      stage: 'confirmation',
+      variables
+    }));
     
     // Log the confirmation result
     if (confirmation.is_adequate) {
-      console.log(`[CONFIRMATION] ✅ Response confirmed as ADEQUATE`);
-      console.log(`[CONFIRMATION]    Reasoning: ${confirmation.reasoning}`);
+      confirmationLog.info('Answer confirmed as adequate', { reasoning: confirmation.reasoning });
     } else {
-      console.log(`[CONFIRMATION] ❌ Response NOT confirmed - SEARCH NEEDED`);
-      console.log(`[CONFIRMATION]    Query: "${confirmation.search_query}"`);
-      console.log(`[CONFIRMATION]    Reasoning: ${confirmation.reasoning}`);
+      confirmationLog.info('Answer not adequate, search needed', { query: confirmation.search_query, reasoning: confirmation.reasoning });
     }
     
     return confirmation;
   } catch (error) {
-    console.error('[CONFIRMATION] ❌ Error in confirmation check:', error);
-    console.error('[CONFIRMATION]    Defaulting to: ADEQUATE (no retry)');
-    // Fallback: if confirmation fails, assume adequate to avoid loops
-    return { is_adequate: true, needs_search: false, search_query: '', reasoning: 'Confirmation check failed, defaulting to adequate' };
+    // A cancelled request must not be mistaken for a failed check
+    if (error.name === 'AbortError') throw error;
+    confirmationLog.error('Confirmation check failed, treating the answer as adequate', { error });
+    countError(isInvalidDecisionError(error) ? 'invalid_decision' : 'confirmation');
+    // Fallback: if confirmation fails, assume adequate to avoid loops. `failed` lets the pipeline tell the user.
+    return { is_adequate: true, needs_search: false, search_query: '', reasoning: 'Confirmation check failed, defaulting to adequate', failed: true, error: error.message };
   }
 }
 
-// Function to check if LLM needs web search
-async function checkIfNeedsSearch(userMessage, model) {
-  console.log(`[REASONING] 🤔 Checking if web search is needed for question: "${userMessage.substring(0, 100)}${userMessage.length > 100 ? '...' : ''}"`);
-  console.log(`[REASONING] 📦 Using model: ${model}`);
+// List the selected document collections (name and first files) for the decision prompt
+function formatCollectionList(collections) {
+  return collections.map(c => {
+    const files = c.documents.slice(0, 10).map(doc => doc.name).join(', ');
+    const more = c.documents.length > 10 ? ` and ${c.documents.length - 10} more` : '';
+    return `- "${c.name}": ${files}${more}`;
+  }).join('\n');
+}
+
+// Function to check if LLM needs web search.
+// With document collections selected the decision also covers them: the result carries
+// needs_documents next to needs_search and `source` ('web', 'documents', 'both' or 'none').
+// Decisions are cached per model, day, collections and normalized message; a cached one has `cached: true`.
+// When no valid decision can be had the result says no search, with `failed: true` and the `error`.
+async function checkIfNeedsSearch(userMessage, model, client, options = {}, collections = []) {
+  reasoningLog.info('Checking if search is needed', {
+    question: truncate(userMessage),
+    model,
+    collections: collections.length > 0 ? collections.map(c => c.id) : undefined
+  });
   
   const currentDate = getCurrentDate();
-  const reasoningPrompt = `You are a helpful assistant. Analyze the following user question and determine if you need to search the web for current, real-time, or specific information that might not be in your training data.
+  const cacheKey = [model, currentDate.iso, collections.map(c => c.id).sort().join(','), normalizeQuery(userMessage)].join('|');
+  const cachedDecision = decisionCache.get(cacheKey);
+  if (cachedDecision) {
+    reasoningLog.info('Using cached decision', { needsSearch: cachedDecision.needs_search, query: cachedDecision.search_query || undefined });
+    return { ...cachedDecision, cached: true };
+  }
+  const variables = {
+    ...dateVariables(currentDate),
+    question: userMessage,
+    collections: collections.length > 0 ? formatCollectionList(collections) : ''
+  };
+
+  try {
+    const decision = await timeStage('reasoning', () => requestDecision({
+      client,
+      model,
+      messages: [
+        { role: 'system', content: renderPrompt('reasoning-system', model, variables) },
+        { role: 'user', content: renderPrompt('reasoning', model, variables) }
+      ],
+      schema: collections.length > 0 ? SOURCE_DECISION_SCHEMA : SEARCH_DECISION_SCHEMA,
+      options: decisionOptions(options),
+      stage: 'reasoning',
+      variables
+    }));
+    if (collections.length > 0) {
+      decision.needs_search = decision.source === 'web' || decision.source === 'both';
+      decision.needs_documents = decision.source === 'documents' || decision.source === 'both';
+    }
+    
+    reasoningLog.info(decision.needs_search ? 'Decided: search needed' : 'Decided: no search needed', {
+      source: decision.source,
+      query: decision.search_query || undefined,
+      reasoning: decision.reasoning
+    });
+    
+    decisionCache.set(cacheKey, { ...decision });
+    return decision;
+  } catch (error) {
+    // A cancelled request must not be mistaken for a failed check
+    if (error.name === 'AbortError') throw error;
+    reasoningLog.error('Reasoning check failed, falling back to no search', { error });
+    countError(isInvalidDecisionError(error) ? 'invalid_decision' : 'reasoning');
+    // Fallback: if reasoning fails, default to no search. `failed` lets the pipeline tell the user.
+    return { needs_search: false, search_query: '', reasoning: 'Reasoning check failed, defaulting to no search', failed: true, error: error.message };
+  }
+}
+
+// Recent turns shown to the search query prompt, so a follow-up like "and tomorrow?" can be resolved
+const QUERY_CONTEXT_MESSAGES = 4;
+
+// Write a search query for `userMessage` when the search itself is already decided (searchMode
+// 'always' or 'results'). Falls back to the message as typed if the model gives no usable query.
+async function writeSearchQuery(userMessage, history, model, client, options = {}) {
+  const conversation = history
+    .filter(m => (m.role === 'user' || m.role === 'assistant') && m.content)
+    .slice(-QUERY_CONTEXT_MESSAGES)
+    .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${truncate(m.content, 300)}`)
+    .join('\n');
+  const variables = { ...dateVariables(getCurrentDate()), question: userMessage, conversation };
+
+  try {
+    const { search_query: query } = await timeStage('reasoning', () => requestDecision({
+      client,
+      model,
+      messages: [{ role: 'user', content: renderPrompt('search-query', model, variables) }],
+      schema: SEARCH_QUERY_SCHEMA,
+      options: decisionOptions(options),
+      stage: 'search_query',
+      variables
+    }));
+    reasoningLog.info('Search query written', { query });
+    return query.trim() || userMessage;
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    reasoningLog.error('Writing the search query failed, searching for the message as typed', { error });
+    countError(isInvalidDecisionError(error) ? 'invalid_decision' : 'reasoning');
+    return userMessage;
+  }
+}
+
+// Web search tool definition passed to models with native tool support
+const WEB_SEARCH_TOOL = {
+  type: 'function',
+  function: {
+    name: 'web_search',
+    description: 'Search the web for current, real-time, or specific information that might not be in your training data (recent events, news, prices, weather, sports scores, ...).',
+    parameters: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string', description: 'The search query' }
+      }
+    }
+  }
+};
+
+// Document search tool, offered alongside web_search when the conversation has collections selected
+const SEARCH_DOCUMENTS_TOOL = {
+  type: 'function',
+  function: {
+    name: 'search_documents',
+    description: "Search the user's uploaded documents (the selected document collections) for passages relevant to the question.",
+    parameters: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string', description: 'What to look for in the documents' }
+      }
+    }
+  }
+};
 
-IMPORTANT DATE CONTEXT:
-- The current date is ${currentDate.iso}
-- Today is ${currentDate.dayOfWeek}
-- Use the provided current date (${currentDate.iso}) as your anchor for all relative time references (e.g., "tomorrow", "last week", "3 months ago", "next Friday").
-- When the user asks about "today", "now", "current", "recent", or similar time-sensitive terms, they are referring to ${currentDate.iso} (${currentDate.dayOfWeek}).
-- If a user asks for "the latest news" or "recent events," prioritize information from late ${currentDate.previousYear} or early ${currentDate.currentYear}.
+// Tool calling mode: 'auto' uses native tools for models that support them, 'off' always uses the prompt-based pipeline
+const TOOL_CALLING = (process.env.TOOL_CALLING || 'auto').trim().toLowerCase();
+const MAX_TOOL_ROUNDS = parseInt(process.env.MAX_TOOL_ROUNDS, 10) || 3;
+// Per-request search modes (`searchMode` on /api/chat): 'auto' lets the model decide, 'always' searches
+// without asking, 'never' answers without searching or checking, 'results' returns the search results
+// with a short summary. Every mode but 'auto' runs on the prompt-based path.
+const SEARCH_MODES = ['auto', 'always', 'never', 'results'];
+// How the prompt-based path shows an answer written without search before it has been checked:
+// 'stream' streams it live and revises it if the check asks for a search, 'buffer' holds it back until then
+const SELF_CHECK_MODE = (process.env.SELF_CHECK_MODE || '').trim().toLowerCase() === 'buffer' ? 'buffer' : 'stream';
 
-User question: "${userMessage}"
+// Cache of model name → `ollama.show` response (capabilities, parameters, model_info)
+const modelInfoCache = new Map();
 
-Respond with ONLY a valid JSON object in this exact format (no markdown, no code blocks, just the JSON):
-{
-  "needs_search": true or false,
-  "search_query": "the search query if needs_search is true, otherwise empty string",
-  "reasoning": "brief explanation of why search is or isn't needed"
+async function getModelInfo(model, client) {
+  if (!modelInfoCache.has(model)) {
+    modelInfoCache.set(model, await client.show({ model }));
+  }
+  return modelInfoCache.get(model);
 }
 
-Examples:
-- Question about current events, recent news, current prices, today's weather, recent sports scores → needs_search: true
-- Question about general knowledge, math, coding, philosophy, historical facts → needs_search: false
-- Question asking "what happened today" or "latest news about X" → needs_search: true
-- Question asking "how does photosynthesis work" → needs_search: false
+// Cache of model name → whether it supports native tool calling
+const toolSupportCache = new Map();
+
+async function modelSupportsTools(model, client) {
+  if (toolSupportCache.has(model)) {
+    return toolSupportCache.get(model);
+  }
+  
+  let supported = false;
+  try {
+    const info = await getModelInfo(model, client);
+    supported = Array.isArray(info.capabilities) && info.capabilities.includes('tools');
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    chatLog.warn('Could not read model capabilities, assuming no tool support', { model, error });
+    return false; // Not cached, so the next request tries again
+  }
+  
+  toolSupportCache.set(model, supported);
+  return supported;
+}
 
-Remember: Only respond with the JSON object, nothing else.`;
+async function modelSupportsVision(model, client) {
+  try {
+    const info = await getModelInfo(model, client);
+    return !Array.isArray(info.capabilities) || info.capabilities.includes('vision');
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    return true; // Unknown - let Ollama decide
+  }
+}
 
+// Context window the model runs with: num_ctx from the request options, then from the Modelfile,
+// then Ollama's default (never more than the model was trained for)
+async function getContextWindowSize(model, client, options = {}) {
+  if (options.num_ctx) {
+    return options.num_ctx;
+  }
   try {
-    console.log(`[REASONING] 📤 Sending reasoning request to LLM...`);
-    console.log(`[REASONING] 📅 Current date context: ${currentDate.formatted}`);
-    const response = await ollama.chat({
+    const info = await getModelInfo(model, client);
+    const numCtx = parseInt(getModelParameter(info, 'num_ctx'), 10);
+    if (numCtx) return numCtx;
+    const contextLength = getModelContextLength(info);
+    return contextLength ? Math.min(getDefaultNumCtx(), contextLength) : getDefaultNumCtx();
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    contextLog.warn('Could not read num_ctx, using the default', { model, numCtx: getDefaultNumCtx(), error });
+    return getDefaultNumCtx();
+  }
+}
+
+// Fold `messages` into the rolling conversation summary, one batch at a time so each
+// summarization request fits the context window itself
+async function summarizeMessages(messages, previousSummary, model, client, numCtx, options) {
+  const summaryTokens = getSummaryMaxTokens();
+  let summary = previousSummary || '';
+
+  for (const batch of batchMessages(messages, Math.max(256, numCtx - summaryTokens * 2 - 300))) {
+    const transcript = batch.map(m => `${m.role.toUpperCase()}: ${m.content}`).join('\n\n');
+    const response = await timeStage('summary', () => client.chat({
       model: model,
       messages: [
-        { role: 'system', content: `You are a reasoning assistant that determines if web search is needed. The current date is ${currentDate.iso}. Today is ${currentDate.dayOfWeek}. Use this date as your anchor for all relative time references. Always respond with valid JSON only.` },
-        { role: 'user', content: reasoningPrompt }
+        { role: 'system', content: 'You maintain a running summary of a conversation between a user and an AI assistant. Keep every fact, name, number, decision, user preference and open question that later turns may rely on. Drop greetings and filler. Write in plain prose, in the third person, without any preamble.' },
+        { role: 'user', content: `${summary ? `Summary so far:\n${summary}\n\n` : ''}New messages:\n${transcript}\n\nWrite the updated summary in at most ${Math.floor(summaryTokens * 0.7)} words.` }
       ],
+      options: { ...decisionOptions(options), num_predict: summaryTokens },
       stream: false,
-    });
+    }));
+    summary = (response.message.content || '').trim() || summary;
+  }
+  return summary;
+}
 
-    const content = response.message.content.trim();
-    console.log(`[REASONING] 📥 Received LLM response (raw): ${content.substring(0, 200)}${content.length > 200 ? '...' : ''}`);
-    
-    // Try to extract JSON from the response (handle cases where LLM adds markdown)
-    let jsonStr = content;
-    if (content.includes('```json')) {
-      jsonStr = content.split('```json')[1].split('```')[0].trim();
-    } else if (content.includes('```')) {
-      jsonStr = content.split('```')[1].split('```')[0].trim();
-    }
-    
-    // Remove any leading/trailing whitespace and parse
-    jsonStr = jsonStr.replace(/^[^{]*/, '').replace(/[^}]*$/, '');
-    if (!jsonStr.startsWith('{')) {
-      jsonStr = '{' + jsonStr;
-    }
-    if (!jsonStr.endsWith('}')) {
-      jsonStr = jsonStr + '}';
-    }
-    
-    const decision = JSON.parse(jsonStr);
-    
-    // Log the decision
-    if (decision.needs_search) {
-      console.log(`[REASONING] ✅ LLM decided: SEARCH NEEDED`);
-      console.log(`[REASONING]    Query: "${decision.search_query}"`);
-      console.log(`[REASONING]    Reasoning: ${decision.reasoning}`);
-    } else {
-      console.log(`[REASONING] ❌ LLM decided: NO SEARCH NEEDED`);
-      console.log(`[REASONING]    Reasoning: ${decision.reasoning}`);
-    }
-    
-    return decision;
+// Keep the history within the model's context window. When the history (plus the rolling
+// summary) would not fit next to the system prompt, search results and the answer, the oldest
+// turns are summarized and only the summary and the recent turns are sent.
+// Returns { history, summary } - `summary` is { content, messageCount } covering the first
+// messageCount messages of `history`, to be stored with the conversation.
+async function fitHistoryToContext({ message, images, model, history, summary, client, options, systemPrompt, currentDate }, emit) {
+  if (!isContextManagementEnabled() || history.length === 0) {
+    return { history: withSummary(history, summary), summary };
+  }
+
+  const numCtx = await getContextWindowSize(model, client, options);
+  const budget = historyBudget({
+    numCtx,
+    systemPrompt: buildAnswerSystemPrompt(currentDate, model, systemPrompt),
+    message,
+    images,
+    numPredict: options.num_predict
+  });
+  const plan = planHistory(history, summary, budget);
+  if (!plan) {
+    return { history: withSummary(history, summary), summary };
+  }
+
+  const covered = summary?.content ? summary.messageCount : 0;
+  const toSummarize = history.slice(covered, plan.splitIndex);
+  if (toSummarize.length === 0) {
+    contextLog.warn('History exceeds the context window but there are no older turns left to summarize', { numCtx });
+    return { history: withSummary(history, summary), summary };
+  }
+
+  contextLog.info('History exceeds its budget, summarizing older messages', { budget, numCtx, messages: toSummarize.length });
+  emit({ content: '', type: 'context', message: `Summarizing ${toSummarize.length} earlier message(s) to fit the context window...` });
+
+  try {
+    const content = await summarizeMessages(toSummarize, summary?.content, model, client, numCtx, options);
+    const updated = { content, messageCount: plan.splitIndex, updatedAt: new Date().toISOString() };
+    const fitted = withSummary(history, updated);
+    contextLog.info('Rolling summary updated', { coveredMessages: plan.splitIndex, historyTokens: estimateMessagesTokens(fitted) });
+    emit({
+      content: '',
+      type: 'context',
+      message: `Earlier messages summarized to fit the ${numCtx.toLocaleString('en-US')}-token context window (summary covers ${plan.splitIndex} message(s))`,
+      contextTokens: numCtx,
+      historyTokens: estimateMessagesTokens(fitted),
+      summarizedMessages: plan.splitIndex
+    });
+    return { history: fitted, summary: updated };
   } catch (error) {
-    console.error('[REASONING] ❌ Error in reasoning check:', error);
-    console.error('[REASONING]    Falling back to: NO SEARCH');
-    // Fallback: if reasoning fails, default to no search
-    return { needs_search: false, search_query: '', reasoning: 'Reasoning check failed, defaulting to no search' };
+    if (error.name === 'AbortError') throw error;
+    // Without a new summary the older turns are simply left out of this request
+    contextLog.error('Summarization failed, dropping the oldest messages instead', { error });
+    countError('summary');
+    emit({ content: '', type: 'context', message: `Could not summarize earlier messages - ${toSummarize.length} message(s) left out of the context` });
+    const previous = summary?.content ? [withSummary([], summary)[0]] : [];
+    return { history: [...previous, ...history.slice(plan.splitIndex)], summary };
   }
 }
 
-// Serve static files
-app.use(express.static('public'));
-app.use(express.json());
+// The new user message, with its image attachments for vision models
+function buildUserMessage(message, images = []) {
+  return images.length > 0 ? { role: 'user', content: message, images } : { role: 'user', content: message };
+}
 
-// Chat endpoint
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { message, model, conversationHistory = [] } = req.body;
+// Format search results as a numbered list; `offset` keeps numbering going across several searches.
+// Passages extracted from the fetched page are included under their result.
+function formatSearchResults(results, offset = 0) {
+  return results.map((result, idx) => {
+    const passages = result.passages?.length ? `Page content:\n${result.passages.join('\n...\n')}\n` : '';
+    return `\n[${offset + idx + 1}] ${result.title}\nURL: ${result.link}\n${result.snippet}\n${passages}`;
+  }).join('\n');
+}
 
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
+// Format document passages like search results; `offset` continues the numbering after web results
+function formatDocumentPassages(passages, offset = 0) {
+  return passages.map((passage, idx) => `\n[${offset + idx + 1}] ${passage.file} (collection "${passage.collection}", chunk ${passage.chunk})\n${passage.text}\n`).join('\n');
+}
+
+// System prompt for the answer generation step (templates/answer.txt), with the date context and
+// whatever search context applies: `tools` and `documentCollections` for native tool calling, or
+// `searchQuery`, `searchResults`, `documentPassages` and `searchFailed` for the prompt-based path.
+// A user-supplied system prompt replaces the default persona; the date and search context always follow it.
+function buildAnswerSystemPrompt(currentDate, model, userSystemPrompt = '', context = {}) {
+  const hasSources = Boolean(context.searchResults || context.documentPassages);
+  return renderPrompt('answer', model, { ...dateVariables(currentDate), systemPrompt: userSystemPrompt, hasSources, ...context });
+}
+
+// 1st, 2nd, 3rd, 4th, ... 11th, 12th, 13th, ... 21st
+function ordinal(n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+}
+
+// Run the chat pipeline on a backend that has the model (see lib/backends.js). If that backend
+// cannot be reached before any answer text was sent, it is taken out of rotation and the pipeline
+// starts over on another backend with the model, announced by a `failover` event.
+// The result carries the name of the backend that answered in `backend`. `onStart` is called
+// whenever the pipeline gets a backend slot, after any wait in that backend's queue.
+async function runChatPipeline(params, emit, { onStart } = {}) {
+  const tried = [];
+  let backend = await selectBackend(params.model);
+  for (;;) {
+    let answered = false;
+    try {
+      const result = await runOnBackend(backend, params, (event) => {
+        if (event.content) answered = true;
+        emit(event);
+      }, onStart);
+      return { ...result, backend: backend.name };
+    } catch (error) {
+      if (params.signal?.aborted || !isBackendUnreachable(error)) throw error;
+      markUnhealthy(backend, error);
+      tried.push(backend.name);
+      const next = answered ? null : await selectBackend(params.model, { exclude: tried }).catch(() => null);
+      if (!next) throw error;
+      chatLog.warn('Backend failed, retrying on another one', { backend: backend.name, next: next.name, model: params.model });
+      emit({ content: '', type: 'failover', backend: next.name, message: `${backend.name} is not answering - trying ${next.name}...` });
+      backend = next;
     }
-    
-    // Validate model is provided
-    if (!model) {
-      return res.status(400).json({ error: 'Model is required. Please select a model.' });
+  }
+}
+
+// Run the pipeline once a slot on `backend` is free. While waiting, `queued` events report the
+// position in line; a last one with position 0 says the wait is over. `onStart` is called once
+// the slot is granted.
+async function runOnBackend(backend, params, emit, onStart) {
+  let waited = false;
+  const endWait = stageDuration.startTimer({ stage: 'queue_wait' });
+  const release = await backend.queue.acquire({
+    signal: params.signal,
+    onPosition: (position) => {
+      if (!waited) {
+        queueLog.info('Waiting for a free slot', { queue: backend.queue.stats().name, position });
+      }
+      waited = true;
+      emit({ content: '', type: 'queued', position, message: `Waiting for the model (${ordinal(position)} in line)...` });
+    }
+  });
+  endWait();
+  onStart?.();
+  try {
+    if (waited) {
+      emit({ content: '', type: 'queued', position: 0, message: 'Starting...' });
     }
+    return await runPipelineStages({ ...params, backend }, emit);
+  } finally {
+    release();
+  }
+}
 
-    // Set headers for streaming
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+// Run the search-augmented pipeline for one user message.
+// Models with native tool support get the web_search tool; others use the prompt-based
+// reasoning → search → generation → confirmation path.
+// Progress and answer text are reported through `emit` using the same event objects /api/chat
+// streams as SSE ({ type, message } for status, { content, done: false } for answer text).
+// When `signal` aborts, every in-flight Ollama call, search and page fetch is cancelled and
+// the pipeline rejects with an AbortError.
+// `options` are Ollama model options for the answer (see lib/chatSettings.js) and `systemPrompt`
+// is the user's own system prompt, merged with the date context.
+// `summary` is the conversation's rolling summary of older turns; the result carries the
+// (possibly updated) summary back so the caller can store it.
+// `images` are image attachments (Buffers) for the new message; they are dropped with a warning
+// when the model has no vision capability.
+// `collections` are ids of document collections the answer may draw on (see lib/documentStore.js).
+// `selfCheckMode` ('stream' or 'buffer', default SELF_CHECK_MODE) sets whether an unchecked draft
+// answer is streamed live on the prompt-based path; a `revise` event follows if it is superseded.
+// `searchMode` is one of SEARCH_MODES (default 'auto').
+// `backend` is the Ollama backend to run on (see runChatPipeline, which picks it).
+async function runPipelineStages({ backend, message, images = [], model, history = [], summary = null, signal, options = {}, systemPrompt = '', collections = [], clientKey = null, selfCheckMode = SELF_CHECK_MODE, searchMode = 'auto' }, emit) {
+  const client = createBackendClient(backend, signal);
+  const currentDate = getCurrentDate();
+  chatLog.info('Pipeline started', {
+    model,
+    backend: backend.name,
+    date: currentDate.iso,
+    message: truncate(message),
+    options: Object.keys(options).length > 0 ? options : undefined,
+    systemPromptChars: systemPrompt ? systemPrompt.length : undefined,
+    images: images.length > 0 ? images.length : undefined
+  });
+  
+  if (images.length > 0) {
+    if (!await modelSupportsVision(model, client)) {
+      chatLog.warn('Model has no vision capability, images not sent', { model });
+      emit({ content: '', type: 'error', message: `${model} cannot read images - the attached image(s) were not sent to the model` });
+      images = [];
+    }
+  }
+  
+  // Collections that were deleted or have no documents yet are left out
+  const documentCollections = (await Promise.all(collections.map(id => getCollection(id)))).filter(c => c?.documents.length > 0);
+  if (documentCollections.length > 0) {
+    chatLog.info('Using document collections', { collections: documentCollections.map(c => c.id) });
+  }
+  
+  const context = await fitHistoryToContext({ message, images, model, history, summary, client, options, systemPrompt, currentDate }, emit);
+  const pipelineArgs = { message, images, model, history: context.history, currentDate, client, signal, options, systemPrompt, collections: documentCollections, clientKey, selfCheckMode, searchMode };
+  
+  let result = null;
+  if (searchMode === 'auto' && TOOL_CALLING !== 'off' && await modelSupportsTools(model, client)) {
+    try {
+      result = await runToolCallingPipeline(pipelineArgs, emit);
+    } catch (error) {
+      // Capabilities can be out of date; Ollama rejects the request before streaming anything
+      if (!/does not support tools/i.test(error.message || '')) {
+        throw error;
+      }
+      chatLog.warn('Model rejected tools, falling back to the prompt-based search decision', { model });
+      toolSupportCache.set(model, false);
+    }
+  }
+  
+  if (!result) {
+    result = await runPromptPipeline(pipelineArgs, emit);
+  }
+  return { ...result, summary: context.summary };
+}
 
-    // Step 1: Check if web search is needed
-    const currentDate = getCurrentDate();
-    console.log(`\n[CHAT] 💬 New chat request received`);
-    console.log(`[CHAT]    Model: ${model}`);
-    console.log(`[CHAT]    Date: ${currentDate.formatted}`);
-    console.log(`[CHAT]    Message: "${message.substring(0, 100)}${message.length > 100 ? '...' : ''}"`);
+// Native tool-calling loop: the model calls web_search (and search_documents when collections are
+// selected), results go back as `tool` messages, and the model continues until it answers without
+// calling a tool (or MAX_TOOL_ROUNDS is reached)
+async function runToolCallingPipeline({ message, images, model, history, currentDate, client, signal, options, systemPrompt, collections, clientKey }, emit) {
+  const searchEvents = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+  const sources = [];
+  let fullResponse = '';
+  
+  const tools = collections.length > 0 ? [WEB_SEARCH_TOOL, SEARCH_DOCUMENTS_TOOL] : [WEB_SEARCH_TOOL];
+  chatLog.info('Using native tool calling', { tools: tools.map(tool => tool.function.name) });
+  
+  const messages = [
+    {
+      role: 'system',
+      content: buildAnswerSystemPrompt(currentDate, model, systemPrompt, {
+        tools: true,
+        documentCollections: collections.map(c => `"${c.name}"`).join(', ')
+      })
+    },
+    ...history,
+    buildUserMessage(message, images)
+  ];
+  
+  for (let round = 0; ; round++) {
+    // On the last round the tool is withheld so the model has to answer
+    const allowTools = round < MAX_TOOL_ROUNDS;
+    emit({ content: '', type: 'thinking', message: 'Generating response...' });
+    
+    const endGeneration = stageDuration.startTimer({ stage: 'generation' });
+    const stream = await client.chat({
+      model: model,
+      messages: messages,
+      tools: allowTools ? tools : undefined,
+      options,
+      stream: true,
+    });
     
-    res.write(`data: ${JSON.stringify({ content: '', type: 'reasoning', message: 'Analyzing if web search is needed...' })}\n\n`);
+    let content = '';
+    const toolCalls = [];
+    for await (const chunk of stream) {
+      if (chunk.done) {
+        usage.prompt_tokens += chunk.prompt_eval_count || 0;
+        usage.completion_tokens += chunk.eval_count || 0;
+        recordGeneration(model, chunk);
+      }
+      if (chunk.message?.tool_calls) {
+        toolCalls.push(...chunk.message.tool_calls);
+      }
+      if (chunk.message?.content) {
+        content += chunk.message.content;
+        fullResponse += chunk.message.content;
+        emit({ content: chunk.message.content, done: false });
+      }
+    }
     
-    const searchDecision = await checkIfNeedsSearch(message, model);
-    let searchResults = null;
+    endGeneration();
     
-    // Step 2: Perform web search if needed
-    if (searchDecision.needs_search && searchDecision.search_query) {
-      console.log(`[CHAT] 🔧 Tool will be called: Web Search`);
-      try {
-        res.write(`data: ${JSON.stringify({ content: '', type: 'search', message: `Searching the web for: "${searchDecision.search_query}"...` })}\n\n`);
-        searchResults = await performWebSearch(searchDecision.search_query);
-        
-        if (searchResults && searchResults.length > 0) {
-          console.log(`[CHAT] ✅ Tool execution successful: ${searchResults.length} result(s) will be included in context`);
-          res.write(`data: ${JSON.stringify({ content: '', type: 'search', message: `Found ${searchResults.length} search result(s)` })}\n\n`);
-        } else {
-          console.log(`[CHAT] ⚠️  Tool execution completed but no results found`);
-          res.write(`data: ${JSON.stringify({ content: '', type: 'search', message: 'No search results found' })}\n\n`);
+    if (toolCalls.length === 0) {
+      chatLog.info('Answer generated', { characters: fullResponse.length, toolRounds: round });
+      break;
+    }
+    
+    messages.push({ role: 'assistant', content, tool_calls: toolCalls });
+    
+    for (const call of toolCalls) {
+      const name = call.function?.name;
+      let args = call.function?.arguments || {};
+      if (typeof args === 'string') {
+        try { args = JSON.parse(args); } catch { args = { query: args }; }
+      }
+      
+      if (!tools.some(tool => tool.function.name === name) || !args.query) {
+        chatLog.warn('Ignoring unknown or malformed tool call', { tool: name });
+        messages.push({ role: 'tool', tool_name: name || 'unknown', content: `Error: unknown tool "${name}" or missing arguments.` });
+        continue;
+      }
+      
+      const query = String(args.query);
+      chatLog.info('Model called tool', { tool: name, query });
+      
+      if (name === 'search_documents') {
+        const passages = await runDocumentSearch(collections, query, 'tool', { emit, signal, searchEvents });
+        let toolContent = `No relevant passages found in the user's documents for "${query}". Answer based on your knowledge.`;
+        if (passages.length > 0) {
+          toolContent = `Passages from the user's documents for "${query}":\n${formatDocumentPassages(passages, sources.length)}`;
+          sources.push(...toDocumentSources(passages, sources.length));
+          emit({ content: '', type: 'sources', sources });
         }
-      } catch (searchError) {
-        console.error('[CHAT] ❌ Tool execution failed:', searchError);
-        res.write(`data: ${JSON.stringify({ content: '', type: 'error', message: `Web search failed: ${searchError.message}` })}\n\n`);
-        // Continue without search results
+        messages.push({ role: 'tool', tool_name: name, content: toolContent });
+        continue;
       }
-    } else {
-      console.log(`[CHAT] ⏭️  Tool will NOT be called: LLM determined search is not needed`);
-    }
-
-    // Step 3: Generate response (with or without search results)
-    // If no search was performed initially, we'll collect the response first for confirmation
-    let needsConfirmation = !searchDecision.needs_search && !searchResults;
-    let fullResponse = '';
-    let retryCount = 0;
-    const maxRetries = 1; // Prevent infinite loops
-
-    while (true) {
-      // Prepare messages with search results if available
-      const systemPrompt = `You are a helpful AI assistant. You have access to web search capabilities when needed.
-
-IMPORTANT DATE CONTEXT:
-- The current date is ${currentDate.iso}
-- Today is ${currentDate.dayOfWeek}
-- Use the provided current date (${currentDate.iso}) as your anchor for all relative time references (e.g., "tomorrow", "last week", "3 months ago", "next Friday").
-- When the user asks about "today", "now", "current", "recent", or similar time-sensitive terms, they are referring to ${currentDate.iso} (${currentDate.dayOfWeek}).
-- If a user asks for "the latest news" or "recent events," prioritize information from late ${currentDate.previousYear} or early ${currentDate.currentYear}.
-- Always use this date as the reference point for temporal questions and date calculations.
-
-${searchResults && searchResults.length > 0 ? `\nWeb search results for "${searchDecision.search_query || 'your query'}":\n${searchResults.map((result, idx) => `\n[${idx + 1}] ${result.title}\nURL: ${result.link}\n${result.snippet}\n`).join('\n')}\n\nUse this information to provide an accurate and up-to-date answer. Cite sources when appropriate.` : searchDecision.needs_search ? '\nNote: Web search was attempted but no results were found. Answer based on your knowledge.' : ''}
-
-Provide a helpful, accurate response to the user's question.`;
-
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...conversationHistory,
-        { role: 'user', content: message }
-      ];
-
-      // Generate response
-      if (needsConfirmation && retryCount === 0) {
-        // First attempt without search - collect response for confirmation
-        console.log(`[CHAT] 📝 Generating initial response without search (will confirm after)`);
-        res.write(`data: ${JSON.stringify({ content: '', type: 'thinking', message: 'Generating response...' })}\n\n`);
+      
+      emit({ content: '', type: 'search', message: `Searching the web for: "${query}"...` });
+      
+      let toolContent;
+      try {
+        const results = await searchAndReadPages(query, emit, signal, clientKey);
+        searchEvents.push({ query, stage: 'tool', results: toStoredResults(results), createdAt: new Date().toISOString() });
         
-        const response_check = await ollama.chat({
-          model: model,
-          messages: messages,
-          stream: false,
-        });
-
-        fullResponse = response_check.message.content || '';
-        console.log(`[CHAT] 📄 Initial response generated (${fullResponse.length} characters)`);
-
-        // Step 4: Confirm if response is adequate
-        res.write(`data: ${JSON.stringify({ content: '', type: 'reasoning', message: 'Verifying response adequacy...' })}\n\n`);
-        const confirmation = await confirmResponseAdequacy(message, fullResponse, model);
-
-        if (confirmation.is_adequate) {
-          // Response is adequate, stream it
-          console.log(`[CHAT] ✅ Response confirmed - streaming to user`);
-          // Stream the response character by character or in chunks to simulate streaming
-          const chunkSize = 10;
-          for (let i = 0; i < fullResponse.length; i += chunkSize) {
-            const chunk = fullResponse.substring(i, i + chunkSize);
-            res.write(`data: ${JSON.stringify({ content: chunk, done: false })}\n\n`);
-          }
-          break; // Exit loop, response is adequate
+        if (results.length > 0) {
+          emit({ content: '', type: 'search', message: `Found ${results.length} search result(s)` });
+          toolContent = `Web search results for "${query}":\n${formatSearchResults(results, sources.length)}`;
+          sources.push(...toSources(results, sources.length));
+          emit({ content: '', type: 'sources', sources });
         } else {
-          // Response is not adequate, need to search
-          console.log(`[CHAT] ⚠️  Response NOT confirmed - performing web search and regenerating`);
-          retryCount++;
-          
-          if (retryCount > maxRetries) {
-            console.log(`[CHAT] ⛔ Max retries reached - using initial response`);
-            // Stream the initial response anyway to avoid infinite loop
-            const chunkSize = 10;
-            for (let i = 0; i < fullResponse.length; i += chunkSize) {
-              const chunk = fullResponse.substring(i, i + chunkSize);
-              res.write(`data: ${JSON.stringify({ content: chunk, done: false })}\n\n`);
-            }
-            break;
-          }
-
-          // Perform web search
-          const searchQuery = confirmation.search_query || searchDecision.search_query || message;
-          console.log(`[CHAT] 🔧 Performing web search with query: "${searchQuery}"`);
-          res.write(`data: ${JSON.stringify({ content: '', type: 'search', message: `Searching the web for: "${searchQuery}"...` })}\n\n`);
-          
-          try {
-            searchResults = await performWebSearch(searchQuery);
-            searchDecision.needs_search = true;
-            searchDecision.search_query = searchQuery;
-            
-            if (searchResults && searchResults.length > 0) {
-              console.log(`[CHAT] ✅ Search successful: ${searchResults.length} result(s) found`);
-              res.write(`data: ${JSON.stringify({ content: '', type: 'search', message: `Found ${searchResults.length} search result(s)` })}\n\n`);
-            } else {
-              console.log(`[CHAT] ⚠️  Search completed but no results found`);
-              res.write(`data: ${JSON.stringify({ content: '', type: 'search', message: 'No search results found' })}\n\n`);
-            }
-          } catch (searchError) {
-            console.error('[CHAT] ❌ Search failed:', searchError);
-            res.write(`data: ${JSON.stringify({ content: '', type: 'error', message: `Web search failed: ${searchError.message}` })}\n\n`);
-            // Continue with no search results
-            searchResults = null;
-          }
-          
-          // Continue loop to regenerate with search results
-          needsConfirmation = false; // Don't confirm again after search
-          continue;
+          emit({ content: '', type: 'search', message: 'No search results found' });
+          toolContent = `No web search results found for "${query}". Answer based on your knowledge.`;
         }
-      } else {
-        // Search was performed or retry after search - stream response normally
-        console.log(`[CHAT] 📝 Generating response with ${searchResults ? 'search results included' : 'no search results'}`);
-        res.write(`data: ${JSON.stringify({ content: '', type: 'thinking', message: 'Generating response...' })}\n\n`);
-        
-        const stream = await ollama.chat({
-          model: model,
-          messages: messages,
-          stream: true,
-        });
-
-        // Stream the response chunks
-        let responseLength = 0;
-        for await (const chunk of stream) {
-          if (chunk.message?.content) {
-            responseLength += chunk.message.content.length;
-            res.write(`data: ${JSON.stringify({ content: chunk.message.content, done: false })}\n\n`);
-          }
-        }
-
-        console.log(`[CHAT] ✅ Response generated successfully (${responseLength} characters)`);
-        break; // Exit loop after streaming
+      } catch (searchError) {
+        signal?.throwIfAborted();
+        chatLog.warn('Web search failed', { stage: 'tool', query, error: searchError });
+        searchEvents.push({ query, stage: 'tool', error: searchError.message, createdAt: new Date().toISOString() });
+        emit({ content: '', type: 'error', message: `Web search failed: ${searchError.message}` });
+        toolContent = `Web search failed: ${searchError.message}. Answer based on your knowledge.`;
       }
+      
+      messages.push({ role: 'tool', tool_name: 'web_search', content: toolContent });
     }
+  }
+  
+  return { content: fullResponse, searchEvents, sources, usage };
+}
 
-    console.log(`[CHAT] ─────────────────────────────────────────────────────────\n`);
+// Prompt-based pipeline for models without tool support:
+// reasoning → optional web and/or document search → generation → optional adequacy confirmation
+async function runPromptPipeline({ message, images, model, history, currentDate, client, signal, options, systemPrompt: userSystemPrompt, collections, clientKey, selfCheckMode, searchMode }, emit) {
+  const searchEvents = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
 
-    // Send completion signal
-    res.write(`data: ${JSON.stringify({ content: '', done: true })}\n\n`);
-    res.end();
+  // Step 1: Check if web search is needed (unless the search mode already says)
+  let searchDecision;
+  if (searchMode === 'never') {
+    searchDecision = { needs_search: false, search_query: '' };
+  } else if (searchMode === 'always' || searchMode === 'results') {
+    emit({ content: '', type: 'reasoning', message: 'Writing a search query...' });
+    const query = await writeSearchQuery(message, history, model, client, options);
+    searchDecision = { needs_search: true, needs_documents: collections.length > 0, search_query: query };
+  } else {
+    emit({ content: '', type: 'reasoning', message: collections.length > 0 ? 'Analyzing if web or document search is needed...' : 'Analyzing if web search is needed...' });
 
-  } catch (error) {
-    console.error('Error in /api/chat:', error);
-    
-    // Provide more helpful error messages
-    let errorMessage = error.message || 'An error occurred';
-    let statusCode = 500;
-    
-    if (error.status_code === 401 || errorMessage.includes('unauthorized')) {
-      statusCode = 401;
-      errorMessage = 'Authentication failed. Please check your OLLAMA_API_KEY in the .env file.';
-      if (isCloudMode && !apiKey) {
-        errorMessage += ' API key is missing.';
-      } else if (isCloudMode && apiKey) {
-        errorMessage += ' The API key may be invalid or expired.';
-      }
+    searchDecision = await checkIfNeedsSearch(message, model, client, options, collections);
+    if (searchDecision.cached) {
+      emit({ content: '', type: 'cache', cache: 'decision', message: 'Reusing the earlier decision for this question' });
+    }
+    if (searchDecision.failed) {
+      emit({ content: '', type: 'decision_error', stage: 'reasoning', message: `Could not decide whether a search is needed (${searchDecision.error}) - answering without searching` });
     }
-    
-    res.status(statusCode).json({ error: errorMessage });
   }
-});
-
-// Get server configuration (mode and default model)
-app.get('/api/config', async (req, res) => {
-  try {
-    // For cloud mode, use a default model
-    // For local mode, try to get the first available model from Ollama
-    let defaultModel = null;
-    
-    if (isCloudMode) {
-      defaultModel = 'gpt-oss:120b-cloud';
-    } else {
-      // For local mode, try to get the first available model
-      try {
-        const response = await ollama.list();
-        if (response.models && response.models.length > 0) {
-          // Use the first available model as default
-          defaultModel = response.models[0].name;
-        }
-        // If no models found, defaultModel remains null
-      } catch (error) {
-        // If Ollama is not running or not accessible, defaultModel stays null
-        console.log('Could not fetch models for default (Ollama may not be running):', error.message);
+  let searchResults = null;
+  let passages = [];
+  
+  // Step 2: Perform web search if needed
+  if (searchDecision.needs_search && searchDecision.search_query) {
+    try {
+      emit({ content: '', type: 'search', message: `Searching the web for: "${searchDecision.search_query}"...` });
+      searchResults = await searchAndReadPages(searchDecision.search_query, emit, signal, clientKey);
+      searchEvents.push({ query: searchDecision.search_query, stage: 'reasoning', results: toStoredResults(searchResults), createdAt: new Date().toISOString() });
+      
+      if (searchResults && searchResults.length > 0) {
+        emit({ content: '', type: 'search', message: `Found ${searchResults.length} search result(s)` });
+        emit({ content: '', type: 'sources', sources: toSources(searchResults) });
+      } else {
+        emit({ content: '', type: 'search', message: 'No search results found' });
       }
+    } catch (searchError) {
+      signal?.throwIfAborted();
+      chatLog.warn('Web search failed', { stage: 'reasoning', query: searchDecision.search_query, error: searchError });
+      searchEvents.push({ query: searchDecision.search_query, stage: 'reasoning', error: searchError.message, createdAt: new Date().toISOString() });
+      emit({ content: '', type: 'error', message: `Web search failed: ${searchError.message}` });
+      // Continue without search results
     }
-    
-    res.json({
-      mode: isCloudMode ? 'cloud' : 'local',
-      host: ollamaHost,
-      defaultModel: defaultModel
-    });
-  } catch (error) {
-    console.error('Error in /api/config:', error);
-    res.json({
-      mode: isCloudMode ? 'cloud' : 'local',
-      host: ollamaHost,
-      defaultModel: isCloudMode ? 'gpt-oss:120b-cloud' : null
-    });
   }
-});
 
-// Get available models
-app.get('/api/models', async (req, res) => {
-  try {
-    const response = await ollama.list();
-    res.json({ models: response.models || [] });
-  } catch (error) {
-    console.error('Error fetching models:', error);
-    
-    // Provide more helpful error messages
-    let errorMessage = error.message || 'Failed to fetch models';
-    let statusCode = 500;
-    
-    if (error.status_code === 401 || errorMessage.includes('unauthorized')) {
-      statusCode = 401;
-      errorMessage = 'Authentication failed. Please check your OLLAMA_API_KEY in the .env file.';
-      if (isCloudMode && !apiKey) {
-        errorMessage += ' API key is missing.';
-      } else if (isCloudMode && apiKey) {
-        errorMessage += ' The API key may be invalid or expired.';
-      }
+  // Step 2b: Look up passages in the selected documents
+  if (searchDecision.needs_documents) {
+    passages = await runDocumentSearch(collections, searchDecision.search_query || message, 'reasoning', { emit, signal, searchEvents });
+    if (passages.length > 0) {
+      emit({ content: '', type: 'sources', sources: buildSources(searchResults || [], passages) });
     }
-    
-    res.status(statusCode).json({ error: errorMessage });
   }
-});
 
-app.listen(port, () => {
-  console.log(`🚀 Chatbot server running at http://localhost:${port}`);
-  console.log(`📍 Ollama Host: ${ollamaHost}`);
-  
-  if (isCloudMode) {
-    if (apiKey) {
-      console.log('☁️  Mode: Ollama Cloud');
-      console.log('📦 Default model: gpt-oss:120b-cloud');
-      console.log(`🔑 API Key: Set (${apiKey.substring(0, 8)}...)`);
+  // Step 3: Generate the answer (with or without search results). `summaryOnly` asks for a short
+  // summary of the results instead, for searchMode 'results'.
+  const generateAnswer = async (streamed, summaryOnly = false) => {
+    const hasResults = Boolean(searchResults && searchResults.length > 0);
+    const systemPrompt = buildAnswerSystemPrompt(currentDate, model, userSystemPrompt, {
+      searchQuery: searchDecision.search_query || 'your query',
+      searchResults: hasResults ? formatSearchResults(searchResults) : '',
+      documentPassages: passages.length > 0 ? formatDocumentPassages(passages, searchResults?.length || 0) : '',
+      searchFailed: Boolean(searchDecision.needs_search) && !hasResults && passages.length === 0,
+      summaryOnly
+    });
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...history,
+      buildUserMessage(message, images)
+    ];
+
+    emit({ content: '', type: 'thinking', message: 'Generating response...' });
+
+    if (!streamed) {
+      const response = await timeStage('generation', () => client.chat({ model, messages, options, stream: false }));
+      recordGeneration(model, response);
+      usage.prompt_tokens += response.prompt_eval_count || 0;
+      usage.completion_tokens += response.eval_count || 0;
+      return response.message.content || '';
+    }
+
+    const endGeneration = stageDuration.startTimer({ stage: 'generation' });
+    const stream = await client.chat({ model, messages, options, stream: true });
+    let text = '';
+    for await (const chunk of stream) {
+      if (chunk.done) {
+        usage.prompt_tokens += chunk.prompt_eval_count || 0;
+        usage.completion_tokens += chunk.eval_count || 0;
+        recordGeneration(model, chunk);
+      }
+      if (chunk.message?.content) {
+        text += chunk.message.content;
+        emit({ content: chunk.message.content, done: false });
+      }
+    }
+    endGeneration();
+    return text;
+  };
+
+  // An answer written without any search is a draft: once it is complete the model checks whether
+  // it holds up, and if not the web is searched and the answer written again with the results.
+  // With SELF_CHECK_MODE=stream the draft is streamed as it is generated and a `revise` event
+  // tells the client it has been superseded; with `buffer` it is held back until the check passes.
+  if (searchMode === 'auto' && !searchDecision.needs_search && !searchResults && passages.length === 0) {
+    const streamDraft = selfCheckMode === 'stream';
+    const draft = await generateAnswer(streamDraft);
+    chatLog.debug('Draft answer generated', { characters: draft.length, streamed: streamDraft });
+
+    // Step 4: Confirm if the draft is adequate
+    emit({ content: '', type: 'reasoning', message: 'Verifying response adequacy...' });
+    const confirmation = await confirmResponseAdequacy(message, draft, model, client, options);
+    if (confirmation.failed) {
+      emit({ content: '', type: 'decision_error', stage: 'confirmation', message: `Could not check the answer (${confirmation.error}) - keeping it without searching` });
+    }
+
+    if (confirmation.is_adequate) {
+      if (!streamDraft) {
+        emit({ content: draft, done: false });
+      }
+      chatLog.info('Answer generated', { characters: draft.length, webResults: 0, passages: 0 });
+      return { content: draft, searchEvents, sources: [], usage };
+    }
+
+    const searchQuery = confirmation.search_query || searchDecision.search_query || message;
+    if (streamDraft) {
+      emit({ content: '', type: 'revise', query: searchQuery, message: 'The draft answer needs checking against the web - searching and writing a new answer...' });
+    }
+    emit({ content: '', type: 'search', message: `Searching the web for: "${searchQuery}"...` });
+
+    try {
+      searchResults = await searchAndReadPages(searchQuery, emit, signal, clientKey);
+      searchEvents.push({ query: searchQuery, stage: 'confirmation', results: toStoredResults(searchResults), createdAt: new Date().toISOString() });
+      searchDecision.needs_search = true;
+      searchDecision.search_query = searchQuery;
+
+      if (searchResults && searchResults.length > 0) {
+        emit({ content: '', type: 'search', message: `Found ${searchResults.length} search result(s)` });
+        emit({ content: '', type: 'sources', sources: buildSources(searchResults, passages) });
+      } else {
+        emit({ content: '', type: 'search', message: 'No search results found' });
+      }
+    } catch (searchError) {
+      signal?.throwIfAborted();
+      chatLog.warn('Web search failed', { stage: 'confirmation', query: searchQuery, error: searchError });
+      searchEvents.push({ query: searchQuery, stage: 'confirmation', error: searchError.message, createdAt: new Date().toISOString() });
+      emit({ content: '', type: 'error', message: `Web search failed: ${searchError.message}` });
+      // Continue with no search results
+      searchResults = null;
+    }
+  }
+
+  // Results only: the sources already hold the raw results, the text is a short summary of them
+  if (searchMode === 'results') {
+    const found = (searchResults?.length || 0) + passages.length;
+    const content = found > 0 ? await generateAnswer(true, true) : `No search results found for "${searchDecision.search_query}".`;
+    if (found === 0) {
+      emit({ content, done: false });
+    }
+    chatLog.info('Search results summarized', { characters: content.length, webResults: searchResults?.length || 0, passages: passages.length });
+    return { content, searchEvents, sources: buildSources(searchResults || [], passages), usage };
+  }
+
+  // Search was performed up front or after the check - stream the answer (it is not checked again)
+  const fullResponse = await generateAnswer(true);
+  chatLog.info('Answer generated', { characters: fullResponse.length, webResults: searchResults?.length || 0, passages: passages.length });
+
+  const sources = buildSources(searchResults || [], passages);
+  return { content: fullResponse, searchEvents, sources, usage };
+}
+
+// Error type for the errors metric: a full queue, a failure reported by (or reaching) Ollama, or a bug here
+function classifyError(error) {
+  if (isQueueFullError(error)) return 'queue_full';
+  if (isNoBackendError(error)) return 'ollama';
+  if (error?.status_code || error?.name === 'ResponseError' || /fetch failed|ECONNREFUSED/.test(error?.message || '')) return 'ollama';
+  return 'internal';
+}
+
+// Map Ollama errors to an HTTP status and a user-facing message
+function describeOllamaError(error, fallbackMessage) {
+  let errorMessage = error.message || fallbackMessage;
+  let statusCode = 500;
+  
+  if (isQueueFullError(error) || isNoBackendError(error)) {
+    return { statusCode: 503, errorMessage };
+  }
+  
+  if (error.status_code === 401 || errorMessage.includes('unauthorized')) {
+    statusCode = 401;
+    errorMessage = 'Authentication failed. Please check your OLLAMA_API_KEY in the .env file.';
+    const cloudBackends = getBackends().filter(backend => backend.cloud);
+    if (cloudBackends.some(backend => !backend.apiKey)) {
+      errorMessage += ' API key is missing.';
+    } else if (cloudBackends.length > 0) {
+      errorMessage += ' The API key may be invalid or expired.';
+    }
+  }
+  
+  return { statusCode, errorMessage };
+}
+
+// Every request gets an id (X-Request-Id) that all of its log lines carry
+app.use(requestIdMiddleware);
+
+// Access log: API calls at info level, static files at debug
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('close', () => {
+    const isApi = /^\/(api|v1|metrics)(\/|$)/.test(req.path);
+    // 'close' may fire outside the request's async context, so the id is passed along explicitly
+    httpLog[isApi ? 'info' : 'debug']('Request finished', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+      aborted: res.writableFinished ? undefined : true
+    });
+  });
+  next();
+});
+
+// Serve static files
+app.use(express.static('public'));
+// Browser libraries for Markdown rendering, served straight from node_modules
+app.use('/vendor/marked', express.static(path.join(__dirname, 'node_modules/marked/lib')));
+app.use('/vendor/dompurify', express.static(path.join(__dirname, 'node_modules/dompurify/dist')));
+app.use('/vendor/highlight', express.static(path.join(__dirname, 'node_modules/@highlightjs/cdn-assets')));
+app.use('/vendor/katex', express.static(path.join(__dirname, 'node_modules/katex/dist')));
+// Large enough for image attachments and for document uploads, which are both sent base64-encoded
+app.use(express.json({ limit: Math.max(getJsonBodyLimit(), getDocumentBodyLimit()) }));
+
+// Prometheus scrape endpoint; outside the account check, protected by METRICS_TOKEN when set
+registerGauge('ollama_chat_queue_requests', 'Chat pipelines holding a slot on an Ollama backend (active) or waiting for one (waiting)', () => {
+  return getBackends().flatMap(backend => {
+    const { active, waiting } = backend.queue.stats();
+    return [{ labels: { backend: backend.name, state: 'active' }, value: active }, { labels: { backend: backend.name, state: 'waiting' }, value: waiting }];
+  });
+});
+registerGauge('ollama_chat_backend_up', 'Whether an Ollama backend answered its last check or request (1) or not (0)', () => {
+  return getBackends().map(backend => ({ labels: { backend: backend.name }, value: backend.healthy ? 1 : 0 }));
+});
+
+app.get('/metrics', (req, res) => {
+  const { enabled, token } = getMetricsConfig();
+  if (!enabled) {
+    return res.status(404).json({ error: 'Metrics are turned off (METRICS=off)' });
+  }
+  if (token) {
+    const supplied = Buffer.from(req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1]?.trim() || '');
+    const expected = Buffer.from(token);
+    const matches = supplied.length === expected.length && crypto.timingSafeEqual(supplied, expected);
+    if (!matches) {
+      return res.status(401).json({ error: 'Send METRICS_TOKEN as a Bearer token' });
+    }
+  }
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+// ---------------------------------------------------------------------------
+// Accounts: login, sessions, API tokens and user management (see lib/userStore.js and lib/auth.js)
+// ---------------------------------------------------------------------------
+
+// What the login screen needs to know; public
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    const user = await authenticate(req);
+    res.json({
+      authEnabled: isAuthEnabled(),
+      setupRequired: isAuthEnabled() && await countUsers() === 0,
+      registrationOpen: isRegistrationOpen(),
+      user: user && isAuthEnabled() ? toPublicUser(user) : null
+    });
+  } catch (error) {
+    serverLog.error('Error in /api/auth/status', { error });
+    res.status(500).json({ error: 'Failed to read login status' });
+  }
+});
+
+async function startSession(req, res, user) {
+  setSessionCookie(req, res, await createSession(user.id));
+  res.json({ user: toPublicUser(user) });
+}
+
+// First run: create the admin account while there are no users yet
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    if (!isAuthEnabled() || await countUsers() > 0) {
+      return res.status(403).json({ error: 'Setup has already been completed' });
+    }
+    const { user, error, status } = await createUser({ username: req.body?.username, password: req.body?.password, role: 'admin', firstAccount: true });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    await startSession(req, res, user);
+  } catch (error) {
+    serverLog.error('Error in /api/auth/setup', { error });
+    res.status(500).json({ error: 'Failed to create the admin account' });
+  }
+});
+
+// Self-service sign-up, only with ALLOW_REGISTRATION=on
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    if (!isAuthEnabled() || !isRegistrationOpen()) {
+      return res.status(403).json({ error: 'Registration is closed - ask an admin for an account' });
+    }
+    const { user, error, status } = await createUser({ username: req.body?.username, password: req.body?.password });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    await startSession(req, res, user);
+  } catch (error) {
+    serverLog.error('Error in /api/auth/register', { error });
+    res.status(500).json({ error: 'Failed to create the account' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const user = await verifyCredentials(req.body?.username, req.body?.password);
+    if (!user) {
+      authLog.warn('Failed login', { username: String(req.body?.username || '').substring(0, 32) });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    authLog.info('Signed in', { username: user.username });
+    await startSession(req, res, user);
+  } catch (error) {
+    serverLog.error('Error in /api/auth/login', { error });
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await deleteSession(getSessionToken(req));
+    clearSessionCookie(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    serverLog.error('Error in /api/auth/logout', { error });
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// Everything else under /api and /v1 needs a signed-in user or an API token
+app.use('/api', requireUser());
+app.use('/v1', requireUser(res => sendOpenAIError(res, 401, 'Invalid or missing API token. Create one under 👤 Account and send it as a Bearer token.', 'authentication_error')));
+
+// Add a finished pipeline run to the user's usage counters (there is nothing to record without accounts)
+function recordPipelineUsage(user, result) {
+  if (!user?.id) return;
+  recordUsage(user.id, {
+    requests: 1,
+    promptTokens: result.usage.prompt_tokens,
+    completionTokens: result.usage.completion_tokens,
+    searches: result.searchEvents.length
+  }).catch(error => {
+    countError('store');
+    authLog.error('Failed to record usage', { error });
+  });
+}
+
+// Count a finished pipeline run for /metrics: the request, and each search it triggered
+function recordPipelineMetrics(endpoint, result) {
+  requestsTotal.inc({ endpoint });
+  if (result.searchEvents.some(event => event.source !== 'documents')) {
+    searchedRequestsTotal.inc({ endpoint });
+  }
+  for (const event of result.searchEvents) {
+    searchesTotal.inc({ source: event.source || 'web', stage: event.stage });
+  }
+}
+
+// Reject account routes when accounts are turned off
+function rejectWithoutAuth(res) {
+  if (isAuthEnabled()) return false;
+  res.status(404).json({ error: 'User accounts are turned off (AUTH=off)' });
+  return true;
+}
+
+// The signed-in user with their usage
+app.get('/api/me', (req, res) => {
+  if (rejectWithoutAuth(res)) return;
+  res.json(toPublicUser(req.user));
+});
+
+// Change your own password: body { currentPassword, newPassword }. Other sessions are signed out.
+app.post('/api/me/password', async (req, res) => {
+  if (rejectWithoutAuth(res)) return;
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!await verifyCredentials(req.user.username, currentPassword)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    const { user, error, status } = await updateUser(req.user.id, { password: newPassword });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    await startSession(req, res, user);
+  } catch (error) {
+    serverLog.error('Error changing password', { error });
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+app.get('/api/me/tokens', async (req, res) => {
+  if (rejectWithoutAuth(res)) return;
+  try {
+    res.json({ tokens: await listApiTokens(req.user.id) });
+  } catch (error) {
+    serverLog.error('Error listing API tokens', { error });
+    res.status(500).json({ error: 'Failed to list API tokens' });
+  }
+});
+
+// Create a personal API token: body { name }. The token is only shown in this response.
+app.post('/api/me/tokens', async (req, res) => {
+  if (rejectWithoutAuth(res)) return;
+  try {
+    const { token, record, error, status } = await createApiToken(req.user.id, req.body?.name);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(201).json({ ...record, token });
+  } catch (error) {
+    serverLog.error('Error creating API token', { error });
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+app.delete('/api/me/tokens/:id', async (req, res) => {
+  if (rejectWithoutAuth(res)) return;
+  try {
+    if (!await deleteApiToken(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    serverLog.error('Error deleting API token', { error });
+    res.status(500).json({ error: 'Failed to delete API token' });
+  }
+});
+
+// User management (admin only)
+app.get('/api/users', requireAdmin, async (req, res) => {
+  if (rejectWithoutAuth(res)) return;
+  try {
+    res.json({ users: await listUsers() });
+  } catch (error) {
+    serverLog.error('Error listing users', { error });
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// Create a user: body { username, password, role }
+app.post('/api/users', requireAdmin, async (req, res) => {
+  if (rejectWithoutAuth(res)) return;
+  try {
+    const { username, password, role } = req.body || {};
+    const { user, error, status } = await createUser({ username, password, role });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(201).json(toPublicUser(user));
+  } catch (error) {
+    serverLog.error('Error creating user', { error });
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Change a user's role, password or disabled flag: body { role?, password?, disabled? }
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+  if (rejectWithoutAuth(res)) return;
+  try {
+    const { role, password, disabled } = req.body || {};
+    const { user, error, status } = await updateUser(req.params.id, { role, password, disabled });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(toPublicUser(user));
+  } catch (error) {
+    serverLog.error('Error updating user', { error });
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Delete a user. Their conversations and collections are kept on disk but can no longer be opened.
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  if (rejectWithoutAuth(res)) return;
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    const { error, status } = await deleteUser(req.params.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    serverLog.error('Error deleting user', { error });
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// Collection ids from the conversation settings that exist and belong to the user
+async function accessibleCollectionIds(user, ids = []) {
+  const collections = await Promise.all(ids.map(id => getCollection(id)));
+  return collections.filter(c => c && canAccess(user, c)).map(c => c.id);
+}
+
+// Error message for a client-supplied conversationHistory that is not a list of
+// { role: 'user' | 'assistant', content: string }, otherwise null
+function validateConversationHistory(history) {
+  if (!Array.isArray(history)) {
+    return 'conversationHistory must be an array of { role, content } messages';
+  }
+  const index = history.findIndex(m => !m || typeof m !== 'object' || !['user', 'assistant'].includes(m.role) || typeof m.content !== 'string');
+  return index === -1 ? null : `conversationHistory[${index}] must have role 'user' or 'assistant' and a string content`;
+}
+
+// Where a new turn goes in a stored conversation's tree of messages (see lib/conversationStore.js):
+// after `parentId`, as an edited copy of the question `editOf`, or as another answer to the
+// question of the answer `regenerate`; by default at the end of the current branch.
+// Returns { parentId, regenerate, message, images, historyLeaf } - `historyLeaf` ends the history
+// the model sees, and `images` are the stored images of an edited or regenerated question -
+// or { error } for ids that are not in the conversation.
+function planTurn(conversation, { message, parentId, editOf, regenerate }) {
+  if (regenerate !== undefined) {
+    const answer = isValidMessageId(regenerate) ? getMessage(conversation, regenerate) : null;
+    const question = answer?.role === 'assistant' ? getMessage(conversation, answer.parentId) : null;
+    if (!question) return { error: 'regenerate must be the id of an answer in this conversation' };
+    return { parentId: question.id, regenerate: true, message: question.content, images: question.images || [], historyLeaf: question.parentId };
+  }
+  if (editOf !== undefined) {
+    const question = isValidMessageId(editOf) ? getMessage(conversation, editOf) : null;
+    if (question?.role !== 'user') return { error: 'editOf must be the id of a question in this conversation' };
+    return { parentId: question.parentId, regenerate: false, message, images: question.images || [], historyLeaf: question.parentId };
+  }
+  if (parentId !== undefined && parentId !== null && !(isValidMessageId(parentId) && getMessage(conversation, parentId))) {
+    return { error: 'parentId must be the id of a message in this conversation' };
+  }
+  const after = parentId === undefined ? conversation.currentId : parentId;
+  return { parentId: after, regenerate: false, message, images: [], historyLeaf: after };
+}
+
+// Chat endpoint
+app.post('/api/chat', rateLimit(chatLimiter), async (req, res) => {
+  // Cancel the pipeline when the client goes away (tab closed or Stop pressed)
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+  
+  const { model, conversationId, conversationHistory = [], options, systemPrompt, collections, searchMode = 'auto', parentId, editOf, regenerate } = req.body;
+  let message = req.body.message;
+  let conversation = null;
+  // Set when this request started the conversation; it is removed again if no answer is stored
+  let createdConversation = false;
+  let turn = null;
+  let imageRefs = [];
+  let partialResponse = '';
+  let partialSources = [];
+  
+  try {
+
+    // A regenerated answer reuses its stored question
+    if (!message && regenerate === undefined) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    if (!conversationId && (editOf !== undefined || regenerate !== undefined)) {
+      return res.status(400).json({ error: 'conversationId is required to edit a message or regenerate an answer' });
+    }
+    
+    // Validate model is provided
+    if (!model) {
+      return res.status(400).json({ error: 'Model is required. Please select a model.' });
+    }
+
+    const { images, error: imageError } = parseImages(req.body.images);
+    if (imageError) {
+      return res.status(400).json({ error: imageError });
+    }
+
+    if (!SEARCH_MODES.includes(searchMode)) {
+      return res.status(400).json({ error: `searchMode must be one of ${SEARCH_MODES.join(', ')}` });
+    }
+
+    const historyError = validateConversationHistory(conversationHistory);
+    if (historyError) {
+      return res.status(400).json({ error: historyError });
+    }
+
+    // Load the stored conversation, or start a new one (optionally seeded with client-supplied history)
+    if (conversationId) {
+      conversation = await getConversation(conversationId);
+      if (!conversation || !canAccess(req.user, conversation)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    }
+
+    // Generation settings sent with the message become the conversation's settings; the ones
+    // left out keep their stored value
+    let requestSettings = null;
+    if (options !== undefined || systemPrompt !== undefined || collections !== undefined) {
+      const base = conversation ? getConversationSettings(conversation) : defaultSettings();
+      const { settings, error } = mergeSettings(base, { options, systemPrompt, collections });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      requestSettings = settings;
+    }
+
+    if (conversation) {
+      if (requestSettings) {
+        conversation = await updateConversationSettings(conversation.id, requestSettings);
+      }
+      turn = planTurn(conversation, { message, parentId, editOf, regenerate });
+      if (turn.error) {
+        return res.status(400).json({ error: turn.error });
+      }
     } else {
-      console.log('❌ Mode: Ollama Cloud (API key missing or invalid)');
-      console.log('   ERROR: OLLAMA_API_KEY is required for cloud mode!');
-      console.log('   Steps to fix:');
-      console.log('   1. Get your API key from: https://ollama.com/settings/keys');
-      console.log('   2. Open your .env file');
-      console.log('   3. Set: OLLAMA_API_KEY=your_actual_api_key_here');
-      console.log('   4. Restart the server');
-      console.log('');
-      console.log('   ⚠️  Requests will fail with 401 Unauthorized until API key is set!');
+      conversation = await createConversation({ model, messages: conversationHistory, settings: requestSettings || undefined, ownerId: req.user.id });
+      createdConversation = true;
+      turn = planTurn(conversation, { message });
+    }
+    message = turn.message;
+    const history = await resolveHistoryImages(toChatHistory(conversation, turn.historyLeaf));
+    const settings = getConversationSettings(conversation);
+    const collectionIds = await accessibleCollectionIds(req.user, settings.collections);
+    // An edited question keeps its images unless new ones are attached
+    imageRefs = images.length > 0 ? await saveImages(images) : turn.images;
+    const imageBuffers = images.length > 0
+      ? images.map(image => image.buffer)
+      : (await Promise.all(turn.images.map(image => loadImage(image.id)))).filter(Boolean).map(image => image.buffer);
+
+    // Set headers for streaming
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    chatLog.info('Chat request received', {
+      conversationId: conversation.id,
+      historyMessages: history.length,
+      searchMode: searchMode !== 'auto' ? searchMode : undefined,
+      editOf,
+      regenerate
+    });
+    res.write(`data: ${JSON.stringify({ content: '', type: 'conversation', conversationId: conversation.id, requestId: req.id })}\n\n`);
+
+    const result = await runChatPipeline({
+      message,
+      images: imageBuffers,
+      model,
+      history,
+      summary: getBranchSummary(conversation, turn.historyLeaf),
+      signal: abortController.signal,
+      options: settings.options,
+      systemPrompt: settings.systemPrompt,
+      collections: collectionIds,
+      clientKey: getClientKey(req),
+      searchMode
+    }, (event) => {
+      // Keep what the user has seen so far, in case the request is cancelled; a revised draft no longer counts
+      if (event.type === 'revise') partialResponse = '';
+      if (event.content) partialResponse += event.content;
+      if (event.type === 'sources') partialSources = event.sources;
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    });
+
+    recordPipelineUsage(req.user, result);
+    recordPipelineMetrics('chat', result);
+
+    // Persist the exchange to the conversation store
+    let saved = null;
+    try {
+      saved = await appendExchange(conversation.id, {
+        parentId: turn.parentId,
+        regenerate: turn.regenerate,
+        userMessage: message,
+        userImages: imageRefs,
+        assistantMessage: result.content,
+        sources: result.sources,
+        model,
+        searchEvents: result.searchEvents,
+        summary: result.summary
+      });
+      chatLog.debug('Saved exchange', { conversationId: conversation.id });
+    } catch (storeError) {
+      countError('store');
+      chatLog.error('Failed to save conversation', { conversationId: conversation.id, error: storeError });
+    }
+
+    // Send completion signal, with the ids the new messages were stored under
+    const answerId = saved?.currentId;
+    res.write(`data: ${JSON.stringify({ content: '', done: true, conversationId: conversation.id, userMessageId: answerId && getMessage(saved, answerId).parentId, assistantMessageId: answerId })}\n\n`);
+    res.end();
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      chatLog.info('Request cancelled by client, in-flight work aborted');
+      // Record the partial answer so the conversation reflects what the user saw
+      if (conversation && turn) {
+        try {
+          await appendExchange(conversation.id, {
+            parentId: turn.parentId,
+            regenerate: turn.regenerate,
+            userMessage: message,
+            userImages: imageRefs,
+            assistantMessage: partialResponse,
+            sources: partialSources,
+            model,
+            stopped: true
+          });
+          chatLog.debug('Saved partial answer', { conversationId: conversation.id, characters: partialResponse.length });
+        } catch (storeError) {
+          countError('store');
+          chatLog.error('Failed to save conversation', { conversationId: conversation.id, error: storeError });
+        }
+      }
+      return;
+    }
+    
+    countError(classifyError(error));
+    chatLog.error('Chat request failed', { error });
+
+    // A conversation started by a failed first request holds nothing; don't leave it in the sidebar
+    if (createdConversation) {
+      try {
+        await deleteConversation(conversation.id);
+        if (res.headersSent) {
+          res.write(`data: ${JSON.stringify({ content: '', type: 'conversation', conversationId: null })}\n\n`);
+        }
+      } catch (storeError) {
+        countError('store');
+        chatLog.error('Failed to remove the empty conversation', { conversationId: conversation.id, error: storeError });
+      }
+    }
+    
+    // Provide more helpful error messages
+    const { statusCode, errorMessage } = describeOllamaError(error, 'An error occurred');
+    
+    // Once the event stream has started the status code can no longer change
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ content: '', type: 'error', message: errorMessage })}\n\n`);
+      res.write(`data: ${JSON.stringify({ content: '', done: true })}\n\n`);
+      return res.end();
+    }
+    
+    res.status(statusCode).json({ error: errorMessage });
+  }
+});
+
+// Run one model's answer for a comparison. Its events go out tagged with `slot` (the model's
+// position in the request) so the client can route them to the right column. A model that fails
+// gets an `error` event and an answer with `error`, and the other models carry on.
+async function runArenaAnswer({ slot, model, user, params }, send) {
+  const timer = createAnswerTimer();
+  try {
+    const result = await runChatPipeline({ ...params, model }, (event) => {
+      timer.event(event);
+      send({ ...event, slot });
+    }, { onStart: timer.start });
+    recordPipelineUsage(user, result);
+    recordPipelineMetrics('arena', result);
+
+    const { latencyMs, firstTokenMs, tokensPerSecond } = timer.stats(result.usage.completion_tokens);
+    const stats = {
+      latencyMs,
+      firstTokenMs,
+      promptTokens: result.usage.prompt_tokens,
+      completionTokens: result.usage.completion_tokens,
+      tokensPerSecond
+    };
+    send({ content: '', type: 'stats', slot, backend: result.backend, ...stats });
+    return { model, backend: result.backend, content: result.content, sources: result.sources, ...stats };
+  } catch (error) {
+    if (params.signal.aborted) throw error;
+    countError(classifyError(error));
+    arenaLog.error('Model failed in comparison', { model, error });
+    const { errorMessage } = describeOllamaError(error, 'An error occurred');
+    send({ content: '', type: 'error', slot, message: errorMessage });
+    return { model, error: errorMessage, latencyMs: timer.elapsedMs() };
+  }
+}
+
+// Compare models: one prompt answered by 2-4 models in parallel, through the same pipeline as /api/chat
+app.post('/api/arena', rateLimit(chatLimiter), async (req, res) => {
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  const { message, models, options, systemPrompt, collections, searchMode = 'auto' } = req.body;
+
+  try {
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    if (!Array.isArray(models) || models.length < MIN_ARENA_MODELS || models.length > MAX_ARENA_MODELS ||
+        !models.every(model => typeof model === 'string' && model.trim())) {
+      return res.status(400).json({ error: `models must be a list of ${MIN_ARENA_MODELS} to ${MAX_ARENA_MODELS} model names` });
+    }
+    if (new Set(models).size !== models.length) {
+      return res.status(400).json({ error: 'Each model can only be compared once' });
+    }
+
+    const { images, error: imageError } = parseImages(req.body.images);
+    if (imageError) {
+      return res.status(400).json({ error: imageError });
+    }
+
+    if (!SEARCH_MODES.includes(searchMode)) {
+      return res.status(400).json({ error: `searchMode must be one of ${SEARCH_MODES.join(', ')}` });
+    }
+
+    const { settings, error: settingsError } = mergeSettings(defaultSettings(), { options, systemPrompt, collections });
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+    const collectionIds = await accessibleCollectionIds(req.user, settings.collections);
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+    arenaLog.info('Comparison started', { models, searchMode: searchMode !== 'auto' ? searchMode : undefined });
+    send({ content: '', type: 'arena', models, requestId: req.id });
+
+    const params = {
+      message,
+      images: images.map(image => image.buffer),
+      history: [],
+      signal: abortController.signal,
+      options: settings.options,
+      systemPrompt: settings.systemPrompt,
+      collections: collectionIds,
+      clientKey: getClientKey(req),
+      searchMode
+    };
+    const answers = await Promise.all(models.map((model, slot) => runArenaAnswer({ slot, model, user: req.user, params }, send)));
+
+    let comparisonId = null;
+    try {
+      comparisonId = (await createComparison({ ownerId: req.user.id, prompt: message, searchMode, answers })).id;
+    } catch (storeError) {
+      countError('store');
+      arenaLog.error('Failed to save comparison', { error: storeError });
+    }
+
+    send({ content: '', done: true, comparisonId });
+    res.end();
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      arenaLog.info('Comparison cancelled by client, in-flight work aborted');
+      return;
+    }
+
+    countError(classifyError(error));
+    arenaLog.error('Comparison failed', { error });
+    const { statusCode, errorMessage } = describeOllamaError(error, 'An error occurred');
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ content: '', type: 'error', message: errorMessage })}\n\n`);
+      res.write(`data: ${JSON.stringify({ content: '', done: true })}\n\n`);
+      return res.end();
+    }
+    res.status(statusCode).json({ error: errorMessage });
+  }
+});
+
+// Vote for the better answer of a comparison (or call it a tie, or say both were bad)
+app.post('/api/arena/:id/vote', async (req, res) => {
+  try {
+    const comparison = await getComparison(req.params.id);
+    if (!comparison || !canAccess(req.user, comparison)) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+    const { comparison: voted, error } = await recordVote(comparison.id, req.body.winner);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, vote: voted.vote });
+  } catch (error) {
+    countError('store');
+    arenaLog.error('Error recording vote', { error });
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+});
+
+// Per-model standings from every user's votes
+app.get('/api/arena/leaderboard', async (req, res) => {
+  try {
+    res.json(await getLeaderboard());
+  } catch (error) {
+    countError('store');
+    arenaLog.error('Error building leaderboard', { error });
+    res.status(500).json({ error: 'Failed to build leaderboard' });
+  }
+});
+
+// Get server configuration (mode and default model)
+app.get('/api/config', async (req, res) => {
+  const mode = getBackendMode();
+  // Ollama Cloud alone has a fixed default; otherwise the first model of any backend
+  let defaultModel = mode === 'cloud' ? 'gpt-oss:120b-cloud' : null;
+
+  if (!defaultModel) {
+    try {
+      const models = await listModels();
+      defaultModel = models[0]?.name || null;
+    } catch (error) {
+      // If no backend is running or accessible, defaultModel stays null
+      modelsLog.warn('Could not fetch models for the default (Ollama may not be running)', { error });
+    }
+  }
+
+  res.json({
+    mode,
+    host: getBackends()[0].host,
+    backends: getBackends().map(({ name, cloud, healthy }) => ({ name, cloud, healthy })),
+    defaultModel: defaultModel,
+    imageLimits: getImageLimits()
+  });
+});
+
+// Get available models from every backend; each model lists the backends that have it in `backends`
+app.get('/api/models', async (req, res) => {
+  try {
+    res.json({ models: await listModels() });
+  } catch (error) {
+    serverLog.error('Error fetching models', { error });
+    
+    // Provide more helpful error messages
+    const { statusCode, errorMessage } = describeOllamaError(error, 'Failed to fetch models');
+    
+    res.status(statusCode).json({ error: errorMessage });
+  }
+});
+
+// Backends with their health, model count and queue (see lib/backends.js)
+app.get('/api/backends', (req, res) => {
+  res.json({ backends: describeBackends() });
+});
+
+// ---------------------------------------------------------------------------
+// Model management (pull, delete, show, ps) - mirrors Ollama's own API
+// ---------------------------------------------------------------------------
+
+// Pulling and deleting change the models on an Ollama host, which only makes sense for local backends.
+// `backend` in the body names one; without it the first local backend is used. Sends the error and
+// returns null when there is no such local backend.
+function readLocalBackend(req, res, action) {
+  const name = typeof req.body?.backend === 'string' ? req.body.backend.trim() : '';
+  const backend = name ? getBackend(name) : getBackends().find(b => !b.cloud);
+  if (name && !backend) {
+    res.status(404).json({ error: `Unknown backend "${name}"` });
+    return null;
+  }
+  if (!backend || backend.cloud) {
+    res.status(403).json({ error: `Models cannot be ${action} on Ollama Cloud` });
+    return null;
+  }
+  return backend;
+}
+
+function readModelName(req, res) {
+  const model = typeof req.body?.model === 'string' ? req.body.model.trim() : '';
+  if (!model) {
+    res.status(400).json({ error: 'Model is required' });
+    return null;
+  }
+  return model;
+}
+
+// Context length the model was trained for (model_info "<architecture>.context_length")
+function getModelContextLength(info) {
+  const modelInfo = info.model_info || {};
+  const key = Object.keys(modelInfo).find(k => k.endsWith('.context_length'));
+  return key ? modelInfo[key] : null;
+}
+
+// Value of a single parameter from the Modelfile "parameters" block (e.g. "num_ctx 8192")
+function getModelParameter(info, name) {
+  const match = (info.parameters || '').match(new RegExp(`^${name}\\s+(.+)$`, 'm'));
+  return match ? match[1].trim() : null;
+}
+
+// Pull a model, streaming Ollama's progress as SSE events
+app.post('/api/models/pull', requireAdmin, async (req, res) => {
+  const backend = readLocalBackend(req, res, 'pulled');
+  if (!backend) return;
+  const model = readModelName(req, res);
+  if (!model) return;
+
+  // Closing the panel or the tab cancels the download
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  modelsLog.info('Pulling model', { model, backend: backend.name });
+  try {
+    const client = createBackendClient(backend, abortController.signal);
+    const stream = await client.pull({ model, stream: true });
+    for await (const part of stream) {
+      res.write(`data: ${JSON.stringify({
+        type: 'progress',
+        status: part.status,
+        digest: part.digest,
+        total: part.total,
+        completed: part.completed
+      })}\n\n`);
+    }
+    toolSupportCache.delete(model);
+    modelInfoCache.delete(model);
+    await checkBackend(backend);
+    modelsLog.info('Pulled model', { model, backend: backend.name });
+    res.write(`data: ${JSON.stringify({ type: 'success', done: true, model, backend: backend.name })}\n\n`);
+    res.end();
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      modelsLog.info('Pull cancelled by client', { model });
+      return;
+    }
+    modelsLog.error('Pull failed', { model, error });
+    const { errorMessage } = describeOllamaError(error, 'Failed to pull model');
+    res.write(`data: ${JSON.stringify({ type: 'error', message: errorMessage, done: true })}\n\n`);
+    res.end();
+  }
+});
+
+// Delete a model from the backend named in `backend`, or from every local backend that has it
+app.delete('/api/models', requireAdmin, async (req, res) => {
+  const model = readModelName(req, res);
+  if (!model) return;
+  let targets = null;
+  if (req.body?.backend !== undefined) {
+    const backend = readLocalBackend(req, res, 'deleted');
+    if (!backend) return;
+    targets = [backend];
+  }
+
+  try {
+    if (!targets) {
+      const local = getBackends().filter(backend => !backend.cloud);
+      if (local.length === 0) {
+        return res.status(403).json({ error: 'Models cannot be deleted on Ollama Cloud' });
+      }
+      const owners = (await listModels()).find(m => m.name === model)?.backends || [];
+      targets = local.filter(backend => owners.includes(backend.name));
+      // Listed nowhere: let the first local backend report it missing
+      if (targets.length === 0) targets = [local[0]];
+    }
+    for (const backend of targets) {
+      await backend.client.delete({ model });
+      await checkBackend(backend);
+      modelsLog.info('Deleted model', { model, backend: backend.name });
+    }
+    toolSupportCache.delete(model);
+    modelInfoCache.delete(model);
+    res.json({ success: true, backends: targets.map(backend => backend.name) });
+  } catch (error) {
+    modelsLog.error('Delete failed', { model, error });
+    const { statusCode, errorMessage } = describeOllamaError(error, 'Failed to delete model');
+    res.status(error.status_code === 404 ? 404 : statusCode).json({ error: errorMessage });
+  }
+});
+
+// Model details: parameters, template, context length and capabilities
+app.post('/api/models/show', async (req, res) => {
+  const model = readModelName(req, res);
+  if (!model) return;
+
+  try {
+    const backend = findBackend(model);
+    const info = await backend.client.show({ model });
+    const numCtx = getModelParameter(info, 'num_ctx');
+    res.json({
+      model,
+      backend: backend.name,
+      details: info.details || {},
+      capabilities: info.capabilities || [],
+      contextLength: getModelContextLength(info),
+      numCtx: numCtx ? parseInt(numCtx, 10) : null,
+      parameters: info.parameters || '',
+      template: info.template || '',
+      system: info.system || '',
+      license: info.license || '',
+      modifiedAt: info.modified_at || null
+    });
+  } catch (error) {
+    modelsLog.warn('Could not fetch model details', { model, error });
+    const { statusCode, errorMessage } = describeOllamaError(error, 'Failed to fetch model details');
+    res.status(error.status_code === 404 ? 404 : statusCode).json({ error: errorMessage });
+  }
+});
+
+// Models currently loaded in memory on every reachable backend, with how much of each sits in VRAM vs. system RAM
+app.get('/api/models/running', async (req, res) => {
+  try {
+    const listings = await Promise.allSettled(getBackends().filter(backend => backend.healthy).map(async backend => ({
+      backend: backend.name,
+      models: (await backend.client.ps()).models || []
+    })));
+    // One unreachable backend does not hide the others; only fail when none answered
+    if (!listings.some(listing => listing.status === 'fulfilled')) {
+      throw listings[0]?.reason || new Error('No Ollama backend is reachable');
+    }
+    const models = listings.filter(listing => listing.status === 'fulfilled').flatMap(({ value }) => value.models.map(m => ({
+      backend: value.backend,
+      name: m.name,
+      size: m.size,
+      sizeVram: m.size_vram,
+      sizeRam: Math.max(0, m.size - m.size_vram),
+      expiresAt: m.expires_at,
+      details: m.details || {}
+    })));
+    res.json({ models });
+  } catch (error) {
+    modelsLog.warn('Could not list running models', { error });
+    const { statusCode, errorMessage } = describeOllamaError(error, 'Failed to list running models');
+    res.status(statusCode).json({ error: errorMessage });
+  }
+});
+
+// Search result and decision caches (see lib/cache.js); shared by all users, so admin only.
+// Add ?entries=false to leave out the entry lists.
+app.get('/api/cache', requireAdmin, (req, res) => {
+  const caches = listCaches().map(cache => cache.inspect());
+  if (req.query.entries === 'false') {
+    caches.forEach(cache => delete cache.entries);
+  }
+  res.json({ enabled: isCacheEnabled(), caches });
+});
+
+// Prompt templates with their variables, per-model overrides and load errors (admin)
+app.get('/api/templates', requireAdmin, (req, res) => {
+  res.json(describeTemplates());
+});
+
+// Re-read the templates directory now; changes are also picked up on their own unless TEMPLATE_WATCH=off.
+// Broken files are reported in `errors` and their previous version stays in use.
+app.post('/api/templates/reload', requireAdmin, (req, res) => {
+  try {
+    res.json(loadTemplates());
+  } catch (error) {
+    serverLog.error('Error reloading prompt templates', { error });
+    res.status(500).json({ error: error.message || 'Failed to reload prompt templates' });
+  }
+});
+
+// Flush every cache, or one with DELETE /api/cache/search or /api/cache/decisions
+app.delete('/api/cache/:name?', requireAdmin, (req, res) => {
+  const caches = req.params.name ? [getCache(req.params.name)] : listCaches();
+  if (!caches[0]) {
+    return res.status(404).json({ error: `Unknown cache "${req.params.name}"` });
+  }
+  const cleared = Object.fromEntries(caches.map(cache => [cache.name, cache.clear()]));
+  cacheLog.info('Flushed caches', { cleared });
+  res.json({ cleared });
+});
+
+// ---------------------------------------------------------------------------
+// OpenAI-compatible API (/v1) on top of the same search-augmented pipeline
+// ---------------------------------------------------------------------------
+
+// OpenAI error body ({ error: { message, type, code } })
+function sendOpenAIError(res, statusCode, message, type = 'invalid_request_error') {
+  res.status(statusCode).json({ error: { message, type, param: null, code: null } });
+}
+
+// OpenAI message content may be a string or an array of content parts; keep the text parts
+function openAIContentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+// Images from OpenAI `image_url` content parts; only inline data: URLs are supported
+function openAIContentToImages(content) {
+  if (!Array.isArray(content)) return [];
+  return content
+    .filter(part => part && part.type === 'image_url')
+    .map(part => typeof part.image_url === 'string' ? part.image_url : part.image_url?.url);
+}
+
+// List models in OpenAI format
+app.get('/v1/models', async (req, res) => {
+  try {
+    const models = await listModels();
+    res.json({
+      object: 'list',
+      data: models.map(model => ({
+        id: model.name,
+        object: 'model',
+        created: model.modified_at ? Math.floor(new Date(model.modified_at).getTime() / 1000) : 0,
+        owned_by: 'ollama'
+      }))
+    });
+  } catch (error) {
+    serverLog.error('Error in /v1/models', { error });
+    const { statusCode, errorMessage } = describeOllamaError(error, 'Failed to fetch models');
+    sendOpenAIError(res, statusCode, errorMessage, 'api_error');
+  }
+});
+
+// Chat completions in OpenAI format (streaming and non-streaming)
+app.post('/v1/chat/completions', rateLimit(chatLimiter, (res, message) => sendOpenAIError(res, 429, message, 'rate_limit_exceeded')), async (req, res) => {
+  const body = req.body || {};
+  const { model, messages, stream = false, stream_options: streamOptions } = body;
+
+  if (!model) {
+    return sendOpenAIError(res, 400, 'you must provide a model parameter');
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return sendOpenAIError(res, 400, "'messages' must be a non-empty array");
+  }
+
+  const lastMessage = messages[messages.length - 1];
+  const message = openAIContentToText(lastMessage?.content);
+  if (lastMessage?.role !== 'user' || !message) {
+    return sendOpenAIError(res, 400, 'The last message must be a user message with text content');
+  }
+
+  const imageUrls = openAIContentToImages(lastMessage.content);
+  if (imageUrls.some(url => typeof url !== 'string' || !url.startsWith('data:'))) {
+    return sendOpenAIError(res, 400, 'Only base64 data: URLs are supported for image_url content');
+  }
+  const { images, error: imageError } = parseImages(imageUrls);
+  if (imageError) {
+    return sendOpenAIError(res, 400, imageError);
+  }
+  const imageBuffers = images.map(image => image.buffer);
+
+  // OpenAI sampling parameters map onto Ollama options
+  const { options, error: optionsError } = normalizeOptions({
+    temperature: body.temperature,
+    top_p: body.top_p,
+    seed: body.seed,
+    stop: body.stop,
+    num_predict: body.max_completion_tokens ?? body.max_tokens
+  });
+  if (optionsError) {
+    return sendOpenAIError(res, 400, optionsError);
+  }
+
+  // Earlier turns become the conversation history; tool/function turns have no equivalent here
+  const history = messages.slice(0, -1)
+    .filter(m => ['system', 'user', 'assistant'].includes(m.role))
+    .map(m => ({ role: m.role, content: openAIContentToText(m.content) }));
+
+  // Cancel the pipeline if the client disconnects
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+  const signal = abortController.signal;
+
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  openaiLog.info('Chat completion request received', { stream: Boolean(stream) });
+
+  try {
+    if (!stream) {
+      // Status events are only meaningful for streaming clients; just run the pipeline
+      const result = await runChatPipeline({ message, images: imageBuffers, model, history, signal, options, clientKey: getClientKey(req), selfCheckMode: 'buffer' }, () => {});
+      recordPipelineUsage(req.user, result);
+      recordPipelineMetrics('openai', result);
+      openaiLog.info('Completion returned', { characters: result.content.length });
+      return res.json({
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: result.content },
+          finish_reason: 'stop'
+        }],
+        usage: {
+          prompt_tokens: result.usage.prompt_tokens,
+          completion_tokens: result.usage.completion_tokens,
+          total_tokens: result.usage.prompt_tokens + result.usage.completion_tokens
+        }
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const writeChunk = (delta, finishReason = null) => {
+      res.write(`data: ${JSON.stringify({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+      })}\n\n`);
+    };
+
+    writeChunk({ role: 'assistant', content: '' });
+
+    const result = await runChatPipeline({ message, images: imageBuffers, model, history, signal, options, clientKey: getClientKey(req), selfCheckMode: 'buffer' }, (event) => {
+      if (event.content) {
+        writeChunk({ content: event.content });
+      } else if (event.type && event.message) {
+        // Pipeline progress (reasoning, search, ...) is sent as SSE comments, which OpenAI clients ignore
+        res.write(`: ${event.type}: ${event.message.replace(/\n/g, ' ')}\n\n`);
+      }
+    });
+
+    recordPipelineUsage(req.user, result);
+    recordPipelineMetrics('openai', result);
+    writeChunk({}, 'stop');
+    if (streamOptions?.include_usage) {
+      res.write(`data: ${JSON.stringify({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [],
+        usage: {
+          prompt_tokens: result.usage.prompt_tokens,
+          completion_tokens: result.usage.completion_tokens,
+          total_tokens: result.usage.prompt_tokens + result.usage.completion_tokens
+        }
+      })}\n\n`);
+    }
+    res.write('data: [DONE]\n\n');
+    res.end();
+    openaiLog.info('Streamed completion', { characters: result.content.length });
+  } catch (error) {
+    if (signal.aborted) {
+      openaiLog.info('Client disconnected, request cancelled');
+      return;
+    }
+    countError(classifyError(error));
+    openaiLog.error('Chat completion failed', { error });
+    const { statusCode, errorMessage } = describeOllamaError(error, 'An error occurred');
+
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ error: { message: errorMessage, type: 'api_error', param: null, code: null } })}\n\n`);
+      res.write('data: [DONE]\n\n');
+      return res.end();
+    }
+
+    sendOpenAIError(res, statusCode, errorMessage, statusCode === 401 ? 'authentication_error' : 'api_error');
+  }
+});
+
+// An image attached to a message of a conversation the user can see, or of a shared one (ids are
+// content hashes, so they never change). Images are stored once for everyone, so access goes
+// through the conversation that references them.
+app.get('/api/conversations/:id/images/:imageId', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id);
+    const visible = conversation && (canAccess(req.user, conversation) || await getShare(conversation.id));
+    const attached = visible && conversation.messages.some(m => m.images?.some(image => image.id === req.params.imageId));
+    const image = attached ? await loadImage(req.params.imageId) : null;
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.setHeader('Content-Type', image.mimeType);
+    res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.send(image.buffer);
+  } catch (error) {
+    serverLog.error('Error reading image', { error });
+    res.status(500).json({ error: error.message || 'Failed to read image' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Document collections for retrieval (see lib/documentStore.js)
+// ---------------------------------------------------------------------------
+
+// List collections with their documents, plus the embedding model and upload limits
+app.get('/api/collections', async (req, res) => {
+  try {
+    const collections = (await listCollections()).filter(c => canAccess(req.user, c));
+    res.json({ collections, embedModel: getEmbedModel(), limits: getDocumentLimits() });
+  } catch (error) {
+    serverLog.error('Error listing collections', { error });
+    res.status(500).json({ error: 'Failed to list collections' });
+  }
+});
+
+// Create a collection: body { name }
+app.post('/api/collections', async (req, res) => {
+  try {
+    const { collection, error, status } = await createCollection(req.body?.name, req.user.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(201).json(collection);
+  } catch (error) {
+    serverLog.error('Error creating collection', { error });
+    res.status(500).json({ error: 'Failed to create collection' });
+  }
+});
+
+// Collection a route refers to, or null (after a 404) when it doesn't exist or belongs to someone else
+async function findCollection(req, res) {
+  const collection = await getCollection(req.params.id);
+  if (!collection || !canAccess(req.user, collection)) {
+    res.status(404).json({ error: 'Collection not found' });
+    return null;
+  }
+  return collection;
+}
+
+app.delete('/api/collections/:id', async (req, res) => {
+  try {
+    if (!await findCollection(req, res)) return;
+    const deleted = await deleteCollection(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    serverLog.error('Error deleting collection', { error });
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
+});
+
+// Add a document: body { name, data } with the file base64-encoded, or { name, text } for text and Markdown.
+// The text is chunked and embedded before the response is sent, which can take a while for large files.
+app.post('/api/collections/:id/documents', async (req, res) => {
+  let collection = null;
+  try {
+    collection = await findCollection(req, res);
+    if (!collection) return;
+    const { document, error } = await extractDocument(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // Embedding shares the Ollama host with chats, so it waits its turn like them
+    const backend = await selectBackend(collection.embedModel || getEmbedModel());
+    const result = await backend.queue.run(() => addDocument(req.params.id, document, embedWith({ backend })));
+    if (!result) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    serverLog.error('Error adding document', { error });
+    const { statusCode, errorMessage } = describeOllamaError(error, 'Failed to add document');
+    const missingModel = error.status_code === 404 || /not found/i.test(error.message || '');
+    res.status(missingModel ? 400 : statusCode).json({
+      error: missingModel
+        ? `Embedding model not available: ${error.message}. Pull ${collection?.embedModel || getEmbedModel()} first.`
+        : errorMessage
+    });
+  }
+});
+
+app.delete('/api/collections/:id/documents/:documentId', async (req, res) => {
+  try {
+    if (!await findCollection(req, res)) return;
+    const deleted = await deleteDocument(req.params.id, req.params.documentId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    serverLog.error('Error deleting document', { error });
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// List stored conversations (most recently updated first)
+app.get('/api/conversations', async (req, res) => {
+  try {
+    const conversations = (await listConversations()).filter(c => canAccess(req.user, c));
+    res.json({ conversations });
+  } catch (error) {
+    serverLog.error('Error listing conversations', { error });
+    res.status(500).json({ error: error.message || 'Failed to list conversations' });
+  }
+});
+
+// Get a single conversation with its messages and search events
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id);
+    if (!conversation || !canAccess(req.user, conversation)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    serverLog.error('Error fetching conversation', { error });
+    res.status(500).json({ error: error.message || 'Failed to fetch conversation' });
+  }
+});
+
+// Rename a conversation, replace its generation settings and/or switch to another branch
+app.patch('/api/conversations/:id', async (req, res) => {
+  try {
+    const { title: rawTitle, settings: rawSettings, currentId } = req.body;
+    if (rawTitle === undefined && rawSettings === undefined && currentId === undefined) {
+      return res.status(400).json({ error: 'Title, settings or currentId is required' });
+    }
+
+    const title = typeof rawTitle === 'string' ? rawTitle.trim() : '';
+    if (rawTitle !== undefined && !title) {
+      return res.status(400).json({ error: 'Title is required' });
     }
+    let settings = null;
+    if (rawSettings !== undefined) {
+      const normalized = normalizeSettings(rawSettings || {});
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      settings = normalized.settings;
+    }
+
+    let conversation = await getConversation(req.params.id);
+    if (!conversation || !canAccess(req.user, conversation)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (currentId !== undefined && !(isValidMessageId(currentId) && getMessage(conversation, currentId))) {
+      return res.status(400).json({ error: 'currentId must be the id of a message in this conversation' });
+    }
+    if (title) {
+      conversation = await renameConversation(req.params.id, title.substring(0, 200));
+    }
+    if (settings && conversation) {
+      conversation = await updateConversationSettings(req.params.id, settings);
+    }
+    if (currentId !== undefined && conversation) {
+      conversation = await selectBranch(req.params.id, currentId);
+    }
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    serverLog.error('Error updating conversation', { error });
+    res.status(500).json({ error: error.message || 'Failed to update conversation' });
+  }
+});
+
+// Download a conversation: ?format=markdown or html (the branch being viewed) or json (every
+// branch, with images; the format POST /api/conversations/import reads)
+app.get('/api/conversations/:id/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!Object.hasOwn(EXPORT_TYPES, format)) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_TYPES).join(', ')}` });
+    }
+    const conversation = await getConversation(req.params.id);
+    if (!conversation || !canAccess(req.user, conversation)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const body = await exportConversation(conversation, format);
+    res.setHeader('Content-Type', EXPORT_TYPES[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(conversation, format)}"`);
+    if (format === 'html') {
+      res.setHeader('Content-Security-Policy', HTML_CONTENT_SECURITY_POLICY);
+    }
+    res.send(body);
+  } catch (error) {
+    serverLog.error('Error exporting conversation', { error });
+    res.status(500).json({ error: error.message || 'Failed to export conversation' });
+  }
+});
+
+// Restore a JSON export as a new conversation of the current user: body is the exported file
+app.post('/api/conversations/import', async (req, res) => {
+  try {
+    const { conversation: imported, error } = await parseImport(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // Collections from another server or account are dropped
+    imported.settings.collections = await accessibleCollectionIds(req.user, imported.settings.collections);
+    const conversation = await importConversation({ ...imported, ownerId: req.user.id });
+    res.status(201).json(conversation);
+  } catch (error) {
+    serverLog.error('Error importing conversation', { error });
+    res.status(500).json({ error: error.message || 'Failed to import conversation' });
+  }
+});
+
+function describeShare(share) {
+  return share ? { url: `/share/${share.token}`, createdAt: share.createdAt } : null;
+}
+
+// Read-only share link of a conversation: GET shows it ({ share: null } when not shared), POST
+// creates it (or returns the existing one) and DELETE stops sharing
+app.get('/api/conversations/:id/share', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id);
+    if (!conversation || !canAccess(req.user, conversation)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ share: describeShare(await getShare(conversation.id)) });
+  } catch (error) {
+    serverLog.error('Error reading share link', { error });
+    res.status(500).json({ error: error.message || 'Failed to read share link' });
+  }
+});
+
+app.post('/api/conversations/:id/share', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id);
+    if (!conversation || !canAccess(req.user, conversation)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const share = await createShare(conversation.id, req.user.id);
+    res.status(201).json({ share: describeShare(share) });
+  } catch (error) {
+    serverLog.error('Error sharing conversation', { error });
+    res.status(500).json({ error: error.message || 'Failed to share conversation' });
+  }
+});
+
+app.delete('/api/conversations/:id/share', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id);
+    if (!conversation || !canAccess(req.user, conversation)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const deleted = await deleteShare(conversation.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation is not shared' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    serverLog.error('Error unsharing conversation', { error });
+    res.status(500).json({ error: error.message || 'Failed to stop sharing conversation' });
+  }
+});
+
+// Shared conversation as a standalone read-only page; outside /api, so no account is needed.
+// It shows the branch being viewed at the time of the request.
+app.get('/share/:token', async (req, res) => {
+  res.setHeader('Content-Security-Policy', HTML_CONTENT_SECURITY_POLICY);
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  try {
+    const share = await findShare(req.params.token);
+    const conversation = share && await getConversation(share.conversationId);
+    if (!conversation) {
+      return res.status(404).type('text/plain').send('This share link does not exist or was revoked.');
+    }
+    res.type('html').send(await toHtml(conversation, { heading: 'Shared conversation (read-only)' }));
+  } catch (error) {
+    serverLog.error('Error showing shared conversation', { error });
+    res.status(500).type('text/plain').send('Failed to show the shared conversation.');
+  }
+});
+
+// Delete a conversation (and its share link)
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id);
+    if (!conversation || !canAccess(req.user, conversation)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const deleted = await deleteConversation(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    await deleteShare(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    serverLog.error('Error deleting conversation', { error });
+    res.status(500).json({ error: error.message || 'Failed to delete conversation' });
+  }
+});
+
+app.listen(port, () => {
+  const { maxQueued } = getQueueLimits();
+  const { enabled: metricsEnabled, token: metricsToken } = getMetricsConfig();
+  serverLog.info(`Chatbot server running at http://localhost:${port}`, {
+    backends: getBackends().map(backend => `${backend.name} ${backend.host}`),
+    mode: getBackendMode(),
+    backendChecks: `every ${startHealthChecks()} s`,
+    searchProvider: `${searchProvider.label}${searchProvider.missingConfig() ? ' (not configured - web search will fail)' : ''}`,
+    cache: describeCacheConfig(),
+    queue: `${getBackends().map(backend => `${backend.name} ${backend.queue.stats().concurrency}`).join(', ')} at a time, up to ${maxQueued} waiting per backend`,
+    rateLimits: `chat ${describeLimit(chatLimiter)}, search ${describeLimit(searchLimiter)}`,
+    metrics: metricsEnabled ? `/metrics${metricsToken ? ' (token required)' : ''}` : 'off',
+    logLevel: getLogConfig().level,
+    templates: `${describeTemplates().dir}${watchTemplates() ? ' (reloaded on change)' : ''}`
+  });
+  loadCaches().catch(error => cacheLog.error('Could not load saved cache entries', { error }));
+  if (!isAuthEnabled()) {
+    authLog.warn('User accounts are off (AUTH=off) - anyone who can reach this port can use the server');
   } else {
-    console.log('💻 Mode: Local Ollama');
-    console.log('📦 Default model: llama3.2');
-    console.log('   Make sure Ollama is running locally!');
+    seedAdminFromEnv()
+      .then(async (admin) => {
+        if (admin) {
+          authLog.info('User accounts on, created the admin account from ADMIN_USERNAME', { username: admin.username });
+        } else if (await countUsers() === 0) {
+          authLog.info('User accounts on, no accounts yet - open the app to create the admin account');
+        } else {
+          authLog.info('User accounts on');
+        }
+      })
+      .catch(error => authLog.error('Could not read user accounts', { error }));
   }
 });
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+
+process.env.LOG_LEVEL = 'error';
+const { createAnswerTimer } = await import('../lib/arenaStore.js');
+const { createRequestQueue } = await import('../lib/requestQueue.js');
+
+// One compared model: waits for the shared backend, then streams its answer over `ms`
+async function answer(queue, ms) {
+  const timer = createAnswerTimer();
+  const release = await queue.acquire();
+  timer.start();
+  try {
+    await sleep(10);
+    timer.event({ content: 'Hello', done: false });
+    await sleep(ms - 10);
+    return timer.stats(20);
+  } finally {
+    release();
+  }
+}
+
+test('time spent waiting for the backend does not count toward latency', async () => {
+  const queue = createRequestQueue('test', { concurrency: 1, maxQueued: 10 });
+  const [first, second] = await Promise.all([answer(queue, 150), answer(queue, 150)]);
+  for (const stats of [first, second]) {
+    assert.ok(stats.latencyMs >= 140 && stats.latencyMs < 250, `latency ${stats.latencyMs} ms`);
+    assert.ok(stats.firstTokenMs < 100, `first token after ${stats.firstTokenMs} ms`);
+  }
+});
+
+test('a revised draft resets the first token time', async () => {
+  const timer = createAnswerTimer();
+  timer.event({ content: 'draft', done: false });
+  await sleep(30);
+  timer.event({ content: '', type: 'revise' });
+  timer.event({ content: 'final', done: false });
+  const { firstTokenMs, tokensPerSecond } = timer.stats(0);
+  assert.ok(firstTokenMs >= 25, `first token after ${firstTokenMs} ms`);
+  assert.equal(tokensPerSecond, null);
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+process.env.LOG_LEVEL = 'error';
+const { loadBackends, checkBackends, selectBackend, findBackend, listModels, getBackend } = await import('../lib/backends.js');
+
+// Two fake Ollama hosts that only answer the model listing, counting how often they are asked
+const listings = { a: ['llama3:latest', 'qwen2.5:7b', 'phi3:latest'], b: ['mistral:latest', 'phi3:latest'] };
+const tagRequests = { a: 0, b: 0 };
+const servers = [];
+
+before(async () => {
+  const hosts = [];
+  for (const name of Object.keys(listings)) {
+    const server = http.createServer((req, res) => {
+      tagRequests[name]++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ models: listings[name].map(model => ({ name: model, model })) }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    servers.push(server);
+    hosts.push(`${name}=http://127.0.0.1:${server.address().port}`);
+  }
+  process.env.OLLAMA_BACKENDS = hosts.join(',');
+  process.env.OLLAMA_CONCURRENCY_A = '3';
+  loadBackends();
+  await checkBackends();
+});
+
+after(() => {
+  servers.forEach(server => server.close());
+});
+
+test('a model name without a tag matches its :latest listing', async () => {
+  for (let n = 0; n < 4; n++) {
+    assert.equal((await selectBackend('llama3')).name, 'a');
+    assert.equal((await selectBackend('mistral')).name, 'b');
+  }
+  assert.equal((await selectBackend('qwen2.5:7b')).name, 'a');
+});
+
+test('a model no backend lists goes to the first backend, re-checking at most once in a while', async () => {
+  const before = { ...tagRequests };
+  for (let n = 0; n < 5; n++) {
+    assert.equal((await selectBackend('unknown-model')).name, 'a');
+  }
+  assert.ok(tagRequests.a - before.a <= 1, `listed ${tagRequests.a - before.a} times`);
+});
+
+test('the model list is served from the last check', async () => {
+  const before = { ...tagRequests };
+  const models = await listModels();
+  assert.deepEqual(models.map(model => model.name).sort(), ['llama3:latest', 'mistral:latest', 'phi3:latest', 'qwen2.5:7b']);
+  assert.deepEqual(tagRequests, before);
+});
+
+test('looking a model up does not take a turn in the rotation', async () => {
+  for (let n = 0; n < 3; n++) {
+    assert.equal(findBackend('phi3').name, 'a');
+  }
+  assert.equal(findBackend('unknown-model').name, 'a');
+  assert.deepEqual([(await selectBackend('phi3')).name, (await selectBackend('phi3')).name], ['a', 'b']);
+});
+
+test('concurrency can be set for one backend', () => {
+  assert.equal(getBackend('a').queue.stats().concurrency, 3);
+  assert.equal(getBackend('b').queue.stats().concurrency, 1);
+});
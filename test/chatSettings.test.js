@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeSettings, defaultSettings } from '../lib/chatSettings.js';
+
+const stored = { options: { temperature: 0.7, top_k: 40 }, systemPrompt: 'Answer in French.', collections: ['manuals'] };
+
+test('a partial update keeps the fields it leaves out', () => {
+  const { settings } = mergeSettings(stored, { options: { temperature: 0.2 } });
+  assert.deepEqual(settings, { options: { temperature: 0.2 }, systemPrompt: 'Answer in French.', collections: ['manuals'] });
+});
+
+test('only a new system prompt keeps the options and collections', () => {
+  const { settings } = mergeSettings(stored, { systemPrompt: 'Be brief.' });
+  assert.deepEqual(settings, { options: { temperature: 0.7, top_k: 40 }, systemPrompt: 'Be brief.', collections: ['manuals'] });
+});
+
+test('null resets a field to its default', () => {
+  const { settings } = mergeSettings(stored, { systemPrompt: null, collections: null });
+  assert.deepEqual(settings, { options: { temperature: 0.7, top_k: 40 }, systemPrompt: '', collections: [] });
+});
+
+test('sent values are still validated', () => {
+  assert.match(mergeSettings(defaultSettings(), { options: { temperature: 5 } }).error, /temperature/);
+  assert.match(mergeSettings(stored, { collections: 'manuals' }).error, /collections/);
+});
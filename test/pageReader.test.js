@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.PAGE_FETCH_BLOCKLIST = 'blocked.example';
+const { readPages } = await import('../lib/pageReader.js');
+
+const ARTICLE = `<html><body><article><p>${'Paris weather today is sunny and warm. '.repeat(10)}</p></article></body></html>`;
+
+// Stand-in for the network: `pages` maps a URL to the Response it answers with. Like the real
+// fetch, redirects are followed unless the caller asks for redirect: 'manual'.
+let requested;
+let pages;
+const realFetch = globalThis.fetch;
+
+async function fakeFetch(url, init = {}) {
+  requested.push(url);
+  const page = pages[url];
+  if (!page) throw new Error(`unexpected request to ${url}`);
+  const response = page();
+  const location = response.headers.get('location');
+  if (init.redirect !== 'manual' && location) return fakeFetch(new URL(location, url).href, init);
+  return response;
+}
+
+beforeEach(() => {
+  requested = [];
+  pages = {};
+  globalThis.fetch = fakeFetch;
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const redirect = location => () => new Response(null, { status: 302, headers: { location } });
+const html = (body, contentType = 'text/html') => () => new Response(body, { headers: { 'content-type': contentType } });
+const read = link => readPages([{ title: 'Weather', link, snippet: 'snippet' }], 'paris weather');
+
+test('follows a redirect to another public page', async () => {
+  pages['http://93.184.216.34/'] = redirect('/article');
+  pages['http://93.184.216.34/article'] = html(ARTICLE);
+  const [result] = await read('http://93.184.216.34/');
+  assert.ok(result.passages?.length > 0);
+  assert.deepEqual(requested, ['http://93.184.216.34/', 'http://93.184.216.34/article']);
+});
+
+test('does not follow a redirect into a blocklisted domain', async () => {
+  pages['http://93.184.216.34/'] = redirect('https://www.blocked.example/page');
+  const [result] = await read('http://93.184.216.34/');
+  assert.equal(result.passages, undefined);
+  assert.deepEqual(requested, ['http://93.184.216.34/']);
+});
+
+test('does not follow a redirect to a loopback or metadata address', async () => {
+  for (const target of ['http://127.0.0.1:3000/api/users', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data/', 'http://192.168.1.1/']) {
+    requested = [];
+    pages['http://93.184.216.34/'] = redirect(target);
+    const [result] = await read('http://93.184.216.34/');
+    assert.equal(result.passages, undefined, target);
+    assert.deepEqual(requested, ['http://93.184.216.34/'], target);
+  }
+});
+
+test('does not fetch a private address given as the result link', async () => {
+  const [result] = await read('http://10.0.0.5/');
+  assert.equal(result.passages, undefined);
+  assert.deepEqual(requested, []);
+});
+
+test('stops after too many redirects', async () => {
+  for (let n = 0; n < 10; n++) pages[`http://93.184.216.34/${n}`] = redirect(`/${n + 1}`);
+  const [result] = await read('http://93.184.216.34/0');
+  assert.equal(result.passages, undefined);
+  assert.equal(requested.length, 6);
+});
+
+test('decodes the page with its declared charset', async () => {
+  const latin1 = Buffer.from(ARTICLE.replace('sunny', 'ensoleillé'), 'latin1');
+  pages['http://93.184.216.34/'] = html(latin1, 'text/html; charset=ISO-8859-1');
+  const [result] = await read('http://93.184.216.34/');
+  assert.match(result.passages.join(' '), /ensoleillé/);
+});